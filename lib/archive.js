@@ -0,0 +1,212 @@
+'use strict';
+
+const fs = require('fs');
+const { crc32 } = require('crc');
+
+/**
+ * Archive Container
+ * =================
+ *
+ * An archive holds the ticks of a device block in a single file, each of which
+ * can be read without reading the others.
+ *
+ * header       'FFCA', version (uint16), reserved (uint16)
+ * records      the records one after another, as they are given
+ * index        one entry per record, in ascending order of ticktime:
+ *              ticktime, offset, length, crc32 of the record (all uint32)
+ * trailer      offset of the index, number of entries, crc32 of the index
+ *              (all uint32), 'FFCA'
+ *
+ * All integers are big endian.
+ */
+
+const magic = Buffer.from('FFCA');
+const version = 1;
+const headerSize = 8;
+const entrySize = 16;
+const trailerSize = 16;
+
+const toUInt32 = n => {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(n >>> 0);
+    return buf;
+};
+
+/**
+ * Write an archive of the records, each of which is { ticktime, data } where
+ * ticktime is in epoch seconds and data is a Buffer.  The file is written
+ * aside and renamed at last, so that it never exists incomplete.
+ */
+const writeArchive = (filename, records, cb) => {
+    const header = Buffer.concat([magic, Buffer.alloc(4)]);
+    header.writeUInt16BE(version, 4);
+
+    const sorted = [...records].sort((a, b) => a.ticktime - b.ticktime);
+    const entries = [];
+    var offset = headerSize;
+    for (const r of sorted) {
+        entries.push(Buffer.concat([
+            toUInt32(r.ticktime),
+            toUInt32(offset),
+            toUInt32(r.data.length),
+            toUInt32(crc32(r.data)),
+        ]));
+        offset += r.data.length;
+    }
+
+    const index = Buffer.concat(entries);
+    const trailer = Buffer.concat([
+        toUInt32(offset),
+        toUInt32(entries.length),
+        toUInt32(crc32(index)),
+        magic,
+    ]);
+
+    const tmpname = filename + '.tmp';
+    const buf = Buffer.concat([header, ...sorted.map(r => r.data), index, trailer]);
+    fs.writeFile(tmpname, buf, err => {
+        if (err) return cb(err);
+        fs.rename(tmpname, filename, cb);
+    });
+};
+
+const readAt = (fd, position, length, cb) => {
+    const buf = Buffer.alloc(length);
+    fs.read(fd, buf, 0, length, position, (err, n) => {
+        if (err) return cb(err);
+        if (n < length) return cb(Error('unexpected end of archive'));
+        cb(null, buf);
+    });
+};
+
+const readIndex = (filename, cb) => {
+    fs.open(filename, 'r', (err, fd) => {
+        if (err) return cb(err);
+
+        const done = (err, entries) => {
+            fs.close(fd, () => cb(err, entries));
+        };
+
+        fs.fstat(fd, (err, stats) => {
+            if (err) return done(err);
+            if (stats.size < headerSize + trailerSize)
+                return done(Error('bad archive ' + filename));
+
+            readAt(fd, stats.size - trailerSize, trailerSize, (err, trailer) => {
+                if (err) return done(err);
+                if (! trailer.slice(12).equals(magic))
+                    return done(Error('bad archive ' + filename));
+
+                const indexOffset = trailer.readUInt32BE(0);
+                const count = trailer.readUInt32BE(4);
+                const chksum = trailer.readUInt32BE(8);
+                if (indexOffset + count * entrySize + trailerSize != stats.size)
+                    return done(Error('bad archive ' + filename));
+
+                readAt(fd, indexOffset, count * entrySize, (err, index) => {
+                    if (err) return done(err);
+                    if (crc32(index) != chksum) {
+                        const err = Error('chksum error on archive index ' + filename);
+                        err.code = 'ECHKSUM';
+                        return done(err);
+                    }
+
+                    const entries = [];
+                    for (var i = 0; i < count; ++i) {
+                        const p = i * entrySize;
+                        entries.push({
+                            ticktime: index.readUInt32BE(p),
+                            offset: index.readUInt32BE(p + 4),
+                            length: index.readUInt32BE(p + 8),
+                            crc: index.readUInt32BE(p + 12),
+                        });
+                    }
+                    done(null, entries);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Open an archive for reading its records randomly.  The reader has
+ *
+ * ticks                list of ticktimes in the archive, ascending
+ * read(ticktime, cb)   give the data of the record of the ticktime
+ *
+ * A checksum error, on the index or on a record, fails with code ECHKSUM.
+ */
+const openArchive = (filename, cb) => {
+    readIndex(filename, (err, entries) => {
+        if (err) return cb(err);
+
+        const byTime = new Map(entries.map(e => [e.ticktime, e]));
+
+        const read = (ticktime, cb) => {
+            const e = byTime.get(+ticktime);
+            if (! e) return cb(Error(`no tick ${ticktime} in archive ${filename}`));
+
+            fs.open(filename, 'r', (err, fd) => {
+                if (err) return cb(err);
+                readAt(fd, e.offset, e.length, (err, data) => {
+                    fs.close(fd, () => {
+                        if (err) return cb(err);
+                        if (crc32(data) != e.crc) {
+                            const err = Error(`chksum error on tick ${ticktime}`
+                                + ` in archive ${filename}`);
+                            err.code = 'ECHKSUM';
+                            return cb(err);
+                        }
+                        cb(null, data);
+                    });
+                });
+            });
+        };
+
+        cb(null, { ticks: entries.map(e => e.ticktime), read });
+    });
+};
+
+/**
+ * Read all the records of an archive, as those given to writeArchive, in
+ * ascending order of ticktime.
+ */
+const readArchive = (filename, cb) => {
+    openArchive(filename, (err, reader) => {
+        if (err) return cb(err);
+
+        const records = [];
+        (function walkTicks(ticks) {
+            if (! ticks.length) return cb(null, records);
+            reader.read(ticks[0], (err, data) => {
+                if (err) return cb(err);
+                records.push({ ticktime: ticks[0], data });
+                walkTicks(ticks.slice(1));
+            });
+        }(reader.ticks));
+    });
+};
+
+/**
+ * Check the integrity of an archive, including all of its records.
+ */
+const verifyArchive = (filename, cb) => {
+    openArchive(filename, (err, reader) => {
+        if (err) return cb(err);
+
+        (function walkTicks(ticks) {
+            if (! ticks.length) return cb(null);
+            reader.read(ticks[0], err => {
+                if (err) return cb(err);
+                walkTicks(ticks.slice(1));
+            });
+        }(reader.ticks));
+    });
+};
+
+module.exports = {
+    openArchive,
+    readArchive,
+    verifyArchive,
+    writeArchive,
+};
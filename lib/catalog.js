@@ -0,0 +1,126 @@
+'use strict';
+
+const { realValue } = require('./rollup');
+
+/**
+ * Metric Catalog
+ * ==============
+ *
+ * The catalog tells what the metrics are.  A metric is defined by
+ *
+ * id           metric id
+ * name         unique name of letters, digits, '_' and '.', not starting
+ *              with a digit, so that it can be used in place of the id
+ * unit         e.g., 'kWh', empty if none
+ * kind         'counter', 'gauge' (default) or 'event'
+ * interval     expected seconds between two samples, null if unknown
+ * min, max     valid range of the real value (value * 10^scale), null for no
+ *              bound
+ *
+ * Device states are validated against the catalog on ingest by one of the
+ * policies
+ *
+ * accept       no validation, the default
+ * warn         log the problems and save the device state anyway
+ * reject       fail with code EINVALID if there is any problem
+ *
+ * where a problem is a metric not in the catalog, a good sample (status 0) of
+ * a number out of its range or a negative counter, or an event without its
+ * timestamp.
+ */
+
+const kinds = ['counter', 'gauge', 'event'];
+const policies = ['accept', 'warn', 'reject'];
+const uint32Max = 4294967295;
+const namePattern = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+/* an error about metrics told apart from the others by its code */
+const invalidError = message => {
+    const err = Error(message);
+    err.code = 'EINVALID';
+    return err;
+};
+
+const isBound = v => v == null || v === '' || ! isNaN(+v);
+const toBound = v => v == null || v === '' ? null : +v;
+
+/**
+ * Check a metric definition and give it with all the fields, defaults filled
+ * in.  Throws an EINVALID error if it is bad.
+ */
+const checkDefinition = def => {
+    const id = +def.id;
+    if (def.id == null || ! Number.isInteger(id) || id < 0 || id > uint32Max)
+        throw invalidError(`bad metric id ${def.id}`);
+    if (typeof def.name != 'string' || ! namePattern.test(def.name))
+        throw invalidError(`bad name ${def.name} of metric ${id}`);
+
+    const kind = def.kind || 'gauge';
+    if (! kinds.includes(kind))
+        throw invalidError(`bad kind ${kind} of metric ${id}`);
+
+    const interval = toBound(def.interval);
+    if (! isBound(def.interval) || (interval != null && interval <= 0))
+        throw invalidError(`bad interval ${def.interval} of metric ${id}`);
+
+    if (! isBound(def.min) || ! isBound(def.max))
+        throw invalidError(`bad range of metric ${id}`);
+    const min = toBound(def.min);
+    const max = toBound(def.max);
+    if (min != null && max != null && min > max)
+        throw invalidError(`bad range of metric ${id}: min ${min} > max ${max}`);
+
+    return { id, name: def.name, unit: def.unit || '', kind, interval, min, max };
+};
+
+/**
+ * Problems of the metrics of a device state by the catalog, which is a Map of
+ * metric id to definition.  Gives a list of messages, empty if none.
+ */
+const validateMetrics = (catalog, metrics) => {
+    const problems = [];
+
+    for (const m of metrics) {
+        const def = catalog.get(m.id);
+        if (! def) {
+            problems.push(`unknown metric ${m.id}`);
+            continue;
+        }
+        if (def.kind == 'event' && ! m.timestamp)
+            problems.push(`event metric ${def.name} without timestamp`);
+        if (m.status || m.type == 'string') continue;
+
+        const v = realValue(m.value, m.scale);
+        if (def.min != null && v < def.min)
+            problems.push(`${def.name} ${v} below min ${def.min}`);
+        if (def.max != null && v > def.max)
+            problems.push(`${def.name} ${v} above max ${def.max}`);
+        if (def.kind == 'counter' && v < 0)
+            problems.push(`counter ${def.name} negative ${v}`);
+    }
+    return problems;
+};
+
+/**
+ * Resolve a list of metric ids and names to ids by the catalog, same as in
+ * validateMetrics.  Throws an EINVALID error on an unknown name.
+ */
+const resolveMetricIds = (catalog, list) => {
+    const byName = new Map();
+    for (const def of catalog.values()) byName.set(def.name, def.id);
+
+    return list.map(metric => {
+        if (typeof metric == 'number' || /^[0-9]+$/.test(metric)) return +metric;
+        if (! byName.has(metric)) throw invalidError(`unknown metric ${metric}`);
+        return byName.get(metric);
+    });
+};
+
+module.exports = {
+    kinds,
+    policies,
+    invalidError,
+    checkDefinition,
+    validateMetrics,
+    resolveMetricIds,
+};
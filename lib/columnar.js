@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const { crc32 } = require('crc');
+
+/**
+ * Columnar Container
+ * ==================
+ *
+ * A columnar file holds rows of a fixed set of columns, stored column by
+ * column in row groups, so that a column can be read without the others.
+ *
+ * header       'FFCC', version (uint16), reserved (uint16)
+ * row groups   one after another, each of which is its columns one after
+ *              another, each column being the values of the rows of the group
+ * footer       JSON of { columns: [{ name, type }], rowGroups: [{ rows,
+ *              columns: [{ offset, length, crc32 }] }] }
+ * trailer      length of the footer, crc32 of the footer (both uint32), 'FFCC'
+ *
+ * A column is of type uint32, int32 or float64.  All numbers are big endian.
+ */
+
+const magic = Buffer.from('FFCC');
+const version = 1;
+const headerSize = 8;
+const trailerSize = 12;
+const dftRowGroupSize = 65536;
+
+const types = {
+    uint32: { size: 4, write: (buf, v, p) => buf.writeUInt32BE(v >>> 0, p),
+        read: (buf, p) => buf.readUInt32BE(p) },
+    int32: { size: 4, write: (buf, v, p) => buf.writeInt32BE(v | 0, p),
+        read: (buf, p) => buf.readInt32BE(p) },
+    float64: { size: 8, write: (buf, v, p) => buf.writeDoubleBE(+v, p),
+        read: (buf, p) => buf.readDoubleBE(p) },
+};
+
+/**
+ * Create a transform stream taking rows (objects keyed by the column names) in
+ * object mode and giving the bytes of a columnar file.  columns is a list of
+ * { name, type }, a missing value is written as 0.
+ */
+const createColumnarStream = (columns, options) => {
+    const rowGroupSize = (options && options.rowGroupSize) || dftRowGroupSize;
+    const rowGroups = [];
+    var rows = [];
+    var offset = 0;
+
+    for (const c of columns) {
+        if (! types[c.type]) throw Error(`bad column type ${c.type} of ${c.name}`);
+    }
+
+    const pushHeader = stream => {
+        const header = Buffer.concat([magic, Buffer.alloc(4)]);
+        header.writeUInt16BE(version, 4);
+        stream.push(header);
+        offset = headerSize;
+    };
+
+    const flushRows = stream => {
+        if (! rows.length) return;
+
+        const group = { rows: rows.length, columns: [] };
+        for (const { name, type } of columns) {
+            const t = types[type];
+            const buf = Buffer.alloc(rows.length * t.size);
+            rows.forEach((row, i) => t.write(buf, row[name] || 0, i * t.size));
+            group.columns.push({ offset, length: buf.length, crc32: crc32(buf) });
+            offset += buf.length;
+            stream.push(buf);
+        }
+        rowGroups.push(group);
+        rows = [];
+    };
+
+    const stream = new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, cb) {
+            if (! offset) pushHeader(this);
+            rows.push(row);
+            if (rows.length >= rowGroupSize) flushRows(this);
+            cb();
+        },
+        flush(cb) {
+            if (! offset) pushHeader(this);
+            flushRows(this);
+
+            const footer = Buffer.from(JSON.stringify({ columns, rowGroups }));
+            const trailer = Buffer.alloc(trailerSize);
+            trailer.writeUInt32BE(footer.length, 0);
+            trailer.writeUInt32BE(crc32(footer), 4);
+            magic.copy(trailer, 8);
+            this.push(footer);
+            this.push(trailer);
+            cb();
+        },
+    });
+    return stream;
+};
+
+/**
+ * Read a whole columnar file.  Gives { columns, rows } where rows are objects
+ * keyed by the column names.
+ */
+const readColumnar = (filename, cb) => {
+    fs.readFile(filename, (err, buf) => {
+        if (err) return cb(err);
+
+        const bad = () => cb(Error('bad columnar file ' + filename));
+        if (buf.length < headerSize + trailerSize) return bad();
+        if (! buf.slice(0, 4).equals(magic)
+            || ! buf.slice(buf.length - 4).equals(magic))
+            return bad();
+
+        const footerLength = buf.readUInt32BE(buf.length - trailerSize);
+        const footerEnd = buf.length - trailerSize;
+        if (footerLength > footerEnd - headerSize) return bad();
+        const footer = buf.slice(footerEnd - footerLength, footerEnd);
+        if (crc32(footer) != buf.readUInt32BE(buf.length - 8))
+            return cb(Error('chksum error on footer of columnar file ' + filename));
+
+        var meta;
+        try {
+            meta = JSON.parse(footer);
+        } catch (err) {
+            return bad();
+        }
+
+        const rows = [];
+        for (const group of meta.rowGroups) {
+            const first = rows.length;
+            for (var i = 0; i < group.rows; ++i) rows.push({});
+
+            for (var c = 0; c < meta.columns.length; ++c) {
+                const { name, type } = meta.columns[c];
+                const { offset, length } = group.columns[c];
+                const chunk = buf.slice(offset, offset + length);
+                if (crc32(chunk) != group.columns[c].crc32)
+                    return cb(Error(`chksum error on column ${name}`
+                        + ` of columnar file ${filename}`));
+                const t = types[type];
+                for (var r = 0; r < group.rows; ++r)
+                    rows[first + r][name] = t.read(chunk, r * t.size);
+            }
+        }
+        cb(null, { columns: meta.columns, rows });
+    });
+};
+
+module.exports = {
+    createColumnarStream,
+    readColumnar,
+};
@@ -0,0 +1,292 @@
+'use strict';
+
+const path = require('path');
+const protobuf = require('protobufjs');
+const { crc32 } = require('crc');
+
+/**
+ * Device State
+ * ============
+ *
+ * A device state is { devid, timestamp, metrics } where a metric has
+ *
+ * id           metric id
+ * status       status of the value, 0 for a good one
+ * type         'int', 'double' or 'string'
+ * value        an integer, which is in a string of digits if beyond the safe
+ *              integers of JavaScript, a floating number or a string, by type
+ * scale        real value = value * 10^scale, always 0 but for integers
+ * timestamp    [optional] time accompanying with the value, in epoch seconds
+ * quality      [optional] 'good', 'uncertain' or 'bad'
+ *
+ * A metric given without the type is an integer if its value is an integral
+ * number, a double if any other number and a string if a string.  So an
+ * integer beyond the safe ones has to be given in a string with type 'int'.
+ *
+ * Tick Content
+ * ------------
+ *
+ * The content of a tick file, or a record of an archive, is one of
+ *
+ * version 1    crc32 of the encoded DevState (uint32), the encoded DevState
+ * version 2    'FFCT', version (uint16), reserved (uint16), crc32 of the
+ *              encoded DevStateV2 (uint32), the encoded DevStateV2
+ *
+ * where DevState and DevStateV2 are in data/dev-state.proto.  All integers are
+ * big endian.  Device states are written in the latest version and read in
+ * any of them, in the same shape.
+ */
+
+const magic = Buffer.from('FFCT');
+const version = 2;
+const headerSize = 12;
+const messageTypes = { 1: 'DevState', 2: 'DevStateV2' };
+
+const types = ['int', 'double', 'string'];
+const qualities = ['good', 'uncertain', 'bad'];
+const int32Max = 2147483647;
+const int32Min = -2147483648;
+const uint32Max = 4294967295;
+const int64Max = 2n ** 63n - 1n;
+const int64Min = -(2n ** 63n);
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+const isInt64 = v => {
+    if (typeof v == 'number') return Number.isSafeInteger(v);
+    if (typeof v != 'string' || ! /^-?[0-9]+$/.test(v)) return false;
+    return BigInt(v) >= int64Min && BigInt(v) <= int64Max;
+};
+
+/* an integer in a Number if it is safe, otherwise in a string */
+const toInt = v => {
+    if (v == null) return 0;
+    return Number.isSafeInteger(+v) ? +v : String(v);
+};
+
+const typeOf = m => {
+    if (m.type != null) return m.type;
+    if (typeof m.value == 'string') return 'string';
+    return m.value == null || Number.isInteger(m.value) ? 'int' : 'double';
+};
+
+var specs = null;
+const loadSpecs = cb => {
+    if (specs) return cb(null, specs);
+    protobuf.load(path.join(__dirname, '../data/dev-state.proto'), (err, root) => {
+        if (err) return cb(err);
+        specs = {};
+        for (const v of Object.keys(messageTypes))
+            specs[v] = root.lookupType(messageTypes[v]);
+        cb(null, specs);
+    });
+};
+
+/**
+ * The reason why a metric is bad, or null if it is good.
+ */
+const checkMetric = m => {
+    if (! isInt(m.id, 0, uint32Max)) return `bad metric id ${m.id}`;
+    if (m.status != null && ! isInt(m.status, int32Min, int32Max))
+        return `bad status ${m.status} of metric ${m.id}`;
+
+    const type = typeOf(m);
+    switch (type) {
+    case 'int':
+        if (m.value != null && ! isInt64(m.value))
+            return `bad integer ${m.value} of metric ${m.id}`;
+        if (m.scale != null && ! isInt(m.scale, int32Min, int32Max))
+            return `bad scale ${m.scale} of metric ${m.id}`;
+        break;
+    case 'double':
+        if (typeof m.value != 'number' || ! isFinite(m.value))
+            return `bad double ${m.value} of metric ${m.id}`;
+        break;
+    case 'string':
+        if (typeof m.value != 'string') return `bad string ${m.value} of metric ${m.id}`;
+        break;
+    default:
+        return `bad type ${type} of metric ${m.id}`;
+    }
+
+    if (m.timestamp != null && ! isInt(m.timestamp, 0, uint32Max))
+        return `bad timestamp ${m.timestamp} of metric ${m.id}`;
+    if (m.quality != null && ! qualities.includes(m.quality))
+        return `bad quality ${m.quality} of metric ${m.id}`;
+    return null;
+};
+
+/**
+ * The reason why a device state is bad, or null if it is good.
+ */
+const checkDevState = devState => {
+    if (! devState || ! Array.isArray(devState.metrics)) return 'no metrics';
+    for (const m of devState.metrics) {
+        const reason = checkMetric(m || {});
+        if (reason) return reason;
+    }
+    return null;
+};
+
+const normalizeMetric = m => {
+    const type = typeOf(m);
+    const metric = {
+        id: m.id,
+        status: m.status || 0,
+        type,
+        value: type == 'int' ? toInt(m.value) : m.value,
+        scale: type == 'int' ? m.scale || 0 : 0,
+    };
+    if (m.timestamp) metric.timestamp = m.timestamp;
+    if (m.quality) metric.quality = m.quality;
+    return metric;
+};
+
+/**
+ * A device state, which is good by checkDevState, with all its metrics in
+ * the same shape as those read.
+ */
+const normalizeDevState = devState => ({
+    ...devState,
+    metrics: devState.metrics.map(normalizeMetric),
+});
+
+const toMessageMetric = m => {
+    const msg = { id: m.id, status: m.status, scale: m.scale };
+    if (m.type == 'double')
+        msg.real = m.value;
+    else if (m.type == 'string')
+        msg.text = m.value;
+    else
+        msg.value = m.value;
+    if (m.timestamp != null) msg.timestamp = m.timestamp;
+    if (m.quality != null) msg.quality = m.quality.toUpperCase();
+    return msg;
+};
+
+/* of a message decoded by toObject, with the oneof v telling which value */
+const fromMessageMetric = o => {
+    const metric = { id: o.id || 0, status: o.status || 0 };
+    if (o.v == 'real') {
+        metric.type = 'double';
+        metric.value = o.real;
+        metric.scale = 0;
+    } else if (o.v == 'text') {
+        metric.type = 'string';
+        metric.value = o.text;
+        metric.scale = 0;
+    } else {
+        metric.type = 'int';
+        metric.value = toInt(o.value);
+        metric.scale = o.scale || 0;
+    }
+    if (o.timestamp) metric.timestamp = o.timestamp;
+    if (o.quality && o.quality != 'QUALITY_UNSPECIFIED')
+        metric.quality = o.quality.toLowerCase();
+    return metric;
+};
+
+const decodeMessage = (spec, data) => {
+    const o = spec.toObject(spec.decode(data),
+        { longs: String, enums: String, oneofs: true });
+    return {
+        devid: o.devid || 0,
+        timestamp: o.timestamp || 0,
+        metrics: (o.metrics || []).map(fromMessageMetric),
+    };
+};
+
+/**
+ * Encode a device state, normalized by normalizeDevState, as the content of a
+ * tick file in the latest version.
+ */
+const encodeDevState = (devState, cb) => {
+    loadSpecs((err, specs) => {
+        if (err) return cb(err);
+
+        const spec = specs[version];
+        var encoded;
+        try {
+            encoded = spec.encode(spec.fromObject({
+                devid: devState.devid,
+                timestamp: devState.timestamp,
+                metrics: devState.metrics.map(toMessageMetric),
+            })).finish();
+        } catch (err) {
+            return cb(err);
+        }
+
+        const header = Buffer.alloc(headerSize);
+        magic.copy(header);
+        header.writeUInt16BE(version, 4);
+        header.writeUInt32BE(crc32(encoded), 8);
+        cb(null, Buffer.concat([header, encoded]));
+    });
+};
+
+/**
+ * Decode the content of a tick file of any version.  name tells where the
+ * content came from.  Fails with code ECHKSUM if the checksum is wrong.
+ */
+const decodeDevState = (buf, name, cb) => {
+    loadSpecs((err, specs) => {
+        if (err) return cb(err);
+
+        const headed = buf.length >= headerSize && buf.slice(0, 4).equals(magic);
+        const v = headed ? buf.readUInt16BE(4) : 1;
+        var ver;
+        var data;
+
+        /* a version 1 crc may happen to look like the magic */
+        if (headed && specs[v] && buf.readUInt32BE(8) == crc32(buf.slice(headerSize))) {
+            ver = v;
+            data = buf.slice(headerSize);
+        } else if (buf.length >= 4 && buf.readUInt32BE(0) == crc32(buf.slice(4))) {
+            ver = 1;
+            data = buf.slice(4);
+        } else if (headed && ! specs[v]) {
+            return cb(Error(`unknown version ${v} of ${name}`));
+        } else {
+            const err = Error('chksum error on file ' + name);
+            err.code = 'ECHKSUM';
+            return cb(err);
+        }
+
+        var devState;
+        try {
+            devState = decodeMessage(specs[ver], data);
+        } catch (err) {
+            return cb(err);
+        }
+        cb(null, devState);
+    });
+};
+
+/**
+ * Decode an encoded DevStateV2, or DevState, without the tick file header,
+ * e.g., a device state sent by a client.
+ */
+const decodeDevStateMessage = (data, cb) => {
+    loadSpecs((err, specs) => {
+        if (err) return cb(err);
+
+        var devState;
+        try {
+            devState = decodeMessage(specs[version], data);
+        } catch (err) {
+            return cb(err);
+        }
+        cb(null, devState);
+    });
+};
+
+module.exports = {
+    types,
+    qualities,
+    checkMetric,
+    checkDevState,
+    normalizeDevState,
+    encodeDevState,
+    decodeDevState,
+    decodeDevStateMessage,
+};
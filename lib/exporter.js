@@ -0,0 +1,177 @@
+'use strict';
+
+const { Transform } = require('stream');
+const { createColumnarStream } = require('./columnar');
+const { realValue } = require('./rollup');
+
+/**
+ * Export
+ * ======
+ *
+ * Export the samples of devices to a writable stream, one row per sample, in
+ * one of the formats
+ *
+ * csv          a header line followed by comma separated lines
+ * ndjson       one JSON object per line
+ * columnar     a columnar file, see columnar.js
+ *
+ * A row has devid, time (ISO string, or epoch seconds in columnar), metric id,
+ * status, value, scale, timestamp (same as time, empty or 0 if absent), type
+ * and quality (empty if absent) of the metric, see dev-state.js.  With
+ * options.real the value of a number is the real value, i.e., value *
+ * 10^scale, and its scale 0.  A value with a comma or a quote is quoted in csv, as RFC 4180
+ * tells.  The value is a float64 in columnar, which has neither type nor
+ * quality, nor the samples of strings.
+ */
+
+const formats = ['csv', 'ndjson', 'columnar'];
+
+const toRow = (devid, m, real) => ({
+    devid,
+    ticktime: m.ticktime,
+    metric: m.id,
+    status: m.status,
+    value: real && m.type != 'string' ? realValue(m.value, m.scale) : m.value,
+    scale: real && m.type != 'string' ? 0 : m.scale,
+    timestamp: m.timestamp || null,
+    type: m.type,
+    quality: m.quality || null,
+});
+
+const isoTime = epoch => epoch == null ? '' : new Date(epoch * 1000).toISOString();
+
+const csvHeader = 'devid,time,metric,status,value,scale,timestamp,type,quality\n';
+
+const csvField = v => /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+
+const csvStream = () => {
+    var headed = false;
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, cb) {
+            if (! headed) {
+                this.push(csvHeader);
+                headed = true;
+            }
+            cb(null, [
+                row.devid,
+                isoTime(row.ticktime),
+                row.metric,
+                row.status,
+                typeof row.value == 'string' ? csvField(row.value) : row.value,
+                row.scale,
+                isoTime(row.timestamp),
+                row.type,
+                row.quality || '',
+            ].join(',') + '\n');
+        },
+        flush(cb) {
+            if (! headed) this.push(csvHeader);
+            cb();
+        },
+    });
+};
+
+const ndjsonStream = () => new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, cb) {
+        const obj = {
+            devid: row.devid,
+            time: isoTime(row.ticktime),
+            metric: row.metric,
+            status: row.status,
+            type: row.type,
+            value: row.value,
+            scale: row.scale,
+        };
+        if (row.timestamp != null) obj.timestamp = isoTime(row.timestamp);
+        if (row.quality != null) obj.quality = row.quality;
+        cb(null, JSON.stringify(obj) + '\n');
+    },
+});
+
+const columnarStream = () => createColumnarStream([
+    { name: 'devid', type: 'uint32' },
+    { name: 'ticktime', type: 'uint32' },
+    { name: 'metric', type: 'uint32' },
+    { name: 'status', type: 'int32' },
+    { name: 'value', type: 'float64' },
+    { name: 'scale', type: 'int32' },
+    { name: 'timestamp', type: 'uint32' },
+]);
+
+const createFormatStream = format => {
+    switch (format) {
+    case 'csv': return csvStream();
+    case 'ndjson': return ndjsonStream();
+    case 'columnar': return columnarStream();
+    default: throw Error(`unknown export format ${format}`);
+    }
+};
+
+/**
+ * Export the samples of the devices between the two times, inclusively, to
+ * the writable stream out, which is left open.  options has
+ *
+ * devices      list of devid's, exported one after another
+ * metricIdList list of metric ids, all the metrics if empty
+ * from, to     the time range
+ * format       one of the formats, csv by default
+ * real         give real values instead of the raw ones
+ *
+ * Gives the number of exported rows.
+ */
+const exportSeries = (model, options, out, cb) => {
+    const format = options.format || 'csv';
+    var formatter;
+    var rows = 0;
+    var failed = false;
+
+    try {
+        formatter = createFormatStream(format);
+    } catch (err) {
+        return cb(err);
+    }
+
+    const fail = err => {
+        if (failed) return;
+        failed = true;
+        formatter.unpipe(out);
+        cb(err);
+    };
+
+    formatter.on('error', fail);
+    out.on('error', fail);
+    formatter.on('end', () => {
+        if (! failed) cb(null, rows);
+    });
+    formatter.pipe(out, { end: false });
+
+    (function walkDevices(devices) {
+        if (! devices.length) return formatter.end();
+
+        const devid = devices[0];
+        const toRows = new Transform({
+            objectMode: true,
+            transform(m, encoding, cb) {
+                if (format == 'columnar' && m.type == 'string') return cb();
+                ++rows;
+                cb(null, toRow(devid, m, options.real));
+            },
+        });
+
+        model.createMetricSeriesStream(devid, options.metricIdList || [],
+            options.from, options.to)
+            .on('error', fail)
+            .pipe(toRows)
+            .on('end', () => {
+                if (! failed) walkDevices(devices.slice(1));
+            })
+            .pipe(formatter, { end: false });
+    }(options.devices));
+};
+
+module.exports = {
+    formats,
+    exportSeries,
+};
@@ -2,12 +2,21 @@
 
 const path = require('path');
 const fs = require('fs');
-const redis = require('redis');
-const protobuf = require('protobufjs');
-const { crc32 } = require('crc');
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const shell = require('shelljs');
 const winston = require('winston');
 const mkdirp = require('mkdirp');
+const lockfile = require('proper-lockfile');
+const RedisIndex = require('./redis-index');
+const FileIndex = require('./file-index');
+const archive = require('./archive');
+const rollup = require('./rollup');
+const catalog = require('./catalog');
+const devStateCodec = require('./dev-state');
+const segment = require('./segment');
+const gaps = require('./gaps');
+const { createStats } = require('./stats');
 
 /**
  * Terms
@@ -21,52 +30,411 @@ const mkdirp = require('mkdirp');
  * block:       N consecutive hours. N defults to 2 and can be set from environment
  *              variable FM_HOuRS_PER_BLOCK
  *
+ * segment:     the ticks of a level 1 block before the current one compacted
+ *              in a single file by housekeeping, see segment.js.  Ticks coming
+ *              late are kept in tick files aside, which take precedence.
+ *
+ * Options
+ * =======
+ *
+ * Every option given to the constructor falls back to an environment variable,
+ * then to the JSON config file, then to the default.
+ *
+ * option       env                 default
+ * ------       ---                 -------
+ * configFile   FM_CONFIG           $HOME/.config/ffc/ffcmodel.json
+ * keyPrefix    FM_KEY_PREFIX       fm
+ * dataRoot     FM_DATA_ROOT        $HOME/.local/share/ffc/dev-state, or
+ *                                  $HOME/.local/share/ffc/<keyPrefix>/dev-state
+ *                                  for a keyPrefix other than the default
+ * logRoot      FM_LOG_ROOT         $HOME/.local/share/ffc/log
+ * index        FM_INDEX            redis, or file for the embedded index
+ * indexFile    FM_INDEX_FILE       <dataRoot>/index.json
+ * redisUrl     FM_REDIS_URL        redis://127.0.0.1:6379
+ * redisDb      FM_REDIS_DB         0
+ * blockHours   FM_HOURS_PER_BLOCK  2, which has to divide 24, see Layout
+ * lockStale    FM_LOCK_STALE       10000, milliseconds after which a lock not
+ *                                  kept fresh by its holder is taken as stale
+ * lockTimeout  FM_LOCK_TIMEOUT     30000, milliseconds to wait for a lock
+ * catalogPolicy FM_CATALOG_POLICY  accept, how device states are validated
+ *                                  against the metric catalog, see catalog.js
+ *
+ * Two models are isolated from each other as long as they have different
+ * keyPrefix's and dataRoot's.
+ *
+ * Layout
+ * ======
+ *
+ * The blockHours the data is in is kept in <dataRoot>/meta.json, as
+ * { blockHours }, written when the model is created on a dataRoot without it.
+ * Data already there is taken as in the blocks its names tell, and the model
+ * is refused if they tell neither the blockHours nor a single other one.
+ * A model refuses to be created with another blockHours, since the blocks of
+ * the data would not be found, unless adoptStoredLayout is given to the
+ * constructor, in which case the stored one is taken.  The data is moved to
+ * blocks of other hours by migrateBlockHours, during which meta.json has the
+ * migration too, as { blockHours, phase }, and no model can be created but
+ * with adoptStoredLayout.  The migration holds the layout lock of the dataRoot
+ * (see Locks), so that no model is created and no block is locked meanwhile.
+ *
  * Used Redis Keys Used
  * ====================
  *
+ * The keys are kept in an index backend, which is a Redis server (see
+ * redis-index.js) or an embedded one backed by files (see file-index.js).
+ * All keys are prefixed by the keyPrefix, which is 'fm' by default.
+ *
  * fm:devices           sorted set of devid's
  * fm:blk:<devid>       sorted set of blocks in which the device have data
  * fm:lgv:<devid>       copy of last good value of the device
  *
  * fm:_blk:<devid>      sorted set of blocks in which the dev have archived data
+ * fm:rollup:<devid>    hash of hourly rollups (see rollup.js) of the archived
+ *                      blocks of the device, by block
+ *
+ * fm:retention         hash of retention policies in JSON, by devid, or '*'
+ *                      for the global one
+ *
+ * fm:events:<devid>    pub/sub channel of the events of the device, see Events
+ *
+ * fm:catalog           hash of metric definitions (see catalog.js) in JSON, by
+ *                      metric id
  *
  * fm:blk:l2            blocks that are opened archives
  * fm:blk:l2:counter    used counts of level 2 blocks
+ * fm:blk:l2:decayed    last time the level 2 used counts were decayed
+ *
+ * Events
+ * ======
+ *
+ * Changes of the data are published on the channel fm:events:<devid> of the
+ * index backend, as JSON of { type, devid, ... } where type is one of
+ *
+ * stored       a tick is stored, with its ticktime and metrics
+ * merged       a tick is merged into the one stored at the same ticktime, with
+ *              its ticktime and the metrics after merged
+ * lgv          metrics of the last good value change, with the ticktime and
+ *              the metric ids as metrics
+ * archived     a block is archived, with the block
+ * removed      a block is removed, with the block
+ *
+ * A tick put into an archive (see putDeviceState) has backdated set.  Ticktimes
+ * are in epoch seconds.  With the embedded index, events are only seen in the
+ * process where they are made.
+ *
+ * Retention
+ * =========
+ *
+ * A retention policy is set for all the devices, or for a device whose fields
+ * take precedence over the global ones, with the fields
+ *
+ * level1Hours  hours to keep ticks in level 1 blocks before they are archived,
+ *              from the end of their blocks
+ * archiveDays  days to keep the archives before they are removed, likewise
+ * quotaBytes   disk space of the level 1 blocks and the archives not to be
+ *              exceeded, by all the devices for the global policy or by the
+ *              device.  The oldest archives are removed first, level 1 blocks
+ *              are never removed for it.
+ *
+ * Retention is applied by housekeeping, which logs a summary of the run.  A
+ * device left without any data is still listed, with its last good value.
+ *
+ * Locks
+ * =====
+ *
+ * A device block is locked while its tick files are written, while it is
+ * archived, converted from a legacy archive, extracted as a level 2 block or
+ * evicted, so that processes sharing a dataRoot do not step on each other.  The
+ * locks are directories made by proper-lockfile under <dataRoot>/locks.  A lock
+ * whose holder died is taken as stale after lockStale.
+ *
+ * A block being read is pinned by a file of the model in
+ * <dataRoot>/locks/pins/<devid>-<block>, made holding the lock of the block,
+ * kept fresh while it is read and taken as stale likewise.  A block pinned by
+ * any process is not archived, compacted, evicted from level 2 nor removed by
+ * retention or with its device, which check the pins holding the lock, so that
+ * it does not change under its readers.
+ *
+ * The layout lock, <dataRoot>/locks/layout, is held while the data is migrated
+ * to other blocks.  Block locks are refused while it is held, and it is only
+ * taken once the block locks held are released.
  *
  */
 
-const devDataRoot = path.join(process.env['HOME'], '.local/share/ffc/dev-state');
-const logRoot = path.join(process.env['HOME'], '.local/share/ffc/log');
+const ffcRoot = path.join(process.env['HOME'], '.local/share/ffc');
+const dftConfigFile = path.join(process.env['HOME'], '.config/ffc/ffcmodel.json');
+const dftKeyPrefix = 'fm';
 const dftBlockHours = 2;
+const dftL2HalfLifeHours = 24;
+const dftLockStale = 10000;
+const dftLockTimeout = 30000;
+const lockRetryInterval = 50;
+const dftCatalogPolicy = 'accept';
+const retentionFields = ['level1Hours', 'archiveDays', 'quotaBytes'];
 const deviceNumMax = 1000;  /* must in ten's power */
+const batchParallelMax = 16;    /* devices written at a time in a batch */
+
+/**
+ * Make a callback style method callable in both ways.  If the last argument is
+ * a function it is called back as before, otherwise a promise is returned.
+ * Either way, the result is delivered exactly once.  When the method calls back
+ * with more than one result, toValue combines them into the resolved value.  An
+ * error thrown by the callback is thrown on, not given to it once again.
+ */
+const callbackOrPromise = (method, toValue) => (...args) => {
+    const cb = typeof args[args.length - 1] == 'function' ? args.pop() : null;
+    var settled = false;
+
+    const call = done => {
+        const once = (...results) => {
+            if (settled) return;
+            settled = true;
+            done(...results);
+        };
+        try {
+            method(...args, once);
+        } catch (err) {
+            /* thrown by the callback, not by the method */
+            if (settled) throw err;
+            once(err);
+        }
+    };
+
+    if (cb) return call(cb);
+    return new Promise((resolve, reject) => {
+        call((err, ...results) => {
+            if (err) return reject(err);
+            resolve(toValue ? toValue(...results) : results[0]);
+        });
+    });
+};
+
+const optionEnvs = {
+    keyPrefix: 'FM_KEY_PREFIX',
+    dataRoot: 'FM_DATA_ROOT',
+    logRoot: 'FM_LOG_ROOT',
+    index: 'FM_INDEX',
+    indexFile: 'FM_INDEX_FILE',
+    redisUrl: 'FM_REDIS_URL',
+    redisDb: 'FM_REDIS_DB',
+    blockHours: 'FM_HOURS_PER_BLOCK',
+    lockStale: 'FM_LOCK_STALE',
+    lockTimeout: 'FM_LOCK_TIMEOUT',
+    catalogPolicy: 'FM_CATALOG_POLICY',
+};
+
+/* blocks have to be aligned to days, or a block would span two days */
+const isBlockHours = n => Number.isInteger(n) && n > 0 && 24 % n == 0;
+
+/**
+ * Merge the constructor options with the environment, the config file and the
+ * defaults, in that order of precedence.
+ */
+const resolveOptions = options => {
+    const resolved = {};
+    const configFile = options.configFile || process.env['FM_CONFIG']
+        || dftConfigFile;
+    var config = {};
+
+    try {
+        config = JSON.parse(fs.readFileSync(configFile));
+    } catch (err) {
+        if (err.code != 'ENOENT' || configFile != dftConfigFile)
+            throw Error(`bad config file ${configFile}: ${err.message}`);
+    }
+
+    for (const name of Object.keys(optionEnvs)) {
+        if (options[name] != null)
+            resolved[name] = options[name];
+        else if (process.env[optionEnvs[name]] != null)
+            resolved[name] = process.env[optionEnvs[name]];
+        else
+            resolved[name] = config[name];
+    }
+
+    if (! resolved.keyPrefix) resolved.keyPrefix = dftKeyPrefix;
+    if (! resolved.dataRoot)
+        resolved.dataRoot = resolved.keyPrefix == dftKeyPrefix
+            ? path.join(ffcRoot, 'dev-state')
+            : path.join(ffcRoot, resolved.keyPrefix, 'dev-state');
+    if (! resolved.logRoot) resolved.logRoot = path.join(ffcRoot, 'log');
+
+    const n = resolved.blockHours;
+    if (n == null || n === '')
+        resolved.blockHours = dftBlockHours;
+    else if (isBlockHours(+n))
+        resolved.blockHours = +n;
+    else
+        throw Error(`bad blockHours ${n}, which has to divide 24`);
+
+    resolved.lockStale = +resolved.lockStale > 0 ? +resolved.lockStale : dftLockStale;
+    resolved.lockTimeout = +resolved.lockTimeout >= 0
+        ? +resolved.lockTimeout : dftLockTimeout;
+    if (! catalog.policies.includes(resolved.catalogPolicy))
+        resolved.catalogPolicy = dftCatalogPolicy;
+
+    return resolved;
+};
+
+const metadataFile = dataRoot => path.join(dataRoot, 'meta.json');
+
+/**
+ * Tell the blockHours the data in a dataRoot may be in from the names of its
+ * blocks and tick files, for data kept before there was metadata.  A block is
+ * <yyyymmdd><n> where n is the hour of the day of its ticks divided by the
+ * block hours.  Gives null if there is no data.
+ */
+const inferBlockHours = dataRoot => {
+    const list = dir => {
+        try {
+            return fs.readdirSync(dir);
+        } catch (err) {
+            return [];
+        }
+    };
+    const fits = block => hours => block % 100 < 24 / hours;
+    var choices = [1, 2, 3, 4, 6, 8, 12, 24];
+    var found = false;
+
+    for (const name of list(dataRoot).filter(name => /^[0-9]+$/.test(name))) {
+        const block = +name;
+        found = true;
+        choices = choices.filter(fits(block));
+        for (const devid of list(path.join(dataRoot, name))) {
+            for (const file of list(path.join(dataRoot, name, devid))) {
+                const m = /^([0-9.]+)\.dat$/.exec(file);
+                if (! m) continue;
+                const hour = new Date(m[1] * 1000).getUTCHours();
+                choices = choices.filter(hours => Math.trunc(hour / hours) == block % 100);
+            }
+        }
+    }
+
+    for (const devid of list(path.join(dataRoot, 'archive'))) {
+        for (const file of list(path.join(dataRoot, 'archive', devid))) {
+            const m = /^[0-9]+-([0-9]+)\.(fca|tgz)$/.exec(file);
+            if (! m) continue;
+            found = true;
+            choices = choices.filter(fits(+m[1]));
+        }
+    }
+    return found ? choices : null;
+};
+
+/**
+ * Load the metadata of the data in a dataRoot (see Layout), or create it if
+ * there is none, with the blockHours unless the data there is in other ones.
+ */
+const loadMetadata = (dataRoot, blockHours) => {
+    const filename = metadataFile(dataRoot);
+    var meta;
+    try {
+        meta = JSON.parse(fs.readFileSync(filename));
+    } catch (err) {
+        if (err.code != 'ENOENT')
+            throw Error(`bad metadata file ${filename}: ${err.message}`);
+
+        const choices = inferBlockHours(dataRoot);
+        if (choices && ! choices.includes(blockHours)) {
+            if (choices.length != 1)
+                throw Error(`no metadata file ${filename} for the data, which is`
+                    + ` not in blocks of ${blockHours} hours nor of known ones`);
+            blockHours = choices[0];
+        }
+        meta = { blockHours };
+        fs.mkdirSync(dataRoot, { recursive: true });
+        fs.writeFileSync(filename, JSON.stringify(meta) + '\n');
+        return meta;
+    }
+
+    if (! meta || ! isBlockHours(meta.blockHours))
+        throw Error(`bad metadata file ${filename}: bad blockHours`);
+    return meta;
+};
 
-function FfcModel()
+/**
+ * The error given when a device state can not be saved since it is older than
+ * the level 1 blocks of the device, told apart from the others by its code.
+ */
+const outOfRangeError = (devid, where) => {
+    const err = Error(`cannot save ${where} for device ${devid}: out of range`);
+    err.code = 'EOUTOFRANGE';
+    return err;
+};
+
+/* the modes of projectMetrics */
+const projectionModes = ['previous', 'nearest', 'linear'];
+
+/**
+ * Run the tasks, each of which takes a callback, with at most limit of them
+ * running at a time.  Stop at the first error.
+ */
+const inParallel = (tasks, limit, cb) => {
+    var next = 0;
+    var running = 0;
+    var failed = false;
+
+    if (! tasks.length) return cb(null);
+    (function launch() {
+        while (running < limit && next < tasks.length) {
+            ++running;
+            tasks[next++](err => {
+                --running;
+                if (failed) return;
+                if (err) {
+                    failed = true;
+                    return cb(err);
+                }
+                if (next == tasks.length && ! running) return cb(null);
+                launch();
+            });
+        }
+    }());
+};
+
+function FfcModel(options)
 {
-    var client;
+    var index;
+    var embeddedIndex;
     var logger;
+    var keyPrefix;
+    var devDataRoot;
     var blockHours;
+    var lockStale;
+    var lockTimeout;
+    var catalogPolicy;
     var level1BlocksTravelMax;
     var archiveBlocksTravelMax;
+    const pinnedBlocks = new Map();     /* pins of this model, by combined name */
+    const pinToken = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const stats = createStats();
 
     /**
      * A blockindex (or shortly block) is an unambiguous integer identity of a
      * block. Blockindex was created from time.
      *
      * Sample example blockindexs are: 2020010100, 2020010102
+     *
+     * hours, if given, are those of a block instead of blockHours.
      */
-    const timeToBlockindex = time => {
+    const timeToBlockindex = (time, hours) => {
         const y = time.getUTCFullYear();
         const m = time.getUTCMonth() + 1;
         const d = time.getUTCDate();
         const h = time.getUTCHours();
-        return y * 1000000 + m * 10000 + d * 100 + Math.trunc(h / blockHours);
+        return y * 1000000 + m * 10000 + d * 100 + Math.trunc(h / (hours || blockHours));
     };
 
+    const indexKey = (...parts) => [keyPrefix, ...parts].join(':');
+
     const blockdir = block => path.join(devDataRoot, block.toString());
     const devBlockdir =
         (devid, block) => path.join(blockdir(block), devid.toString());
     const archiveDir = devid => path.join(devDataRoot, 'archive', devid.toString());
     const archiveName =
+        (devid, block) => path.join(archiveDir(devid), `${devid}-${block}.fca`);
+    /* archives made by tar, which have to be extracted to be read */
+    const legacyArchiveName =
         (devid, block) => path.join(archiveDir(devid), `${devid}-${block}.tgz`);
     const combinedBlockName = (devid, block) => block * deviceNumMax + devid;
 
@@ -79,112 +447,159 @@ function FfcModel()
         return {pathname, tmpname};
     };
 
+    const lockDir = () => path.join(devDataRoot, 'locks');
+    const layoutLockFile = () => path.join(lockDir(), 'layout');
+
+    const lockOptions = (what, retries) => ({
+        realpath: false,
+        stale: lockStale,
+        retries: {
+            retries,
+            factor: 1,
+            minTimeout: lockRetryInterval,
+            maxTimeout: lockRetryInterval,
+        },
+        onCompromised: err => {
+            logger.error(`lock of ${what} compromised: ${err.message}`);
+        },
+    });
+
+    /* fails if another model is migrating the data, see Locks */
+    const checkLayoutUnlocked = cb => {
+        lockfile.check(layoutLockFile(), { realpath: false, stale: lockStale })
+            .then(locked => {
+                cb(locked ? Error(`data in ${devDataRoot} being migrated`) : null);
+            }, cb);
+    };
+
+    /**
+     * Run task(done) holding the lock of a device block, and call back with
+     * what the task gives once the lock is released.  Fails if the lock can
+     * not be taken in lockTimeout, or the data is being migrated.
+     */
+    const withBlockLock = (devid, block, task, cb) => {
+        const file = path.join(lockDir(), `${devid}-${block}`);
+
+        mkdirp(lockDir())
+            .then(() => lockfile.lock(file, lockOptions(`block ${block} of device ${devid}`,
+                Math.ceil(lockTimeout / lockRetryInterval))))
+            .then(release => {
+                const unlock = (...results) => {
+                    release()
+                        .catch(err => {
+                            logger.error(`release lock of block ${block}`
+                                + ` of device ${devid}: ${err.message}`);
+                        })
+                        .then(() => cb(...results));
+                };
+
+                /* checked once locked, since the migration waits for the lock */
+                checkLayoutUnlocked(err => {
+                    if (err) return unlock(err);
+                    task(unlock);
+                });
+            }, err => {
+                if (err.code == 'ELOCKED')
+                    err = Error(`timeout locking block ${block} of device ${devid}`);
+                cb(err);
+            });
+    };
+
+    /* events are told without waiting, and their failures only logged */
+    const publishEvent = event => {
+        index.publish(indexKey('events', event.devid), JSON.stringify(event), err => {
+            if (err) logger.error(err);
+        });
+    };
+
+    const tickEvent = (devid, t, devState, newFile) => ({
+        type: newFile ? 'stored' : 'merged',
+        devid,
+        ticktime: t,
+        metrics: devState.metrics,
+    });
+
     const markTime = (devid, ticktime, cb) => {
         const block = timeToBlockindex(ticktime);
 
-        client.zadd(['fm:blk:' + devid, block, block], cb);
+        index.zadd(indexKey('blk', devid), block, block, cb);
     };
 
     const markDeviceBlockArchived = (devid, block, cb) => {
-        client.zadd(['fm:_blk:' + devid, block, block], cb);
+        index.zadd(indexKey('_blk', devid), block, block, cb);
     };
 
     const removeDeviceBlockIndex = (devid, block, cb) => {
-        client.zrem(['fm:blk:' + devid, block], cb);
+        index.zrem(indexKey('blk', devid), block, cb);
     };
 
-    const loadDevStateSpec = cb => {
-        protobuf.load('data/dev-state.proto', (err, root) => {
-            if (err) return cb(err);
-
-            const spec = root.lookupType('DevState');
-            var protoErr = spec.verify(spec);
-            if (protoErr) return cb(Error(protoErr));
-            return cb(null, spec);
+    /**
+     * Decode the content of a tick file of any version, see dev-state.js.
+     * name tells where the content came from.
+     */
+    const decodeDevStateBuffer = (buf, name, cb) => {
+        devStateCodec.decodeDevState(buf, name, (err, devState) => {
+            if (err && err.code == 'ECHKSUM') stats.count('crcFailures');
+            cb(err, devState);
         });
     };
 
     const readDevStateFromFile = (pathname, cb) => {
-        const chkcrc = (crc32Array, data) => {
-            var chksum = 0;
-            for (var i = 0; i < 32/8; ++i) chksum = chksum * 256 + crc32Array[i];
-            return chksum == crc32(data);
-        };
-
-        const decodeDevState = (data, cb) => {
-            loadDevStateSpec((err, spec) => {
-                var devState;
-                try {
-                    devState = spec.decode(data);
-                } catch (err) {
-                    cb(err);
-                }
-                cb(null, devState);
-            });
-        };
-
         fs.readFile(pathname, (err, buf) => {
             if (err) return cb(err)
+            decodeDevStateBuffer(buf, pathname, cb);
+        });
+    };
 
-            const crc32Array = buf.slice(0, 32/8); 
-            const data = buf.slice(32/8);
-
-            if (! chkcrc(crc32Array, data))
-                return cb(Error('chksum error on file ' + pathname));
+    /**
+     * Encode a device state as the content of a tick file, see
+     * decodeDevStateBuffer.
+     */
+    const serializeDevState = (devState, cb) => {
+        devStateCodec.encodeDevState(devState, cb);
+    };
 
-            decodeDevState(data, cb);
-        });
+    /* metrics of the device state, and those of the existed one not in it */
+    const mergeDevState = (devState, existedState) => {
+        const ids = devState.metrics.map(m => m.id);
+        devState.metrics = devState.metrics.concat(
+            existedState.metrics.filter(m => ! ids.includes(m.id)));
     };
 
     const persistDevState = (devid, ticktime, devState, cb) => {
         const {pathname, tmpname} = devStateFilename(devid, ticktime);
 
-        const serializeDevState = cb => {
-            loadDevStateSpec((err, spec) => {
-                if (err) return cb(err);
-
-                const encoded = spec.encode(spec.fromObject(devState)).finish();
-                const chksum = crc32(encoded);
-                const chksumArray = new Uint8Array(32/8);
-                for (var i = 0; i < chksumArray.length; ++i)
-                    chksumArray[i] = chksum >> 8 * (chksumArray.length - 1 - i);
-
-                cb(null, Buffer.concat([chksumArray, encoded]));
-            });
-        };
-
         const wrFile = (buf, cb) => {
             mkdirp(path.dirname(tmpname))
                 .then(() => {
                     fs.writeFile(tmpname, buf, err => {
                         if (err) return cb(err); 
-                        fs.rename(tmpname, pathname, err => {
-                            cb(null);
-                        });
+                        fs.rename(tmpname, pathname, cb);
                     });
                 })
                 .catch(cb);
         };
 
-        const pickupMetrics = (devState, excludeList) => {
-            const result = [];
-            for (const m of devState.metrics) {
-                if (! excludeList.includes(m.id))
-                    result.push(m);
-            }
-            return result;
+        /* a tick of a compacted block is in the segment if not in a file */
+        const readExisted = cb => {
+            readDevStateFromFile(pathname, (err, existedState) => {
+                if (! err) return cb(existedState);
+                const dir = path.dirname(pathname);
+                readSegment(dir, [segment.filename], (err, segmentTicks) => {
+                    if (err && err.code != 'ENOENT') logger.error(err);
+                    cb(err ? null : segmentTicks.get(Math.trunc(ticktime.valueOf() / 1000)));
+                });
+            });
         };
 
-        readDevStateFromFile(pathname, (err, existedState) => {
+        readExisted(existedState => {
             var newFile = true;
-            if (! err) {
+            if (existedState) {
                 logger.info(`update exist tick. devid ${devid} ticktime ${ticktime}`);
                 newFile = false;
-                devState.metrics = devState.metrics.concat(
-                    pickupMetrics(existedState,
-                        devState.metrics.map( m => m.id )));
+                mergeDevState(devState, existedState);
             }
-            serializeDevState((err, buf) => {
+            serializeDevState(devState, (err, buf) => {
                 if (err) return cb(err);
                 wrFile(buf, err => {
                     if (err) return cb(err);
@@ -201,27 +616,50 @@ function FfcModel()
      * ever recorded for any last metrics of the device, with which we can associate
      * the whole set of last metrics of this device.
      */
+    const lastGoodValueFields = (metric, t) => {
+        const id = metric.id.toString();
+        const fields = {
+            [id + '_ticktime']: t,
+            [id + '_status']: metric.status,
+            [id + '_type']: metric.type,
+            [id + '_value']: metric.value,
+            [id + '_scale']: metric.scale,
+            /* empty for none, so that it is not left from an older one */
+            [id + '_quality']: metric.quality || '',
+        };
+        if (metric.timestamp != null)
+            fields[id + '_timestamp'] = metric.timestamp;
+        return fields;
+    };
+
+    /*
+     * a metric of the last good value from its fields, which have no type if
+     * kept before metrics had types
+     */
+    const lastGoodValueMetric = (id, props) => {
+        const type = props.type || 'int';
+        const m = {
+            id,
+            status: +props.status,
+            type,
+            value: type == 'string' ? props.value
+                : type == 'double' || Number.isSafeInteger(+props.value) ? +props.value
+                : props.value,
+            scale: +props.scale || 0,
+            ticktime: +props.ticktime,
+        };
+        if (props.timestamp != null) m.timestamp = +props.timestamp;
+        if (props.quality) m.quality = props.quality;
+        return m;
+    };
+
     const updateLastGoodValue = (devid, devState, ticktime, cb) => {
         const t = Math.trunc(ticktime.valueOf() / 1000);
-        const key = 'fm:lgv:' + devid;
-        var modified = false;
+        const key = indexKey('lgv', devid);
+        const changed = [];
 
         const updateMetric = (metric, cb) => {
-            const id = metric.id.toString();
-            const args = [
-                key,
-                id + '_ticktime',
-                t,
-                id + '_status',
-                metric.status,
-                id + '_value',
-                metric.value,
-                id + '_scale',
-                metric.scale,
-            ];
-            if (metric.timestamp != null)
-                args.push(id + '_timestamp', metric.timestamp);
-            client.hmset(args, cb);
+            index.hmset(key, lastGoodValueFields(metric, t), cb);
         };
 
         (function updateMetrics(metrics, cb) {
@@ -231,24 +669,59 @@ function FfcModel()
 
             const id = m.id.toString();
 
-            client.hget(key, id + '_ticktime', (err, thatTime) => {
+            index.hget(key, id + '_ticktime', (err, thatTime) => {
                 if (err) return cb(err);
-                if (thatTime && +thatTime > t) return cb(null);
+                if (thatTime && +thatTime > t) return updateMetrics(remaining, cb);
                 updateMetric(m, err => {
                     if (err) return cb(err);
-                    modified = true;
+                    changed.push(m.id);
                     updateMetrics(remaining, cb);
                 });
             });
         }(devState.metrics, err => {
-            if (! modified) return cb(null);
-            client.hget(key, 'ticktime', (err, lasttime) => {
+            if (err || ! changed.length) return cb(err);
+            publishEvent({ type: 'lgv', devid, ticktime: t, metrics: changed });
+            index.hget(key, 'ticktime', (err, lasttime) => {
+                if (err) return cb(err);
                 if (lasttime && lasttime >= t) return cb(null);
-                client.hset(key, 'ticktime', t, cb);
+                index.hset(key, 'ticktime', t, cb);
             });
         }));
     };
 
+    /**
+     * Same as updateLastGoodValue but for a number of ticks of a device at
+     * once, given the last good value already there.  Gives the fields to
+     * change, or null if nothing changes.
+     */
+    const lastGoodValueChanges = (hash, ticks) => {
+        const fields = {};
+        var lasttime = hash && hash.ticktime != null ? +hash.ticktime : null;
+        var modified = false;
+
+        const ticktimeOf = id => {
+            if (fields[id + '_ticktime'] != null) return fields[id + '_ticktime'];
+            if (hash && hash[id + '_ticktime'] != null) return +hash[id + '_ticktime'];
+            return null;
+        };
+
+        for (const { t, devState } of [...ticks].sort((a, b) => a.t - b.t)) {
+            var tickModified = false;
+            for (const m of devState.metrics) {
+                const thatTime = ticktimeOf(m.id);
+                if (thatTime != null && thatTime > t) continue;
+                Object.assign(fields, lastGoodValueFields(m, t));
+                tickModified = true;
+            }
+            if (tickModified && (lasttime == null || t > lasttime)) {
+                fields.ticktime = t;
+                lasttime = t;
+            }
+            modified = modified || tickModified;
+        }
+        return modified ? fields : null;
+    };
+
     const removeDeviceBlock = (devid, block, cb) => {
         logger.info(`remove block ${block} of device ${devid}`);
         removeDeviceBlockIndex(devid, block, err => {
@@ -272,23 +745,29 @@ function FfcModel()
     };
 
     const removeDeviceBlockAfter = (devid, block, cb) => {
-        const key = `fm:blk:${devid}`;
+        const key = indexKey('blk', devid);
         const rangeStart = `(${block}`;
-        client.zrangebyscore(key, rangeStart, '+inf', (err, blockList) => {
+        index.zrangebyscore(key, rangeStart, '+inf', (err, blockList) => {
             if (err || ! blockList || ! blockList.length) return cb(err);
 
             logger.debug(`device ${devid} got ${blockList.length} younger than now blocks to remove`);
             (function processBlocks(blocks) {
                 if (! blocks.length) return cb(null);
                 const block = blocks[0];
-                removeDeviceBlockIndex(devid, block, err => {
-                    if (err) return cb(err);
+                withBlockLock(devid, block, done => {
+                    removeDeviceBlockIndex(devid, block, err => {
+                        if (err) return done(err);
 
-                    try {
-                        shell.rm('-rf', devBlockdir(devid, block));
-                    } catch (err) {
-                        return cb(err);
-                    }
+                        try {
+                            shell.rm('-rf', devBlockdir(devid, block));
+                        } catch (err) {
+                            return done(err);
+                        }
+                        publishEvent({ type: 'removed', devid, block: +block });
+                        done(null);
+                    });
+                }, err => {
+                    if (err) return cb(err);
                     processBlocks(blocks.slice(1));
                 });
             }(blockList));
@@ -299,13 +778,13 @@ function FfcModel()
      * Remove blocks younger than the given one from all the devices.
      */
     const removeBlocksAfter = (block, cb) => {
-        client.zrange(['fm:devices', 0, -1], (err, devList) => {
-            if (err || ! devList) return (cb);
+        index.zrange(indexKey('devices'), 0, -1, (err, devList) => {
+            if (err || ! devList) return cb(err);
 
             (function processDevices(devList) {
                 if (! devList.length) return cb(null);
 
-                const devid = devList[0];
+                const devid = +devList[0];
                 removeDeviceBlockAfter(devid, block, err => {
                     if (err) return cb(err);
                     processDevices(devList.slice(1));
@@ -314,57 +793,233 @@ function FfcModel()
         });
     };
 
-    const saveDevStateAndUpdateIndex =
-        (devid, ticktime, devState, cb) => {
-            persistDevState(devid, ticktime, devState,
-                (err, newFile) => {
-                    if (err) return cb(err);
+    /**
+     * A block can be written as long as it is not archived, which is checked
+     * holding the lock of the block since it may have been archived by another
+     * process after the range of the device was checked.
+     */
+    const checkBlockWritable = (devid, block, cb) => {
+        isBlockInArchive(devid, block, yes => {
+            if (yes) return cb(outOfRangeError(devid, `in block ${block}`));
+            cb(null);
+        });
+    };
+
+    /**
+     * Save a device state older than the level 1 blocks of the device into the
+     * archive of its block, which is rewritten with the tick merged in, or made
+     * if the device has no data in the block.  A legacy archive is converted
+     * first.
+     */
+    const saveBackdatedDevState = (devid, ticktime, devState, cb) => {
+        const block = timeToBlockindex(ticktime);
+        const t = Math.trunc(ticktime.valueOf() / 1000);
+        const filename = archiveName(devid, block);
+
+        const convertIfLegacy = cb => {
+            fs.access(filename, err => {
+                if (! err) return cb(null);
+                fs.access(legacyArchiveName(devid, block), err => {
+                    if (err) return cb(null);
+                    convertLegacyArchive(devid, block, cb);
+                });
+            });
+        };
+
+        const readRecords = cb => {
+            archive.openArchive(filename, (err, reader) => {
+                if (err) return cb(err.code == 'ENOENT' ? null : err, []);
 
-                    updateLastGoodValue(devid, devState, ticktime, err => {
+                const records = [];
+                (function walkTicks(ticks) {
+                    if (! ticks.length) return cb(null, records);
+                    reader.read(ticks[0], (err, data) => {
                         if (err) return cb(err);
-                        markTime(devid, ticktime, err => {
-                            if (err || ! newFile) return cb(err);
-                            client.zadd(['fm:devices', devid, devid], cb)
-                        });
+                        records.push({ ticktime: ticks[0], data });
+                        walkTicks(ticks.slice(1));
                     });
+                }(reader.ticks));
+            });
+        };
+
+        var merged = false;
+        const merge = (records, cb) => {
+            const existed = records.find(r => r.ticktime == t);
+            if (! existed) return cb(null);
+            merged = true;
+            decodeDevStateBuffer(existed.data, `${filename}:${t}`,
+                (err, existedState) => {
+                    if (err) return cb(err);
+                    mergeDevState(devState, existedState);
+                    cb(null);
                 });
         };
 
-    const archiveDeviceBlock = (devid, block, cb) => {
-        logger.info(`archive block ${block} of device ${devid}`);
+        logger.info(`put backdated tick ${t} into block ${block} of device ${devid}`);
+        convertIfLegacy(err => {
+            if (err) return cb(err);
 
-        const sdir = path.join(path.basename(blockdir(block)), devid.toString());
-        const pdir = devDataRoot;
+            withBlockLock(devid, block, done => {
+                readRecords((err, records) => {
+                    if (err) return done(err);
+                    merge(records, err => {
+                        if (err) return done(err);
+                        serializeDevState(devState, (err, data) => {
+                            if (err) return done(err);
 
-        mkdirp(archiveDir(devid))
-            .then(() => {
-                const cmdline = `tar czf ${archiveName(devid, block)} -C ${pdir} ${sdir}`;
-                try {
-                    shell.exec(cmdline, { silent: true }, (code, stdout, stderr) => {
-                        if (stderr) logger.error(stderr);
-                        removeDeviceBlock(devid, block, err => {
-                            if (err) return cb(err);
-                            markDeviceBlockArchived(devid, block, cb);
+                            records = records.filter(r => r.ticktime != t)
+                                .concat({ ticktime: t, data });
+                            mkdirp(archiveDir(devid))
+                                .then(() => {
+                                    archive.writeArchive(filename, records, err => {
+                                        if (err) return done(err);
+                                        storeBlockRollup(devid, block, records, err => {
+                                            if (err) return done(err);
+                                            markDeviceBlockArchived(devid, block, done);
+                                        });
+                                    });
+                                })
+                                .catch(done);
                         });
                     });
-                } catch(err) {
-                    cb(err);
-                }
-            })
-            .catch(cb);
+                });
+            }, err => {
+                if (err) return cb(err);
+                publishEvent({ ...tickEvent(devid, t, devState, ! merged), backdated: true });
+                updateLastGoodValue(devid, devState, ticktime, err => {
+                    if (err) return cb(err);
+                    index.zadd(indexKey('devices'), devid, devid, cb);
+                });
+            });
+        });
+    };
+
+    const saveDevStateAndUpdateIndex =
+        (devid, ticktime, devState, cb) => {
+            const block = timeToBlockindex(ticktime);
+
+            withBlockLock(devid, block, done => {
+                checkBlockWritable(devid, block, err => {
+                    if (err) return done(err);
+                    persistDevState(devid, ticktime, devState, (err, newFile) => {
+                        if (err) return done(err);
+                        markTime(devid, ticktime, err => done(err, newFile));
+                    });
+                });
+            }, (err, newFile) => {
+                if (err) return cb(err);
+
+                publishEvent(tickEvent(devid, Math.trunc(ticktime.valueOf() / 1000),
+                    devState, newFile));
+                updateLastGoodValue(devid, devState, ticktime, err => {
+                    if (err || ! newFile) return cb(err);
+                    index.zadd(indexKey('devices'), devid, devid, cb)
+                });
+            });
+        };
+
+    /**
+     * Read all the ticks in a directory as archive records, those of the
+     * segment encoded as tick files unless there are the files.
+     */
+    const readArchiveRecords = (dir, cb) => {
+        fs.readdir(dir, (err, files) => {
+            if (err) return cb(err);
+
+            readSegment(dir, files, (err, segmentTicks) => {
+                if (err) return cb(err);
+
+                const records = [];
+                const addSegmentTicks = list => {
+                    if (! list.length) return cb(null, records);
+                    const [ticktime, devState] = list[0];
+                    serializeDevState(devState, (err, data) => {
+                        if (err) return cb(err);
+                        records.push({ ticktime, data });
+                        addSegmentTicks(list.slice(1));
+                    });
+                };
+
+                (function walkFiles(files) {
+                    if (! files.length) return addSegmentTicks(Array.from(segmentTicks));
+                    fs.readFile(path.join(dir, files[0]), (err, data) => {
+                        if (err) return cb(err);
+                        const ticktime = +files[0].split('.')[0];
+                        segmentTicks.delete(ticktime);
+                        records.push({ ticktime, data });
+                        walkFiles(files.slice(1));
+                    });
+                }(filterAndSortFileList(files)));
+            });
+        });
+    };
+
+    /**
+     * Roll up the archive records of a block and keep the rollup in the index,
+     * so that the archive need not be read again for the rollups.
+     */
+    const storeBlockRollup = (devid, block, records, cb) => {
+        const samples = [];
+        (function walkRecords(list) {
+            if (list.length) {
+                const { ticktime, data } = list[0];
+                return decodeDevStateBuffer(data, `${devid}-${block}:${ticktime}`,
+                    (err, devState) => {
+                        if (err) return cb(err);
+                        samples.push(...pickMetrics(devState, ticktime, []));
+                        walkRecords(list.slice(1));
+                    });
+            }
+            index.hset(indexKey('rollup', devid), block,
+                JSON.stringify(rollup.rollupSamples(samples)), cb);
+        }(records));
+    };
+
+    const archiveDeviceBlock = (devid, block, cb) => {
+        withBlockLock(devid, block, done => {
+            /* it may have been archived by another process meanwhile */
+            index.zscore(indexKey('blk', devid), block, (err, score) => {
+                if (err || score == null) return done(err);
+                isBlockPinned(devid, block, (err, pinned) => {
+                    if (err || pinned) return done(err);
+
+                    logger.info(`archive block ${block} of device ${devid}`);
+                    readArchiveRecords(devBlockdir(devid, block), (err, records) => {
+                        if (err) return done(err);
+                        mkdirp(archiveDir(devid))
+                            .then(() => {
+                                archive.writeArchive(archiveName(devid, block), records, err => {
+                                    if (err) return done(err);
+                                    storeBlockRollup(devid, block, records, err => {
+                                        if (err) return done(err);
+                                        removeDeviceBlock(devid, block, err => {
+                                            if (err) return done(err);
+                                            markDeviceBlockArchived(devid, block, err => {
+                                                if (err) return done(err);
+                                                publishEvent({ type: 'archived', devid, block });
+                                                done(null);
+                                            });
+                                        });
+                                    });
+                                });
+                            })
+                            .catch(done);
+                    });
+                });
+            });
+        }, cb);
     };
 
     const archiveDeviceAgedBlocks = (devid, level1BlocksNum, cb) => {
-        const key = `fm:blk:${devid}`;
-        client.zcard(key, (err, length) => {
+        const key = indexKey('blk', devid);
+        index.zcard(key, (err, length) => {
             if (err || ! length) return cb(err);
-            length = +length;
             if (length - level1BlocksNum <= 0) return cb(null);
 
             const nremove = length - level1BlocksNum;
             logger.debug(`device ${devid} got ${nremove} aged blocks to remove`);
 
-            client.zrange([key, 0, nremove - 1],
+            index.zrange(key, 0, nremove - 1,
                 (err, blockList) => {
                     if (err || ! blockList || ! blockList.length) return cb(err);
 
@@ -382,53 +1037,153 @@ function FfcModel()
     };
 
     const archiveAgedBlocks = (level1BlocksNum, cb) => {
-        client.zrange(['fm:devices', 0, -1], (err, devList) => {
+        index.zrange(indexKey('devices'), 0, -1, (err, devList) => {
             if (err || ! devList || ! devList.length) return cb(err);
 
             (function processList(devList) {
                 if (! devList.length) return cb(null);
-                const devid = devList[0];
+                const devid = +devList[0];
                 archiveDeviceAgedBlocks(devid, level1BlocksNum, err => {
-                    if (err) return(err);
+                    if (err) return cb(err);
                     processList(devList.slice(1));
                 });
             }(devList));
         });
     };
 
-    const getBlocksBackwards = (devid, time, inArchive, cb) => {
-        var key;
-        var limit;
-        if (inArchive) {
-            key = `fm:_blk:${devid}`;
-            limit = archiveBlocksTravelMax;
-        } else {
-            key = `fm:blk:${devid}`;
-            limit = level1BlocksTravelMax;
-        }
+    /**
+     * Compact the tick files of a level 1 block of a device, together with
+     * its segment if any, into a new segment and remove them, see segment.js.
+     * Gives whether the block was compacted, which it is not while being read.
+     */
+    const compactDeviceBlock = (devid, block, cb) => {
+        const dir = devBlockdir(devid, block);
 
-        const greatest = timeToBlockindex(time);
-        client.zrevrangebyscore(key, greatest, '-inf',
-            'limit', 0, limit,
-            (err, reply) => {
-                if (err) return cb(err);
-                const blockList = reply.map(n => +n);
-                cb(null, blockList);
-            }
-        );
-    };
+        withBlockLock(devid, block, done => {
+            /* it may have been archived by another process meanwhile */
+            index.zscore(indexKey('blk', devid), block, (err, score) => {
+                if (err || score == null) return done(err, false);
+                isBlockPinned(devid, block, (err, pinned) => {
+                    if (err || pinned) return done(err, false);
 
-    const incrL2BlockCounter = (devid, block, cb) => {
-        client.zincrby('fm:blk:l2:counter', 1, combinedBlockName(devid, block), cb);
-    };
+                    fs.readdir(dir, (err, files) => {
+                        if (err) return done(err.code == 'ENOENT' ? null : err, false);
+                        const tickFiles = filterAndSortFileList(files);
+                        if (! tickFiles.length) return done(null, false);
 
-    /**
-     * Locate an archived block, uncompress it to the original data directory but
-     * index it as level2 block.
-     */
+                        readSegment(dir, files, (err, segmentTicks) => {
+                            if (err) return done(err);
+
+                            const writeSegment = cb => {
+                                const ticks = Array.from(segmentTicks,
+                                    ([ticktime, devState]) => ({ ticktime, devState }));
+                                segment.encodeSegment(devid, ticks, (err, buf) => {
+                                    if (err) return cb(err);
+                                    const pathname = path.join(dir, segment.filename);
+                                    fs.writeFile(pathname + '.tmp', buf, err => {
+                                        if (err) return cb(err);
+                                        fs.rename(pathname + '.tmp', pathname, cb);
+                                    });
+                                });
+                            };
+
+                            /* the files take precedence over the segment */
+                            (function walkFiles(list) {
+                                if (list.length) {
+                                    return readDevStateFromFile(path.join(dir, list[0]),
+                                        (err, devState) => {
+                                            if (err) return done(err);
+                                            segmentTicks.set(+list[0].split('.')[0], devState);
+                                            walkFiles(list.slice(1));
+                                        });
+                                }
+
+                                logger.info(`compact block ${block} of device ${devid}`);
+                                writeSegment(err => {
+                                    if (err) return done(err);
+                                    (function removeFiles(list) {
+                                        if (! list.length) {
+                                            stats.count('compactedBlocks');
+                                            return done(null, true);
+                                        }
+                                        fs.unlink(path.join(dir, list[0]), err => {
+                                            if (err) return done(err);
+                                            removeFiles(list.slice(1));
+                                        });
+                                    }(tickFiles));
+                                });
+                            }(tickFiles));
+                        });
+                    });
+                });
+            });
+        }, cb);
+    };
+
+    /**
+     * Compact the level 1 blocks of all the devices before the current block,
+     * which are not written any more but by late ticks.  Gives the number of
+     * blocks compacted.
+     */
+    const compactSealedBlocks = cb => {
+        const current = timeToBlockindex(new Date());
+        var compacted = 0;
+
+        index.zrange(indexKey('devices'), 0, -1, (err, devList) => {
+            if (err || ! devList || ! devList.length) return cb(err, compacted);
+
+            (function walkDevices(devList) {
+                if (! devList.length) return cb(null, compacted);
+                const devid = +devList[0];
+                index.zrange(indexKey('blk', devid), 0, -1, (err, blockList) => {
+                    if (err) return cb(err);
+
+                    (function walkBlocks(blocks) {
+                        if (! blocks.length) return walkDevices(devList.slice(1));
+                        compactDeviceBlock(devid, blocks[0], (err, yes) => {
+                            if (err) return cb(err);
+                            if (yes) ++compacted;
+                            walkBlocks(blocks.slice(1));
+                        });
+                    }(blockList.map(b => +b).filter(b => b < current)));
+                });
+            }(devList));
+        });
+    };
+
+    const getBlocksBackwards = (devid, time, inArchive, cb) => {
+        var key;
+        var limit;
+        if (inArchive) {
+            key = indexKey('_blk', devid);
+            limit = archiveBlocksTravelMax;
+        } else {
+            key = indexKey('blk', devid);
+            limit = level1BlocksTravelMax;
+        }
+
+        const greatest = timeToBlockindex(time);
+        index.zrevrangebyscore(key, greatest, '-inf', limit,
+            (err, reply) => {
+                if (err) return cb(err);
+                const blockList = reply.map(n => +n);
+                cb(null, blockList);
+            }
+        );
+    };
+
+    const incrL2BlockCounter = (devid, block, cb) => {
+        index.zincrby(indexKey('blk', 'l2', 'counter'), 1,
+            combinedBlockName(devid, block), cb);
+    };
+
+    /**
+     * Locate a legacy archived block, uncompress it to the original data
+     * directory but index it as level2 block.
+     */
     const loadArchiveBlock = (devid, block, cb) => {
         logger.info('load archived block ' + block + ' of device' + devid);
-        const filename = archiveName(devid, block);
+        const filename = legacyArchiveName(devid, block);
         const cmdline = `tar xzf ${filename} -C ${devDataRoot}`;
 
         try {
@@ -436,7 +1191,8 @@ function FfcModel()
                 if (stderr) logger.error(stderr);
                 if (code) return cb(Error('cmdline' + ' exited with ' + code));
 
-                client.zadd('fm:blk:l2',
+                stats.count('archiveExtractions');
+                index.zadd(indexKey('blk', 'l2'),
                     combinedBlockName(devid, block),
                     combinedBlockName(devid, block),
                     err => {
@@ -449,277 +1205,3221 @@ function FfcModel()
         }
     };
 
-    const isBlockInArchive = (devid, block, cb) => {
-        client.zrangebyscore('fm:_blk:' + devid, block, block, (err, reply) => {
-            cb(+reply == block);
+    const splitCombinedBlockName = name => {
+        return {
+            devid: +name % deviceNumMax,
+            block: Math.trunc(+name / deviceNumMax),
+        };
+    };
+
+    const dirSize = (dir, cb) => {
+        fs.readdir(dir, (err, files) => {
+            if (err) return cb(err);
+
+            var size = 0;
+            (function walkFiles(files) {
+                if (! files.length) return cb(null, size);
+                fs.stat(path.join(dir, files[0]), (err, stats) => {
+                    if (! err) size += stats.size;
+                    walkFiles(files.slice(1));
+                });
+            }(files));
         });
     };
 
-    const openBlock = (devid, block, cb) => {
-        const open = () => {
-            const dir = devBlockdir(devid, block);
-            fs.readdir(dir, (err, files) => {
+    /**
+     * Age the used counts of level 2 blocks exponentially, so that blocks used
+     * heavily long ago would not stay forever.  The counts are halved every
+     * halfLifeHours.
+     */
+    const decayL2BlockCounters = (halfLifeHours, cb) => {
+        const now = Math.trunc(new Date().valueOf() / 1000);
+
+        index.get(indexKey('blk', 'l2', 'decayed'), (err, last) => {
+            if (err) return cb(err);
+            index.set(indexKey('blk', 'l2', 'decayed'), now, err => {
+                if (err || last == null) return cb(err);
+
+                const factor = Math.pow(0.5, (now - +last) / (halfLifeHours * 3600));
+                if (factor >= 1) return cb(null);
+
+                index.zrangeWithScores(indexKey('blk', 'l2', 'counter'), 0, -1,
+                    (err, counters) => {
+                        if (err) return cb(err);
+                        (function walkCounters(list) {
+                            if (! list.length) return cb(null);
+                            const { member, score } = list[0];
+                            index.zadd(indexKey('blk', 'l2', 'counter'),
+                                score * factor, member,
+                                err => {
+                                    if (err) return cb(err);
+                                    walkCounters(list.slice(1));
+                                });
+                        }(counters));
+                    });
+            });
+        });
+    };
+
+    /* gives whether the block is evicted, which it is not while being read */
+    /* evict a level 2 block, of which the lock is held, unless it is pinned */
+    const evictL2BlockLocked = (devid, block, cb) => {
+        const name = combinedBlockName(devid, block);
+        isBlockPinned(devid, block, (err, pinned) => {
+            if (err || pinned) return cb(err, false);
+
+            logger.info(`evict level2 block ${block} of device ${devid}`);
+            index.zrem(indexKey('blk', 'l2'), name, err => {
+                if (err) return cb(err);
+                index.zrem(indexKey('blk', 'l2', 'counter'), name, err => {
+                    if (err) return cb(err);
+                    try {
+                        shell.rm('-rf', devBlockdir(devid, block));
+                    } catch (err) {
+                        return cb(err);
+                    }
+                    fs.rmdir(blockdir(block), () => {
+                        cb(null, true);
+                    });
+                });
+            });
+        });
+    };
+
+    const evictL2Block = (name, cb) => {
+        const { devid, block } = splitCombinedBlockName(name);
+        withBlockLock(devid, block, done => evictL2BlockLocked(devid, block, done), cb);
+    };
+
+    /**
+     * Evict the least frequently used level 2 blocks until there are no more
+     * than options.level2Blocks of them and/or they take no more than
+     * options.level2Bytes of disk space.  Blocks being read are never evicted.
+     */
+    const evictL2Blocks = (options, cb) => {
+        const maxBlocks = options.level2Blocks >= 0 ? +options.level2Blocks : Infinity;
+        const maxBytes = options.level2Bytes >= 0 ? +options.level2Bytes : Infinity;
+        const halfLife = options.level2HalfLife > 0
+            ? +options.level2HalfLife : dftL2HalfLifeHours;
+
+        const getCandidates = cb => {
+            index.zrange(indexKey('blk', 'l2'), 0, -1, (err, names) => {
                 if (err) return cb(err);
-                cb(null, dir, files); 
+
+                const candidates = [];
+                (function walkNames(names) {
+                    if (! names.length) return cb(null, candidates);
+                    const name = +names[0];
+                    index.zscore(indexKey('blk', 'l2', 'counter'), name, (err, score) => {
+                        if (err) return cb(err);
+                        const { devid, block } = splitCombinedBlockName(name);
+                        const c = { name, block, used: +score || 0, size: 0 };
+                        candidates.push(c);
+                        if (maxBytes == Infinity) return walkNames(names.slice(1));
+                        dirSize(devBlockdir(devid, block), (err, size) => {
+                            if (! err) c.size = size;
+                            walkNames(names.slice(1));
+                        });
+                    });
+                }(names || []));
             });
         };
 
-        const isArchiveInLevel2 = (devid, block, cb) => {
-            const needle = combinedBlockName(devid, block);
-            client.zrangebyscore('fm:blk:l2',
-                needle, needle,
-                (err, reply) => {
-                    cb(reply == +needle);
+        decayL2BlockCounters(halfLife, err => {
+            if (err) return cb(err);
+            getCandidates((err, candidates) => {
+                if (err) return cb(err);
+
+                var count = candidates.length;
+                var bytes = candidates.reduce((acc, c) => acc + c.size, 0);
+
+                /* least used first, then the older first */
+                candidates.sort((a, b) => a.used - b.used || a.block - b.block);
+
+                (function walkCandidates(list) {
+                    if (! list.length || (count <= maxBlocks && bytes <= maxBytes))
+                        return cb(null);
+
+                    const c = list[0];
+                    evictL2Block(c.name, (err, evicted) => {
+                        if (err) return cb(err);
+                        if (evicted) {
+                            --count;
+                            bytes -= c.size;
+                        }
+                        walkCandidates(list.slice(1));
+                    });
+                }(candidates));
+            });
+        });
+    };
+
+    /* the time a block starts */
+    const blockindexToTime = block => new Date(Date.UTC(
+        Math.trunc(block / 1000000),
+        Math.trunc(block / 10000) % 100 - 1,
+        Math.trunc(block / 100) % 100,
+        block % 100 * blockHours));
+
+    /* the end of a block in epoch seconds */
+    const blockEnd = block =>
+        Math.trunc(blockindexToTime(block).valueOf() / 1000) + blockHours * 3600;
+
+    const fileSize = (pathname, cb) => {
+        fs.stat(pathname, (err, stats) => cb(err ? 0 : stats.size));
+    };
+
+    /* the retention policies as { global, devices } with devices by devid */
+    const loadRetentionPolicies = cb => {
+        index.hgetall(indexKey('retention'), (err, hash) => {
+            if (err) return cb(err);
+            const policies = { global: {}, devices: {} };
+            for (const field of Object.keys(hash || {})) {
+                var policy;
+                try {
+                    policy = JSON.parse(hash[field]);
+                } catch (err) {
+                    logger.error(`bad retention policy of ${field}`);
+                    continue;
+                }
+                if (field == '*')
+                    policies.global = policy;
+                else
+                    policies.devices[field] = policy;
+            }
+            cb(null, policies);
+        });
+    };
+
+    /**
+     * Set the retention policy of a device, or the global one if devid is
+     * null, replacing the one set before.  A policy without any field removes
+     * it.  Gives the policy set.
+     */
+    this.setRetentionPolicy = (devid, policy, cb) => {
+        const checked = {};
+        for (const name of retentionFields) {
+            const v = policy[name];
+            if (v == null) continue;
+            if (! (+v >= 0)) return cb(Error(`bad retention ${name} ${v}`));
+            checked[name] = +v;
+        }
+
+        const field = devid == null ? '*' : String(devid);
+        if (! Object.keys(checked).length)
+            return index.hdel(indexKey('retention'), field, err => cb(err, null));
+        index.hset(indexKey('retention'), field, JSON.stringify(checked), err => {
+            cb(err, checked);
+        });
+    };
+
+    /**
+     * Get the retention policies as { global, devices } where devices has
+     * the policies of the devices by devid.
+     */
+    this.getRetentionPolicies = cb => {
+        loadRetentionPolicies(cb);
+    };
+
+    /**
+     * Remove an archived block of a device for good, together with its
+     * entries in the index and its extraction as a level 2 block if any.
+     * Gives the bytes removed, or null if the block is being read and left.
+     */
+    const removeArchivedBlock = (devid, block, cb) => {
+        const name = combinedBlockName(devid, block);
+
+        const remove = done => {
+            index.zscore(indexKey('blk', 'l2'), name, (err, score) => {
+                if (err) return done(err);
+                fileSize(archiveName(devid, block), size => {
+                    fileSize(legacyArchiveName(devid, block), legacySize => {
+                        try {
+                            shell.rm('-f', archiveName(devid, block),
+                                legacyArchiveName(devid, block));
+                            /* extracted as a level 2 block */
+                            if (score != null) shell.rm('-rf', devBlockdir(devid, block));
+                        } catch (err) {
+                            return done(err);
+                        }
+                        fs.rmdir(blockdir(block), () => {
+                            const batch = index.batch();
+                            batch.zrem(indexKey('_blk', devid), block);
+                            batch.hdel(indexKey('rollup', devid), block);
+                            batch.zrem(indexKey('blk', 'l2'), name);
+                            batch.zrem(indexKey('blk', 'l2', 'counter'), name);
+                            batch.exec(err => {
+                                if (err) return done(err);
+                                publishEvent({ type: 'removed', devid, block });
+                                done(null, size + legacySize);
+                            });
+                        });
+                    });
                 });
+            });
         };
 
-        isBlockInArchive(devid, block, yes => {
-            if (! yes) return open();
-            isArchiveInLevel2(devid, block, yes => {
-                if (yes)
-                    incrL2BlockCounter(devid, block, err => {
-                        open();
+        withBlockLock(devid, block, done => {
+            isBlockPinned(devid, block, (err, pinned) => {
+                if (err || pinned) return done(err, null);
+                logger.info(`remove archived block ${block} of device ${devid}`);
+                remove(done);
+            });
+        }, cb);
+    };
+
+    /**
+     * Disk usage of a device as { devid, level1Bytes, archives } where
+     * archives lists { devid, block, size } of its archived blocks, the older
+     * first.
+     */
+    const getDeviceUsage = (devid, cb) => {
+        const usage = { devid, level1Bytes: 0, archives: [] };
+
+        index.zrange(indexKey('blk', devid), 0, -1, (err, l1) => {
+            if (err) return cb(err);
+            index.zrange(indexKey('_blk', devid), 0, -1, (err, archived) => {
+                if (err) return cb(err);
+
+                const walkArchives = list => {
+                    if (! list.length) return cb(null, usage);
+                    const block = list[0];
+                    fileSize(archiveName(devid, block), size => {
+                        fileSize(legacyArchiveName(devid, block), legacySize => {
+                            usage.archives.push({ devid, block, size: size + legacySize });
+                            walkArchives(list.slice(1));
+                        });
                     });
-                else
-                    loadArchiveBlock(devid, block, err => {
+                };
+
+                (function walkBlocks(list) {
+                    if (! list.length) return walkArchives(archived.map(b => +b));
+                    dirSize(devBlockdir(devid, +list[0]), (err, size) => {
+                        if (! err) usage.level1Bytes += size;
+                        walkBlocks(list.slice(1));
+                    });
+                }(l1));
+            });
+        });
+    };
+
+    /**
+     * Remove the oldest archives of the usages, of one device or more, until
+     * they take no more than quotaBytes in all.  Level 1 blocks are never
+     * removed for the quota.
+     */
+    const enforceQuota = (usages, quotaBytes, summary, cb) => {
+        var total = 0;
+        const archives = [];
+        for (const u of usages) {
+            total += u.level1Bytes;
+            for (const a of u.archives) {
+                total += a.size;
+                archives.push(a);
+            }
+        }
+        archives.sort((a, b) => a.block - b.block || a.devid - b.devid);
+
+        (function walkArchives(list) {
+            if (total <= quotaBytes) return cb(null);
+            if (! list.length) {
+                summary.overQuota = true;
+                logger.warn(`${total} bytes over the quota of ${quotaBytes} bytes`
+                    + ' with no more archive to remove');
+                return cb(null);
+            }
+
+            const { devid, block } = list[0];
+            removeArchivedBlock(devid, block, (err, bytes) => {
+                if (err) return cb(err);
+                if (bytes != null) {
+                    total -= list[0].size;
+                    ++summary.removedArchives;
+                    summary.removedBytes += bytes;
+                    const u = usages.find(u => u.devid == devid);
+                    u.archives = u.archives.filter(a => a.block != block);
+                }
+                walkArchives(list.slice(1));
+            });
+        }(archives));
+    };
+
+    /* apply the retention policy of a device but its quota if it is global */
+    const applyDeviceRetention = (devid, policy, summary, cb) => {
+        const now = Math.trunc(new Date().valueOf() / 1000);
+
+        const archiveExpired = cb => {
+            if (policy.level1Hours == null) return cb(null);
+            const cutoff = now - policy.level1Hours * 3600;
+            index.zrange(indexKey('blk', devid), 0, -1, (err, blocks) => {
+                if (err) return cb(err);
+                (function walkBlocks(list) {
+                    if (! list.length) return cb(null);
+                    archiveDeviceBlock(devid, list[0], err => {
+                        if (err) return cb(err);
+                        ++summary.archivedBlocks;
+                        walkBlocks(list.slice(1));
+                    });
+                }(blocks.map(b => +b).filter(b => blockEnd(b) <= cutoff)));
+            });
+        };
+
+        const removeExpired = cb => {
+            if (policy.archiveDays == null) return cb(null);
+            const cutoff = now - policy.archiveDays * 24 * 3600;
+            index.zrange(indexKey('_blk', devid), 0, -1, (err, blocks) => {
+                if (err) return cb(err);
+                (function walkBlocks(list) {
+                    if (! list.length) return cb(null);
+                    removeArchivedBlock(devid, list[0], (err, bytes) => {
+                        if (err) return cb(err);
+                        if (bytes != null) {
+                            ++summary.removedArchives;
+                            summary.removedBytes += bytes;
+                        }
+                        walkBlocks(list.slice(1));
+                    });
+                }(blocks.map(b => +b).filter(b => blockEnd(b) <= cutoff)));
+            });
+        };
+
+        const enforceDeviceQuota = cb => {
+            if (policy.quotaBytes == null) return cb(null);
+            getDeviceUsage(devid, (err, usage) => {
+                if (err) return cb(err);
+                enforceQuota([usage], policy.quotaBytes, summary, cb);
+            });
+        };
+
+        archiveExpired(err => {
+            if (err) return cb(err);
+            removeExpired(err => {
+                if (err) return cb(err);
+                enforceDeviceQuota(cb);
+            });
+        });
+    };
+
+    /**
+     * Apply the retention policies, with the fields of the global policy
+     * overridden by those in options, and log a summary.  Gives the summary
+     * as { archivedBlocks, removedArchives, removedBytes, overQuota }.
+     */
+    const applyRetention = (options, cb) => {
+        const summary = {
+            archivedBlocks: 0,
+            removedArchives: 0,
+            removedBytes: 0,
+            overQuota: false,
+        };
+
+        loadRetentionPolicies((err, policies) => {
+            if (err) return cb(err);
+            const global = { ...policies.global };
+            for (const name of retentionFields) {
+                if (options[name] != null) global[name] = +options[name];
+            }
+
+            this.listDevices((err, devList) => {
+                if (err) return cb(err);
+
+                const usages = [];
+                (function walkDevices(list) {
+                    if (list.length) {
+                        const devid = list[0];
+                        /* the global quota is for all the devices together */
+                        const own = policies.devices[devid] || {};
+                        const policy = { ...global, ...own, quotaBytes: own.quotaBytes };
+                        return applyDeviceRetention(devid, policy, summary, err => {
+                            if (err) return cb(err);
+                            if (global.quotaBytes == null) return walkDevices(list.slice(1));
+                            getDeviceUsage(devid, (err, usage) => {
+                                if (err) return cb(err);
+                                usages.push(usage);
+                                walkDevices(list.slice(1));
+                            });
+                        });
+                    }
+
+                    const done = err => {
                         if (err) return cb(err);
-                        open();
+                        logger.info(`retention: archived ${summary.archivedBlocks} blocks,`
+                            + ` removed ${summary.removedArchives} archives`
+                            + ` of ${summary.removedBytes} bytes`
+                            + (summary.overQuota ? ', still over quota' : ''));
+                        cb(null, summary);
+                    };
+                    if (global.quotaBytes == null) return done(null);
+                    enforceQuota(usages, global.quotaBytes, summary, done);
+                }(devList));
+            });
+        });
+    };
+
+    const isBlockInArchive = (devid, block, cb) => {
+        index.zrangebyscore(indexKey('_blk', devid), block, block, (err, reply) => {
+            cb(+reply == block);
+        });
+    };
+
+    const pinDir = (devid, block) => path.join(lockDir(), 'pins', `${devid}-${block}`);
+
+    /**
+     * A block being read is pinned from it is opened until it is released, so
+     * that it will not be changed meanwhile.  Every openBlock must be followed
+     * by a releaseBlock, unless it fails.  A pin is a file of the model in the
+     * pin directory of the block, see Locks, kept fresh while the block is
+     * pinned in the model.
+     */
+    const pinBlock = (devid, block, cb) => {
+        const name = combinedBlockName(devid, block);
+        const pinned = pinnedBlocks.get(name);
+        if (pinned) {
+            ++pinned.count;
+            if (pinned.waiting)
+                pinned.waiting.push(cb);
+            else
+                cb(null);
+            return;
+        }
+
+        const dir = pinDir(devid, block);
+        const file = path.join(dir, pinToken);
+        const touch = () => {
+            const now = new Date();
+            fs.utimes(file, now, now, err => {
+                if (err) logger.error(`refresh pin of block ${block} of device ${devid}:`
+                    + ` ${err.message}`);
+            });
+        };
+        const pin = { count: 1, waiting: [cb], timer: setInterval(touch, lockStale / 2) };
+        pin.timer.unref();
+        pinnedBlocks.set(name, pin);
+
+        /* the directory may be removed by a release in between */
+        (function write(retries) {
+            mkdirp(dir)
+                .then(() => {
+                    fs.writeFile(file, '', err => {
+                        if (err && err.code == 'ENOENT' && retries) return write(retries - 1);
+                        const waiting = pin.waiting;
+                        pin.waiting = null;
+                        waiting.forEach(cb => cb(err || null));
+                    });
+                })
+                .catch(err => {
+                    const waiting = pin.waiting;
+                    pin.waiting = null;
+                    waiting.forEach(cb => cb(err));
+                });
+        }(3));
+    };
+
+    const releaseBlock = (devid, block) => {
+        const name = combinedBlockName(devid, block);
+        const pinned = pinnedBlocks.get(name);
+        if (! pinned || --pinned.count > 0) return;
+
+        clearInterval(pinned.timer);
+        pinnedBlocks.delete(name);
+        const dir = pinDir(devid, block);
+        fs.unlink(path.join(dir, pinToken), () => {
+            /* left if pinned by others */
+            fs.rmdir(dir, () => {});
+        });
+    };
+
+    /**
+     * Tell whether a block is pinned by any model sharing the data root.  The
+     * pins not kept fresh in lockStale, of which the process died, are removed.
+     */
+    const isBlockPinned = (devid, block, cb) => {
+        if (pinnedBlocks.has(combinedBlockName(devid, block))) return cb(null, true);
+
+        const dir = pinDir(devid, block);
+        fs.readdir(dir, (err, files) => {
+            if (err) return cb(err.code == 'ENOENT' ? null : err, false);
+
+            var pinned = false;
+            (function walkFiles(list) {
+                if (! list.length) return cb(null, pinned);
+                const file = path.join(dir, list[0]);
+                fs.stat(file, (err, stats) => {
+                    if (! err && stats.mtimeMs > Date.now() - lockStale)
+                        pinned = true;
+                    else if (! err)
+                        fs.unlink(file, () => {});
+                    walkFiles(list.slice(1));
+                });
+            }(files));
+        });
+    };
+
+    const pickMetrics = (devState, ticktime, metricIdList) => {
+        const resultList = [];
+        devState.metrics.forEach(m => {
+            if (! metricIdList.length || metricIdList.includes(m.id))
+                resultList.push({...m, ticktime: ticktime});
+        });
+        return resultList;
+    };
+
+    /**
+     * A tick source is where the ticks of an opened block are read from, which
+     * is either a directory or an archive.  Ticks are named as the tick files,
+     * and source.load(name, metricIdList, cb) loads the metrics of a tick.
+     * The ticks of a directory are in its tick files and in its segment, if
+     * compacted, of which those not among the files are read.  A tick file
+     * gone meanwhile has been compacted, and is read from the segment again.
+     */
+    const dirTickSource = (dir, files, segmentTicks) => {
+        const onDisk = new Set(files);
+        const load = (name, metricIdList, cb) => {
+            const ticktime = +name.split('.')[0];
+            const fromSegment = () => cb(null,
+                pickMetrics(segmentTicks.get(ticktime), ticktime, metricIdList));
+
+            if (! onDisk.has(name) && segmentTicks && segmentTicks.has(ticktime))
+                return fromSegment();
+            loadMetricsFromFile(path.join(dir, name), metricIdList, (err, metrics) => {
+                if (! err || err.code != 'ENOENT') return cb(err, metrics);
+                readSegment(dir, [segment.filename], (segmentErr, ticks) => {
+                    if (segmentErr || ! ticks.has(ticktime)) return cb(segmentErr || err);
+                    onDisk.delete(name);
+                    segmentTicks = ticks;
+                    fromSegment();
+                });
+            });
+        };
+        return { dir, load };
+    };
+
+    /**
+     * Read the segment of a directory of a device block, if it is among the
+     * files of the directory, as a Map of ticktime to device state.
+     */
+    const readSegment = (dir, files, cb) => {
+        if (! files.includes(segment.filename)) return cb(null, new Map());
+
+        const filename = path.join(dir, segment.filename);
+        fs.readFile(filename, (err, buf) => {
+            if (err) return cb(err);
+            segment.decodeSegment(buf, filename, (err, seg) => {
+                if (err) {
+                    if (err.code == 'ECHKSUM') stats.count('crcFailures');
+                    return cb(err);
+                }
+                cb(null, new Map(seg.ticks.map(t => [t.ticktime, t.devState])));
+            });
+        });
+    };
+
+    /* whether the files of a directory of a device block have any tick */
+    const hasTicks = files =>
+        filterAndSortFileList(files).length > 0 || files.includes(segment.filename);
+
+    /**
+     * Open a directory of a device block, giving a tick source and the names
+     * of its ticks, those of the segment included.  A bad segment is logged
+     * and only the tick files are read.
+     */
+    const openBlockDir = (dir, cb) => {
+        fs.readdir(dir, (err, files) => {
+            if (err) return cb(err);
+            readSegment(dir, files, (err, segmentTicks) => {
+                if (err) {
+                    logger.error(err);
+                    return cb(null, dirTickSource(dir, files), files);
+                }
+                const names = new Set(files);
+                for (const t of segmentTicks.keys()) names.add(t + '.dat');
+                cb(null, dirTickSource(dir, files, segmentTicks), Array.from(names));
+            });
+        });
+    };
+
+    const archiveTickSource = (filename, reader) => {
+        const load = (name, metricIdList, cb) => {
+            const ticktime = +name.split('.')[0];
+            reader.read(ticktime, (err, buf) => {
+                if (err) {
+                    if (err.code == 'ECHKSUM') stats.count('crcFailures');
+                    return cb(err);
+                }
+                decodeDevStateBuffer(buf, `${filename}:${ticktime}`,
+                    (err, devState) => {
+                        if (err) return cb(err);
+                        cb(null, pickMetrics(devState, ticktime, metricIdList));
+                    });
+            });
+        };
+        return { filename, load };
+    };
+
+    /**
+     * Open a block for reading its ticks.  Gives a tick source and the names
+     * of its ticks.  Archives are read in place, except the legacy ones which
+     * are extracted as level 2 blocks.
+     */
+    const openBlock = (devid, block, cb) => {
+        const open = () => {
+            openBlockDir(devBlockdir(devid, block), (err, source, files) => {
+                if (err) {
+                    releaseBlock(devid, block);
+                    return cb(err);
+                }
+                cb(null, source, files);
+            });
+        };
+
+        const openArchive = () => {
+            const filename = archiveName(devid, block);
+            archive.openArchive(filename, (err, reader) => {
+                if (err) {
+                    if (err.code == 'ECHKSUM') stats.count('crcFailures');
+                    releaseBlock(devid, block);
+                    return cb(err);
+                }
+                cb(null, archiveTickSource(filename, reader),
+                    reader.ticks.map(t => t + '.dat'));
+            });
+        };
+
+        const isArchiveInLevel2 = (devid, block, cb) => {
+            const needle = combinedBlockName(devid, block);
+            index.zrangebyscore(indexKey('blk', 'l2'),
+                needle, needle,
+                (err, reply) => {
+                    cb(reply == +needle);
+                });
+        };
+
+        /* locked so that two processes would not extract it at once */
+        const openLegacyArchive = () => {
+            withBlockLock(devid, block, done => {
+                isArchiveInLevel2(devid, block, yes => {
+                    if (yes) {
+                        stats.count('level2Hits');
+                        incrL2BlockCounter(devid, block, err => {
+                            done(null);
+                        });
+                    } else
+                        loadArchiveBlock(devid, block, done);
+                });
+            }, err => {
+                if (err) {
+                    releaseBlock(devid, block);
+                    return cb(err);
+                }
+                open();
+            });
+        };
+
+        /*
+         * pinned holding the lock, so that the block is not changed since, and
+         * released on failure only if pinned, or the pin of others would be
+         */
+        var pinned = false;
+        withBlockLock(devid, block, done => {
+            pinned = true;
+            pinBlock(devid, block, done);
+        }, err => {
+            if (err) {
+                if (pinned) releaseBlock(devid, block);
+                return cb(err);
+            }
+            isBlockInArchive(devid, block, yes => {
+                if (! yes) return open();
+                fs.access(archiveName(devid, block), err => {
+                    if (err) return openLegacyArchive();
+                    openArchive();
+                });
+            });
+        });
+    };
+
+    const filterAndSortFileList = (fileList, maxTime) => {
+        var timeEpoch;
+        if (maxTime) timeEpoch = Math.trunc(maxTime.valueOf() / 1000);
+
+        const filtered = fileList.filter(name => {
+            if (path.extname(name) != '.dat') return false;
+            if (timeEpoch && +name.split('.')[0] > timeEpoch) return false;
+            return true;
+        });
+
+        return filtered.sort((a, b) => +b.split('.')[0] - +a.split('.')[0]);
+    };
+
+    const loadMetricsFromFile = (pathname, metricIdList, cb) => {
+        const ticktime = +path.basename(pathname).split('.')[0];
+        readDevStateFromFile(pathname, (err, devState) => {
+            if (err) return cb(err);
+            cb(null, pickMetrics(devState, ticktime, metricIdList));
+        });
+    };
+
+    const projectMetricsFromSortedFiles =
+        (source, files, metricIdList, alreadyHad, cb) => {
+            const resultMetricList = [...alreadyHad];
+            const resolvedIdList = resultMetricList.reduce(
+                (acc, curr) => [...acc, curr.id], []);
+
+            (function walkFiles(files) {
+                if (! files.length) return cb(null, resultMetricList);
+                source.load(files[0], metricIdList,
+                    (err, metricsCopy) => {
+                        if (err)
+                            logger.error(err);
+                        else {
+                            metricsCopy.forEach(m => {
+                                if (! resolvedIdList.includes(m.id)) {
+                                    resultMetricList.push(m);
+                                    resolvedIdList.push(m.id);
+                                }
+                            });
+                        }
+                        if (resolvedIdList.length < metricIdList.length)
+                            walkFiles(files.slice(1));
+                        else
+                            return cb(null, resultMetricList);
+                    });
+            }(files));
+        };
+
+    const getL1MinBlock = (devid, cb) => {
+        index.zrange(indexKey('blk', devid), 0, 0, (err, reply) => {
+            if (err) return cb(err);
+            if (! reply || ! reply.length)
+                return cb(null, null);
+            else
+                cb(null, +reply[0]);
+        });
+    };
+
+    const getL1MaxBlock = (devid, cb) => {
+        index.zrevrange(indexKey('blk', devid), 0, 0, (err, reply) => {
+            if (err) return cb(err);
+            if (! reply || ! reply.length) return cb(Error('not exist'));
+            cb(null, +reply[0]);
+        });
+    };
+
+    const getArchiveMinBlock = (devid, cb) =>{
+        index.zrange(indexKey('_blk', devid), 0, 0, (err, reply) => {
+            if (err) return cb(err);
+            if (! reply || ! reply.length)
+                return cb(null, null);
+            else
+                cb(null, +reply[0]);
+        });
+    };
+
+    const getArchiveMaxBlock = (devid, cb) =>{
+        index.zrevrange(indexKey('_blk', devid), 0, 0, (err, reply) => {
+            if (err) return cb(err);
+            if (! reply || ! reply.length)
+                return cb(null, null);
+            else
+                cb(null, +reply[0]);
+        });
+    };
+
+    const getMinTimeInBlock = (devid, block, cb) =>{
+        openBlock(devid, block, (err, source, files) => {
+            if (err) return cb(err);
+            releaseBlock(devid, block);
+            files = filterAndSortFileList(files);
+            if (! files.length) return cb(Error('not found'));
+            cb(null, new Date(+files[files.length - 1].split('.')[0] * 1000));
+        });
+    };
+
+    const getMaxTimeInBlock = (devid, block, cb) =>{
+        openBlock(devid, block, (err, source, files) => {
+            if (err) return cb(err);
+            releaseBlock(devid, block);
+            files = filterAndSortFileList(files);
+            if (! files.length) return cb(Error('not found'));
+            cb(null, new Date(+files[0].split('.')[0] * 1000));
+        });
+    };
+
+    /* the metric catalog as a Map of metric id to definition */
+    const loadCatalog = cb => {
+        index.hgetall(indexKey('catalog'), (err, hash) => {
+            if (err) return cb(err);
+            const defs = new Map();
+            for (const id of Object.keys(hash || {})) {
+                try {
+                    defs.set(+id, JSON.parse(hash[id]));
+                } catch (err) {
+                    logger.error(`bad definition of metric ${id} in catalog`);
+                }
+            }
+            cb(null, defs);
+        });
+    };
+
+    /* the catalog to validate device states against, null if not to */
+    const loadCatalogForIngest = cb => {
+        if (catalogPolicy == 'accept') return cb(null, null);
+        loadCatalog(cb);
+    };
+
+    /* an EINVALID error if a device state is bad, see dev-state.js */
+    const checkDevState = (devid, ticktime, devState) => {
+        const reason = devStateCodec.checkDevState(devState);
+        if (! reason) return null;
+        return catalog.invalidError(
+            `device ${devid} at time ${ticktime.toISOString()}: ${reason}`);
+    };
+
+    /**
+     * Validate a device state against the catalog.  Gives an EINVALID error
+     * under the reject policy if there is any problem, which is only logged
+     * under the warn policy.
+     */
+    const checkByCatalog = (defs, devid, ticktime, devState) => {
+        const problems = catalog.validateMetrics(defs, devState.metrics || []);
+        if (! problems.length) return null;
+
+        const message = `device ${devid} at time ${ticktime.toISOString()}: `
+            + problems.join(', ');
+        if (catalogPolicy == 'reject') return catalog.invalidError(message);
+        logger.warn(message);
+        return null;
+    };
+
+    /**
+     * Get the metric catalog as a list of definitions (see catalog.js) in
+     * order of metric id.
+     */
+    this.getCatalog = cb => {
+        loadCatalog((err, defs) => {
+            if (err) return cb(err);
+            cb(null, Array.from(defs.values()).sort((a, b) => a.id - b.id));
+        });
+    };
+
+    /**
+     * Define a metric in the catalog, or redefine it.  Fails with code
+     * EINVALID if the definition is bad or its name is taken by another
+     * metric.  Gives the definition with the defaults filled in.
+     */
+    this.defineMetric = (def, cb) => {
+        try {
+            def = catalog.checkDefinition(def);
+        } catch (err) {
+            return cb(err);
+        }
+
+        loadCatalog((err, defs) => {
+            if (err) return cb(err);
+            for (const other of defs.values()) {
+                if (other.name == def.name && other.id != def.id)
+                    return cb(catalog.invalidError(
+                        `name ${def.name} is taken by metric ${other.id}`));
+            }
+            index.hset(indexKey('catalog'), def.id, JSON.stringify(def), err => {
+                if (err) return cb(err);
+                cb(null, def);
+            });
+        });
+    };
+
+    /**
+     * Remove a metric, given by id or name, from the catalog.  Gives whether
+     * it was there.
+     */
+    this.undefineMetric = (metric, cb) => {
+        this.resolveMetricIds([metric], (err, ids) => {
+            if (err) return cb(err);
+            index.hdel(indexKey('catalog'), ids[0], (err, n) => {
+                if (err) return cb(err);
+                cb(null, n > 0);
+            });
+        });
+    };
+
+    /**
+     * Resolve a list of metric ids and names to ids by the catalog.  Fails
+     * with code EINVALID on an unknown name.
+     */
+    this.resolveMetricIds = (list, cb) => {
+        if (list.every(metric => typeof metric == 'number' || /^[0-9]+$/.test(metric)))
+            return cb(null, list.map(metric => +metric));
+
+        loadCatalog((err, defs) => {
+            if (err) return cb(err);
+            var ids;
+            try {
+                ids = catalog.resolveMetricIds(defs, list);
+            } catch (err) {
+                return cb(err);
+            }
+            cb(null, ids);
+        });
+    };
+
+    /**
+     * Save the state of a device at a ticktime, merged with what was saved at
+     * the same ticktime.  Fails with code EOUTOFRANGE if the ticktime is in or
+     * before the archived blocks of the device, unless options.backdate is
+     * set, with which it is saved into the archive of its block instead.
+     * Fails with code EINVALID if it is bad (see dev-state.js), or invalid by
+     * the metric catalog under the reject policy.
+     */
+    this.putDeviceState = (devid, ticktime, devState, options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        cb = stats.timed('putSeconds', cb);
+
+        const error = checkDevState(devid, ticktime, devState);
+        if (error) return cb(error);
+        devState = devStateCodec.normalizeDevState(devState);
+
+        logger.debug('put devState', devid, ticktime);
+        const thisBlock = timeToBlockindex(ticktime);
+
+        const outOfRange = () => {
+            if (options.backdate)
+                return saveBackdatedDevState(devid, ticktime, devState, cb);
+            cb(outOfRangeError(devid, `at time ${ticktime}`));
+        };
+
+        const save = () => {
+            saveDevStateAndUpdateIndex(devid, ticktime, devState, err => {
+                /* archived by another process since the range was checked */
+                if (err && err.code == 'EOUTOFRANGE') return outOfRange();
+                cb(err);
+            });
+        };
+
+        loadCatalogForIngest((err, defs) => {
+            if (err) return cb(err);
+            if (defs) {
+                err = checkByCatalog(defs, devid, ticktime, devState);
+                if (err) return cb(err);
+            }
+
+            getL1MinBlock(devid, (err, minBlock) => {
+                if (err) return cb(err);
+                if (! minBlock || thisBlock >= minBlock)
+                    save();
+                else
+                    getArchiveMaxBlock(devid, (err, b) => {
+                        if (err) return cb(err);
+                        if (b == null || thisBlock > b)
+                            save();
+                        else
+                            outOfRange();
+                    });
+            });
+        });
+    };
+
+    /**
+     * Put a number of device states at once, each of which is { devid,
+     * ticktime, devState }.  The tick files are written a number of them at a
+     * time, and the last good values and the list of devices are updated at
+     * last in a single batch.  A device state out of range, or invalid by the
+     * metric catalog under the reject policy, is rejected without failing the
+     * others.  Gives { stored, rejected } where rejected lists the rejected
+     * ones as { devid, ticktime, error }.  On a failure, the device states
+     * stored so far are still indexed.
+     */
+    this.putDeviceStates = (states, cb) => {
+        cb = stats.timed('putBatchSeconds', cb);
+        const byDevice = new Map();
+        const rejected = [];
+        var stored = 0;
+
+        for (const state of states) {
+            const { devid, ticktime } = state;
+            const error = checkDevState(devid, ticktime, state.devState);
+            if (error) {
+                rejected.push({ devid, ticktime, error });
+                continue;
+            }
+            const devState = devStateCodec.normalizeDevState(state.devState);
+
+            if (! byDevice.has(devid)) byDevice.set(devid, new Map());
+            const ticks = byDevice.get(devid);
+            const t = Math.trunc(ticktime.valueOf() / 1000);
+
+            /* the same tick given more than once is merged, the later wins */
+            if (ticks.has(t)) mergeDevState(devState, ticks.get(t).devState);
+            ticks.set(t, { t, ticktime, devState });
+        }
+
+        /* ticks older than the level 1 blocks must be after the archived ones */
+        const checkRange = (devid, ticks, cb) => {
+            getL1MinBlock(devid, (err, minBlock) => {
+                if (err) return cb(err);
+                getArchiveMaxBlock(devid, (err, archiveMax) => {
+                    if (err) return cb(err);
+
+                    cb(null, ticks.filter(({ ticktime }) => {
+                        const b = timeToBlockindex(ticktime);
+                        if (! minBlock || b >= minBlock
+                            || archiveMax == null || b > archiveMax)
+                            return true;
+                        rejected.push({
+                            devid,
+                            ticktime,
+                            error: outOfRangeError(devid, `at time ${ticktime}`),
+                        });
+                        return false;
+                    }));
+                });
+            });
+        };
+
+        const batch = index.batch();
+        const events = [];      /* told once the batch is done */
+
+        const lgvEvent = (devid, fields) => {
+            const ids = Object.keys(fields)
+                .filter(name => name.endsWith('_ticktime'))
+                .map(name => +name.split('_')[0]);
+            const ticktime = Math.max(...ids.map(id => fields[id + '_ticktime']));
+            return { type: 'lgv', devid, ticktime, metrics: ids };
+        };
+
+        /*
+         * The fields of each metric, and the ticktime, are set unless newer
+         * ones have been set by others meanwhile.
+         */
+        const batchLastGoodValue = (devid, fields) => {
+            const groups = {};
+            for (const name of Object.keys(fields)) {
+                const group = name.split('_')[0];
+                if (! groups[group]) groups[group] = {};
+                groups[group][name] = fields[name];
+            }
+            for (const group of Object.keys(groups)) {
+                const timeField = group == 'ticktime' ? group : group + '_ticktime';
+                batch.hmsetIfNewer(indexKey('lgv', devid), timeField,
+                    fields[timeField], groups[group]);
+            }
+        };
+
+        const putDevice = (devid, ticks, cb) => {
+            checkRange(devid, ticks, (err, ticks) => {
+                if (err || ! ticks.length) return cb(err);
+
+                /* one block after another, in time order */
+                ticks.sort((a, b) => a.t - b.t);
+                const blocks = new Map();
+                for (const tick of ticks) {
+                    const b = timeToBlockindex(tick.ticktime);
+                    if (! blocks.has(b)) blocks.set(b, []);
+                    blocks.get(b).push(tick);
+                }
+                const written = [];
+
+                const putBlock = (block, list, cb) => {
+                    withBlockLock(devid, block, done => {
+                        checkBlockWritable(devid, block, err => {
+                            if (err) {
+                                list.forEach(({ ticktime }) =>
+                                    rejected.push({ devid, ticktime, error: err }));
+                                return done(null);
+                            }
+
+                            /* indexed if any tick is written, even on a failure */
+                            const count = written.length;
+                            const finish = err => {
+                                if (written.length == count) return done(err);
+                                index.zadd(indexKey('blk', devid), block, block,
+                                    indexErr => done(err || indexErr));
+                            };
+
+                            (function walkTicks(list) {
+                                if (! list.length) return finish(null);
+                                const { t, ticktime, devState } = list[0];
+                                persistDevState(devid, ticktime, devState, (err, newFile) => {
+                                    if (err) return finish(err);
+                                    events.push(tickEvent(devid, t, devState, newFile));
+                                    written.push(list[0]);
+                                    ++stored;
+                                    walkTicks(list.slice(1));
+                                });
+                            }(list));
+                        });
+                    }, cb);
+                };
+
+                /* the ticks written are batched, even on a failure */
+                const batchWritten = cb => {
+                    if (! written.length) return cb(null);
+
+                    index.hgetall(indexKey('lgv', devid), (err, hash) => {
+                        if (err) return cb(err);
+                        const fields = lastGoodValueChanges(hash, written);
+                        if (fields) {
+                            batchLastGoodValue(devid, fields);
+                            events.push(lgvEvent(devid, fields));
+                        }
+                        batch.zadd(indexKey('devices'), devid, devid);
+                        cb(null);
+                    });
+                };
+
+                (function walkBlocks(list) {
+                    if (list.length) {
+                        const [block, ticks] = list[0];
+                        return putBlock(block, ticks, err => {
+                            if (err) return batchWritten(() => cb(err));
+                            walkBlocks(list.slice(1));
+                        });
+                    }
+                    batchWritten(cb);
+                }(Array.from(blocks.entries())));
+            });
+        };
+
+        loadCatalogForIngest((err, defs) => {
+            if (err) return cb(err);
+
+            /* no device is started after a failure, but those done are indexed */
+            var failure = null;
+            const tasks = Array.from(byDevice.entries()).map(([devid, ticks]) => {
+                ticks = Array.from(ticks.values()).filter(({ ticktime, devState }) => {
+                    const error = defs && checkByCatalog(defs, devid, ticktime, devState);
+                    if (error) rejected.push({ devid, ticktime, error });
+                    return ! error;
+                });
+                return cb => {
+                    if (failure) return cb(null);
+                    putDevice(devid, ticks, err => {
+                        failure = failure || err;
+                        cb(null);
+                    });
+                };
+            });
+
+            inParallel(tasks, batchParallelMax, () => {
+                batch.exec(err => {
+                    if (err) return cb(failure || err);
+                    events.forEach(publishEvent);
+                    if (failure) return cb(failure);
+                    cb(null, { stored, rejected });
+                });
+            });
+        });
+    };
+
+    /**
+     * Remove blocks in the future, archive aged level 1 blocks, apply the
+     * retention policies, compact the level 1 blocks before the current one
+     * and evict level 2 blocks.  options has
+     *
+     * level1Blocks     number of level 1 blocks of a device to keep
+     * level1Hours, archiveDays, quotaBytes
+     *                  override those of the global retention policy
+     * compact          false not to compact blocks
+     * level2Blocks, level2Bytes, level2HalfLife
+     *                  see evictL2Blocks
+     *
+     * Gives the summary of the retention, see applyRetention, with the number
+     * of blocks compacted as compactedBlocks.
+     */
+    this.housekeeping = (options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        cb = stats.timed('housekeepingSeconds', cb);
+
+        const archive = cb => {
+            if (! (options.level1Blocks > 0)) return cb(null);
+            archiveAgedBlocks(options.level1Blocks, cb);
+        };
+
+        const compact = cb => {
+            if (options.compact === false) return cb(null, 0);
+            compactSealedBlocks((err, compacted) => {
+                if (! err && compacted) logger.info(`compacted ${compacted} blocks`);
+                cb(err, compacted);
+            });
+        };
+
+        const evict = cb => {
+            if (! (options.level2Blocks >= 0) && ! (options.level2Bytes >= 0))
+                return cb(null);
+            evictL2Blocks(options, cb);
+        };
+
+        removeBlocksAfter(timeToBlockindex(new Date()), err => {
+            if (err) return cb(err);
+            archive(err => {
+                if (err) return cb(err);
+                applyRetention(options, (err, summary) => {
+                    if (err) return cb(err);
+                    compact((err, compacted) => {
+                        if (err) return cb(err);
+                        summary.compactedBlocks = compacted;
+                        evict(err => cb(err, summary));
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * The most recent samples at or before the time, but not before 'since'
+     * if given.  An empty metricIdList means the metrics of the most recent
+     * tick.  The blocks opened are counted in query.blocks.
+     */
+    const projectBackwards = (devid, time, metricIdList, since, query, cb) => {
+        const sinceEpoch = since ? Math.trunc(since.valueOf() / 1000) : null;
+        const leastBlock = since ? timeToBlockindex(since) : null;
+        var resultMetricList = [];
+
+        const doProjectingInBlocks = (blockList, cb) => {
+            (function walkBlockList(list) {
+                if (! list.length) return cb();
+                const b = list[0];
+                if (leastBlock != null && b < leastBlock) return cb();
+                openBlock(devid, b, (err, source, files) => {
+                    if (err) return cb();
+                    ++query.blocks;
+                    files = filterAndSortFileList(files, time);
+                    if (sinceEpoch != null)
+                        files = files.filter(name => +name.split('.')[0] >= sinceEpoch);
+                    projectMetricsFromSortedFiles(source, files,
+                        metricIdList,
+                        resultMetricList,
+                        (err, improvedResult) => {
+                            releaseBlock(devid, b);
+                            if (! err) resultMetricList = improvedResult;
+                            if (metricIdList.length
+                                ? resultMetricList.length == metricIdList.length
+                                : resultMetricList.length)
+                                return cb();
+                            else
+                                walkBlockList(list.slice(1));
+                        });
+                });
+            }(blockList));
+        };
+
+        getBlocksBackwards(devid, time, false, (err, blockList) => {
+            if (err) return cb(err);
+            doProjectingInBlocks(blockList, () => {
+                if (resultMetricList.length
+                    && resultMetricList.length >= metricIdList.length) {
+                    return cb(null, resultMetricList);
+                }
+                getBlocksBackwards(devid, time, true, (err, blockList) => {
+                    if (err) return cb(null, resultMetricList);
+                    doProjectingInBlocks(blockList, () => {
+                        return cb(null, resultMetricList);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * The earliest samples after the time, but not after 'until' if given,
+     * looking into no more blocks than the level 1 travel limit.  An empty
+     * metricIdList means the metrics of the next tick.  The blocks opened are
+     * counted in query.blocks.
+     */
+    const projectForwards = (devid, time, metricIdList, until, query, cb) => {
+        const timeEpoch = Math.trunc(time.valueOf() / 1000);
+        const untilEpoch = until ? Math.trunc(until.valueOf() / 1000) : Infinity;
+        const least = timeToBlockindex(time);
+        const greatest = until ? timeToBlockindex(until) : '+inf';
+        var resultMetricList = [];
+
+        index.zrangebyscore(indexKey('blk', devid), least, greatest, (err, l1) => {
+            if (err) return cb(err);
+            index.zrangebyscore(indexKey('_blk', devid), least, greatest,
+                (err, archived) => {
+                    if (err) return cb(err);
+                    const blocks = Array.from(new Set([...archived, ...l1].map(n => +n)))
+                        .sort((a, b) => a - b)
+                        .slice(0, level1BlocksTravelMax);
+
+                    (function walkBlockList(list) {
+                        if (! list.length) return cb(null, resultMetricList);
+                        const b = list[0];
+                        openBlock(devid, b, (err, source, files) => {
+                            if (err) return walkBlockList(list.slice(1));
+                            ++query.blocks;
+                            files = files
+                                .filter(name => {
+                                    if (path.extname(name) != '.dat') return false;
+                                    const t = +name.split('.')[0];
+                                    return t > timeEpoch && t <= untilEpoch;
+                                })
+                                .sort((a, b) => +a.split('.')[0] - +b.split('.')[0]);
+                            projectMetricsFromSortedFiles(source, files,
+                                metricIdList,
+                                resultMetricList,
+                                (err, improvedResult) => {
+                                    releaseBlock(devid, b);
+                                    if (! err) resultMetricList = improvedResult;
+                                    if (metricIdList.length
+                                        ? resultMetricList.length == metricIdList.length
+                                        : resultMetricList.length)
+                                        return cb(null, resultMetricList);
+                                    walkBlockList(list.slice(1));
+                                });
+                        });
+                    }(blocks));
+                });
+        });
+    };
+
+    /* good samples of numbers, those of strings can not be interpolated */
+    const isInterpolable = m => m && ! m.status && m.type != 'string';
+
+    /*
+     * linear interpolation at ticktime t between two interpolable samples, an
+     * integer if both are, otherwise a double
+     */
+    const interpolate = (prev, next, t) => {
+        const v0 = rollup.realValue(prev.value, prev.scale);
+        const v1 = rollup.realValue(next.value, next.scale);
+        const v = v0 + (v1 - v0) * (t - prev.ticktime) / (next.ticktime - prev.ticktime);
+        if (prev.type == 'double' || next.type == 'double')
+            return { id: prev.id, status: 0, type: 'double', value: v, scale: 0, ticktime: t };
+
+        const scale = Math.min(prev.scale, next.scale);
+        return {
+            id: prev.id,
+            status: 0,
+            type: 'int',
+            value: Math.round(rollup.realValue(v, -scale)),
+            scale,
+            ticktime: t,
+        };
+    };
+
+    /**
+     * Project metrics of a device at a time, i.e., tell their values at the
+     * time from the samples around it.  options has
+     *
+     * mode         'previous' (default), the most recent sample at or before
+     *              the time;
+     *              'nearest', the closest sample in either direction, the
+     *              previous one if both are as close;
+     *              'linear', interpolated between the previous and the next
+     *              samples if both are good (status 0) and not strings,
+     *              otherwise the same as 'previous', or 'nearest' if there is
+     *              no previous sample
+     * maxAge       in seconds, samples farther than this from the time, in
+     *              either direction, are not used
+     *
+     * Each projected metric is a sample, i.e., a metric in the shape told in
+     * dev-state.js whatever version it is stored in, with its ticktime, plus
+     * the mode by which it is projected and its distance, in seconds, to the
+     * time.  An interpolated metric has the ticktime of the time and the
+     * distance to the farther of the two samples.
+     *
+     * If metricIdList is empty, the metrics of the most recent tick no younger
+     * than the time are projected.  The metrics may be given by ids or names
+     * in the catalog.
+     */
+    this.projectMetrics = (devid, time, metricIdList, options, cb) => {
+        if (typeof metricIdList == 'function') {
+            cb = metricIdList;
+            metricIdList = [];
+        } else if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        metricIdList = metricIdList || [];
+        options = options || {};
+
+        const mode = options.mode || 'previous';
+        if (! projectionModes.includes(mode))
+            return cb(Error(`unknown projection mode ${mode}`));
+        const maxAge = options.maxAge != null ? +options.maxAge : null;
+        if (maxAge != null && ! (maxAge >= 0))
+            return cb(Error(`bad max age ${options.maxAge}`));
+
+        const t = Math.trunc(time.valueOf() / 1000);
+        const since = maxAge != null ? new Date((t - maxAge) * 1000) : null;
+        const until = maxAge != null ? new Date((t + maxAge) * 1000) : null;
+        const withDistance = (m, mode) => ({ ...m, mode, distance: Math.abs(t - m.ticktime) });
+
+        const query = { blocks: 0 };
+        const reply = cb;
+        cb = stats.timed('projectSeconds', (err, result) => {
+            stats.observe('blocksPerQuery', query.blocks);
+            reply(err, result);
+        });
+
+        this.resolveMetricIds(metricIdList, (err, metricIdList) => {
+            if (err) return cb(err);
+
+            projectBackwards(devid, time, metricIdList, since, query, (err, prevList) => {
+                if (err) return cb(err);
+                if (mode == 'previous')
+                    return cb(null, prevList.map(m => withDistance(m, mode)));
+
+                const idList = metricIdList.length ? metricIdList : prevList.map(m => m.id);
+                const prevs = new Map(prevList.map(m => [m.id, m]));
+                const wanted = idList.filter(id => ! prevs.has(id) || prevs.get(id).ticktime < t);
+                if (idList.length && ! wanted.length)
+                    return cb(null, prevList.map(m => withDistance(m, mode)));
+
+                projectForwards(devid, time, wanted, until, query, (err, nextList) => {
+                    if (err) return cb(err);
+                    const nexts = new Map(nextList.map(m => [m.id, m]));
+
+                    const resultMetricList = [];
+                    for (const id of idList.length ? idList : nextList.map(m => m.id)) {
+                        const prev = prevs.get(id);
+                        const next = nexts.get(id);
+                        if (! prev && ! next) continue;
+
+                        if (mode == 'nearest') {
+                            const m = ! prev
+                                || (next && next.ticktime - t < t - prev.ticktime) ? next : prev;
+                            resultMetricList.push(withDistance(m, mode));
+                        } else if (prev && prev.ticktime == t) {
+                            resultMetricList.push(withDistance(prev, mode));
+                        } else if (isInterpolable(prev) && isInterpolable(next)) {
+                            resultMetricList.push({
+                                ...interpolate(prev, next, t),
+                                mode,
+                                distance: Math.max(t - prev.ticktime, next.ticktime - t),
+                            });
+                        } else if (prev) {
+                            resultMetricList.push(withDistance(prev, 'previous'));
+                        } else {
+                            resultMetricList.push(withDistance(next, 'nearest'));
+                        }
+                    }
+                    cb(null, resultMetricList);
+                });
+            });
+        });
+    };
+
+    /**
+     * Get all the blocks, level 1 or archived, in which the device has data
+     * between the two times, in ascending order.
+     */
+    const getBlocksBetween = (devid, from, to, cb) => {
+        const least = timeToBlockindex(from);
+        const greatest = timeToBlockindex(to);
+
+        index.zrangebyscore(indexKey('blk', devid), least, greatest, (err, l1) => {
+            if (err) return cb(err);
+            index.zrangebyscore(indexKey('_blk', devid), least, greatest,
+                (err, archived) => {
+                    if (err) return cb(err);
+                    const blocks = new Set([...l1, ...archived].map(n => +n));
+                    cb(null, Array.from(blocks).sort((a, b) => a - b));
+                });
+        });
+    };
+
+    /**
+     * Walk through the ticks of a device between the two times, inclusively,
+     * in time order, no matter how many blocks the range is across.  Every
+     * call to next gives the metrics of the next tick, or null when all
+     * ticks have been walked.  The metrics may be given by ids or names.  A
+     * block or a tick failed to read, e.g., of a bad checksum or locked too
+     * long, fails the walk rather than being skipped, except a block removed
+     * since it was listed.
+     */
+    const createTickWalker = (devid, metricList, from, to) => {
+        const fromEpoch = Math.trunc(from.valueOf() / 1000);
+        const toEpoch = Math.trunc(to.valueOf() / 1000);
+        var metricIdList = null;
+        var blocks = null;
+        var current = null;
+        var source;
+        var files = [];
+        var opened = 0;
+        var finished = false;
+
+        const release = () => {
+            if (current == null) return;
+            releaseBlock(devid, current);
+            current = null;
+        };
+
+        /* done with the walk, whether or not all ticks are walked */
+        const close = () => {
+            release();
+            if (finished) return;
+            finished = true;
+            stats.observe('blocksPerQuery', opened);
+        };
+
+        const nextBlock = cb => {
+            release();
+            if (! blocks.length) {
+                close();
+                return cb(null, false);
+            }
+            const b = blocks.shift();
+            openBlock(devid, b, (err, blockSource, fileList) => {
+                /* removed since it was listed, e.g., by retention */
+                if (err && err.code == 'ENOENT') {
+                    logger.info(`skip block ${b} of device ${devid}: ${err.message}`);
+                    return nextBlock(cb);
+                }
+                if (err) return cb(err);
+                ++opened;
+                current = b;
+                source = blockSource;
+                files = fileList
+                    .filter(name => {
+                        if (path.extname(name) != '.dat') return false;
+                        const t = +name.split('.')[0];
+                        return t >= fromEpoch && t <= toEpoch;
+                    })
+                    .sort((a, b) => +a.split('.')[0] - +b.split('.')[0]);
+                cb(null, true);
+            });
+        };
+
+        const next = cb => {
+            if (metricIdList == null)
+                return this.resolveMetricIds(metricList, (err, ids) => {
+                    if (err) return cb(err);
+                    metricIdList = ids;
+                    next(cb);
+                });
+
+            if (blocks == null)
+                return getBlocksBetween(devid, from, to, (err, blockList) => {
+                    if (err) return cb(err);
+                    blocks = blockList;
+                    next(cb);
+                });
+
+            if (! files.length)
+                return nextBlock((err, more) => {
+                    if (err || ! more) return cb(err, null);
+                    next(cb);
+                });
+
+            source.load(files.shift(), metricIdList, (err, metrics) => {
+                if (err) return cb(err);
+                cb(null, metrics.sort((a, b) => a.id - b.id));
+            });
+        };
+
+        return { next, close };
+    };
+
+    /**
+     * Create a readable stream (in object mode) of every stored sample of the
+     * device between the two times, inclusively, in time order.  Each sample
+     * has the same shape of a metric returned by projectMetrics.  An empty
+     * metricIdList means all the metrics, which may be given by ids or names
+     * in the catalog.
+     */
+    this.createMetricSeriesStream = (devid, metricIdList, from, to) => {
+        const walker = createTickWalker(devid, metricIdList || [], from, to);
+        var reading = false;
+
+        const stream = new Readable({
+            objectMode: true,
+            read() {
+                pump();
+            },
+            destroy(err, cb) {
+                walker.close();
+                cb(err);
+            },
+        });
+
+        const pump = () => {
+            if (reading) return;
+            reading = true;
+            walker.next((err, metrics) => {
+                reading = false;
+                if (err) return stream.destroy(err);
+                if (metrics == null) return stream.push(null);
+
+                var more = true;
+                metrics.forEach(m => {
+                    more = stream.push(m);
+                });
+                if (more) pump();
+            });
+        };
+
+        return stream;
+    };
+
+    /**
+     * Same as createMetricSeriesStream but as an async iterator, e.g.,
+     *
+     *      for await (const m of model.iterateMetricSeries(devid, [], from, to))
+     */
+    this.iterateMetricSeries = (devid, metricIdList, from, to) => {
+        const stream = this.createMetricSeriesStream(devid, metricIdList, from, to);
+        return stream[Symbol.asyncIterator]();
+    };
+
+    /**
+     * Same as createMetricSeriesStream but collect all the samples in a list.
+     */
+    this.getMetricSeries = (devid, metricIdList, from, to, cb) => {
+        const result = [];
+        this.createMetricSeriesStream(devid, metricIdList, from, to)
+            .on('data', m => result.push(m))
+            .on('error', cb)
+            .on('end', () => cb(null, result));
+    };
+
+    /* hourly rollup of a block read from its ticks */
+    const rollupBlock = (devid, block, cb) => {
+        openBlock(devid, block, (err, source, files) => {
+            if (err) return cb(err);
+
+            const samples = [];
+            (function walkFiles(files) {
+                if (! files.length) {
+                    releaseBlock(devid, block);
+                    return cb(null, rollup.rollupSamples(samples));
+                }
+                source.load(files[0], [], (err, metrics) => {
+                    if (err) {
+                        releaseBlock(devid, block);
+                        return cb(err);
+                    }
+                    samples.push(...metrics);
+                    walkFiles(files.slice(1));
+                });
+            }(filterAndSortFileList(files)));
+        });
+    };
+
+    /**
+     * Get the rollups (see rollup.js) of the metrics of a device in periods of
+     * the granularity, which is one of 'hour', 'block' and 'day' (in UTC), for
+     * the periods between the two times.  An empty metricIdList means all the
+     * metrics, which may be given by ids or names in the catalog.  Gives a
+     * list of { start, id, min, max, avg, sum, count, bad } in order of start
+     * (in epoch seconds) and then id.
+     *
+     * The rollups of archived blocks are kept in the index once made, those of
+     * level 1 blocks are made from the ticks every time.
+     */
+    this.getRollups = (devid, metricIdList, from, to, granularity, cb) => {
+        const periodOfs = {
+            hour: hour => hour,
+            block: hour => hour - (hour % (24 * 3600)) % (blockHours * 3600),
+            day: hour => hour - hour % (24 * 3600),
+        };
+        const periodOf = periodOfs[granularity];
+        if (! periodOf) return cb(Error(`bad rollup granularity ${granularity}`));
+
+        const fromHour = periodOf(Math.trunc(from.valueOf() / 1000 / 3600) * 3600);
+        const toEpoch = Math.trunc(to.valueOf() / 1000);
+        const key = indexKey('rollup', devid);
+
+        const blockRollup = (block, stored, cb) => {
+            if (stored[block]) return cb(null, JSON.parse(stored[block]));
+
+            isBlockInArchive(devid, block, yes => {
+                rollupBlock(devid, block, (err, hourly) => {
+                    if (err || ! yes) return cb(err, hourly);
+                    index.hset(key, block, JSON.stringify(hourly), err => {
+                        cb(err, hourly);
+                    });
+                });
+            });
+        };
+
+        this.resolveMetricIds(metricIdList || [], (err, metricIdList) => {
+            if (err) return cb(err);
+
+            getBlocksBetween(devid, new Date(fromHour * 1000), to, (err, blocks) => {
+                if (err) return cb(err);
+                index.hgetall(key, (err, stored) => {
+                    if (err) return cb(err);
+
+                    const hourlyList = [];
+                    (function walkBlocks(list) {
+                        if (! list.length)
+                            return cb(null, rollup.combineRollups(hourlyList, periodOf,
+                                metricIdList));
+
+                        blockRollup(list[0], stored || {}, (err, hourly) => {
+                            if (err) return cb(err);
+                            const inRange = {};
+                            for (const hour of Object.keys(hourly)) {
+                                if (+hour >= fromHour && +hour <= toEpoch)
+                                    inRange[hour] = hourly[hour];
+                            }
+                            hourlyList.push(inRange);
+                            walkBlocks(list.slice(1));
+                        });
+                    }(blocks));
+                });
+            });
+        });
+    };
+
+    /* the gap reports of the metrics of a device, see gaps.js */
+    const reportDeviceGaps = (devid, intervals, from, to, top, cb) => {
+        const tracker = gaps.createGapTracker(intervals,
+            Math.trunc(from.valueOf() / 1000), Math.trunc(to.valueOf() / 1000), top);
+        const walker = createTickWalker(devid, Array.from(intervals.keys()), from, to);
+
+        (function walkTicks() {
+            walker.next((err, metrics) => {
+                if (err) {
+                    walker.close();
+                    return cb(err);
+                }
+                if (metrics == null) return cb(null, tracker.finish());
+                metrics.forEach(tracker.add);
+                walkTicks();
+            });
+        }());
+    };
+
+    /**
+     * Report the gaps (see gaps.js) of the metrics of the devices between the
+     * two times.  An empty list of devices means all the devices.  options has
+     *
+     * intervals    expected interval in seconds by metric id or name, e.g.,
+     *              { 1: 900 }, those in the metric catalog if not given
+     * metricIdList only report these metrics, by ids or names in the catalog,
+     *              all of those with intervals if empty
+     * top          number of the longest gaps to report, 5 by default
+     *
+     * Gives { from, to, devices, metrics } where devices lists the reports of
+     * each device as { devid, metrics }, and metrics are the reports of the
+     * whole devices.
+     */
+    this.getGapReport = (devices, from, to, options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+
+        const getIntervals = cb => {
+            if (options.intervals) {
+                const metrics = Object.keys(options.intervals);
+                return this.resolveMetricIds(metrics, (err, ids) => {
+                    if (err) return cb(err);
+                    cb(null, ids.map((id, i) => [id, +options.intervals[metrics[i]]]));
+                });
+            }
+            loadCatalog((err, defs) => {
+                if (err) return cb(err);
+                cb(null, Array.from(defs.values())
+                    .filter(def => def.interval)
+                    .map(def => [def.id, def.interval]));
+            });
+        };
+
+        const getDevices = cb => {
+            if (devices && devices.length) return cb(null, devices);
+            this.listDevices(cb);
+        };
+
+        this.resolveMetricIds(options.metricIdList || [], (err, metricIdList) => {
+            if (err) return cb(err);
+
+            getIntervals((err, list) => {
+                if (err) return cb(err);
+                const intervals = new Map(list.filter(([id]) =>
+                    ! metricIdList.length || metricIdList.includes(id)));
+                for (const [id, interval] of intervals) {
+                    if (! (interval > 0))
+                        return cb(Error(`bad interval ${interval} of metric ${id}`));
+                }
+                if (! intervals.size) return cb(Error('no metric with an expected interval'));
+
+                getDevices((err, devList) => {
+                    if (err) return cb(err);
+
+                    const report = { from, to, devices: [], metrics: [] };
+                    (function walkDevices(list) {
+                        if (! list.length) {
+                            report.metrics = gaps.combineGapReports(report.devices,
+                                options.top);
+                            return cb(null, report);
+                        }
+                        const devid = list[0];
+                        reportDeviceGaps(devid, intervals, from, to, options.top,
+                            (err, metrics) => {
+                                if (err) return cb(err);
+                                report.devices.push({ devid, metrics });
+                                walkDevices(list.slice(1));
+                            });
+                    }(devList));
+                });
+            });
+        });
+    };
+
+    /**
+     * Call listener(event) for every event (see Events) of the device, or of
+     * all the devices if devid is null, until the returned function is called.
+     */
+    this.subscribe = (devid, listener) => {
+        const channel = indexKey('events', devid == null ? '*' : devid);
+        return index.subscribe(channel, message => {
+            var event;
+            try {
+                event = JSON.parse(message);
+            } catch (err) {
+                return logger.error(`bad event on ${channel}: ${message}`);
+            }
+            listener(event);
+        });
+    };
+
+    /**
+     * List the devid's of all the devices, in ascending order.
+     */
+    this.listDevices = cb => {
+        index.zrange(indexKey('devices'), 0, -1, (err, devList) => {
+            if (err) return cb(err);
+            cb(null, (devList || []).map(devid => +devid));
+        });
+    };
+
+    this.hasDevice = (devid, cb) => {
+        index.zscore(indexKey('devices'), devid, (err, score) => {
+            if (err) return cb(err);
+            cb(null, score != null);
+        });
+    };
+
+    this.getDeviceTimeSpan = (devid, cb) => {
+        cb = stats.timed('spanSeconds', cb);
+        getL1MinBlock(devid, (err, blockMin) => {
+            if (err) return cb(err);
+            if (! blockMin) return cb(null, null, null);
+
+            getL1MaxBlock(devid, (err, blockMax) => {
+                if (err) return cb(err);
+                if (! blockMax) return cb(null, null, null);
+
+                getArchiveMinBlock(devid, (err, aBlockMin) => {
+                    if (err) return cb(err);
+                    if (aBlockMin) blockMin = aBlockMin;
+                    getMinTimeInBlock(devid, blockMin, (err, min) => {
+                        if (err) return cb(err);
+                        getMaxTimeInBlock(devid, blockMax, (err, max) => {
+                            if (err) return cb(err);
+                            cb(null, min, max);
+                        });
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Get the last good value of a device, see updateLastGoodValue. Each of the
+     * result metrics has the same shape of a metric returned by projectMetrics,
+     * i.e., with the ticktime (in epoch seconds) accompanied.  If metricIdList is
+     * not provided, all the metrics ever remembered for the device are returned.
+     */
+    this.getDeviceLastGoodValue = (devid, metricIdList, cb) => {
+        if (typeof metricIdList == 'function') {
+            cb = metricIdList;
+            metricIdList = [];
+        }
+        metricIdList = metricIdList || [];
+
+        index.hgetall(indexKey('lgv', devid), (err, hash) => {
+            if (err) return cb(err);
+            if (! hash) return cb(null, { lastTicktime: null, metrics: [] });
+
+            const metrics = new Map();
+            for (const field of Object.keys(hash)) {
+                const sep = field.indexOf('_');
+                if (sep < 0) continue;
+
+                const id = +field.slice(0, sep);
+                const prop = field.slice(sep + 1);
+                if (isNaN(id)) continue;
+                if (metricIdList.length && ! metricIdList.includes(id)) continue;
+
+                if (! metrics.has(id)) metrics.set(id, {});
+                metrics.get(id)[prop] = hash[field];
+            }
+
+            cb(null, {
+                lastTicktime: hash.ticktime != null
+                    ? new Date(+hash.ticktime * 1000) : null,
+                metrics: Array.from(metrics.keys()).sort((a, b) => a - b)
+                    .map(id => lastGoodValueMetric(id, metrics.get(id))),
+            });
+        });
+    };
+
+    /**
+     * Find out everything that belongs to a device: its index keys, its
+     * entries in the level 2 sorted sets, its block directories (indexed or
+     * not, e.g., those extracted from archives) and its archive directory.
+     */
+    const collectDeviceData = (devid, cb) => {
+        const plan = {
+            devid,
+            keys: [],
+            l2Blocks: [],
+            dirs: [],
+            archiveDir: null,
+        };
+
+        const collectKeys = cb => {
+            const keys = [
+                indexKey('blk', devid), indexKey('_blk', devid), indexKey('lgv', devid),
+                indexKey('rollup', devid),
+            ];
+            (function walkKeys(keys) {
+                if (! keys.length) return cb(null);
+                index.exists(keys[0], (err, yes) => {
+                    if (err) return cb(err);
+                    if (yes) plan.keys.push(keys[0]);
+                    walkKeys(keys.slice(1));
+                });
+            }(keys));
+        };
+
+        const collectL2Blocks = cb => {
+            index.zrange(indexKey('_blk', devid), 0, -1, (err, blockList) => {
+                if (err) return cb(err);
+
+                (function walkBlocks(blocks) {
+                    if (! blocks.length) return cb(null);
+                    const name = combinedBlockName(devid, +blocks[0]);
+                    index.zscore(indexKey('blk', 'l2'), name, (err, score) => {
+                        if (err) return cb(err);
+                        if (score != null) plan.l2Blocks.push(name);
+                        walkBlocks(blocks.slice(1));
+                    });
+                }(blockList || []));
+            });
+        };
+
+        const collectDirs = cb => {
+            fs.readdir(devDataRoot, (err, names) => {
+                if (err) return cb(err.code == 'ENOENT' ? null : err);
+
+                const blocks = names.filter(name => /^[0-9]+$/.test(name));
+                (function walkBlocks(blocks) {
+                    if (! blocks.length) return cb(null);
+                    const dir = devBlockdir(devid, blocks[0]);
+                    fs.stat(dir, (err, stats) => {
+                        if (! err && stats.isDirectory()) plan.dirs.push(dir);
+                        walkBlocks(blocks.slice(1));
+                    });
+                }(blocks));
+            });
+        };
+
+        collectKeys(err => {
+            if (err) return cb(err);
+            collectL2Blocks(err => {
+                if (err) return cb(err);
+                collectDirs(err => {
+                    if (err) return cb(err);
+                    fs.stat(archiveDir(devid), (err, stats) => {
+                        if (! err && stats.isDirectory())
+                            plan.archiveDir = archiveDir(devid);
+                        cb(null, plan);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Remove what is planned by collectDeviceData.  Each block is removed
+     * holding its lock, its index entries first so that nobody would reach the
+     * files being removed, and none of them is if any of them is being read,
+     * with which it fails with code EBUSY.
+     */
+    const purgeDeviceData = (plan, cb) => {
+        const devid = plan.devid;
+
+        const busyError = block => {
+            const err = Error(`block ${block} of device ${devid} is being read`);
+            err.code = 'EBUSY';
+            return err;
+        };
+
+        const collectBlocks = cb => {
+            index.zrange(indexKey('blk', devid), 0, -1, (err, l1) => {
+                if (err) return cb(err);
+                index.zrange(indexKey('_blk', devid), 0, -1, (err, archived) => {
+                    if (err) return cb(err);
+                    const blocks = new Set([...l1, ...archived].map(b => +b));
+                    plan.dirs.forEach(dir => blocks.add(+path.basename(path.dirname(dir))));
+                    cb(null, Array.from(blocks).sort((a, b) => a - b));
+                });
+            });
+        };
+
+        const checkPins = (blocks, cb) => {
+            (function walkBlocks(list) {
+                if (! list.length) return cb(null);
+                isBlockPinned(devid, list[0], (err, pinned) => {
+                    if (err) return cb(err);
+                    if (pinned) return cb(busyError(list[0]));
+                    walkBlocks(list.slice(1));
+                });
+            }(blocks));
+        };
+
+        const removeBlock = (block, cb) => {
+            const name = combinedBlockName(devid, block);
+            const batch = index.batch();
+            batch.zrem(indexKey('blk', devid), block);
+            batch.zrem(indexKey('_blk', devid), block);
+            batch.zrem(indexKey('blk', 'l2'), name);
+            batch.zrem(indexKey('blk', 'l2', 'counter'), name);
+            batch.exec(err => {
+                if (err) return cb(err);
+                try {
+                    shell.rm('-rf', devBlockdir(devid, block));
+                    shell.rm('-f', archiveName(devid, block), legacyArchiveName(devid, block));
+                } catch (err) {
+                    return cb(err);
+                }
+                /* remove the blockdir as well if it became empty */
+                fs.rmdir(blockdir(block), () => cb(null));
+            });
+        };
+
+        const removeIndex = cb => {
+            const delKeys = cb => {
+                if (! plan.keys.length) return cb(null);
+                index.del(plan.keys, cb);
+            };
+
+            delKeys(err => {
+                if (err) return cb(err);
+                index.zrem(indexKey('devices'), devid, cb);
+            });
+        };
+
+        collectBlocks((err, blocks) => {
+            if (err) return cb(err);
+            checkPins(blocks, err => {
+                if (err) return cb(err);
+
+                (function walkBlocks(list) {
+                    if (! list.length) {
+                        return removeIndex(err => {
+                            if (err) return cb(err);
+                            try {
+                                if (plan.archiveDir) shell.rm('-rf', plan.archiveDir);
+                            } catch (err) {
+                                return cb(err);
+                            }
+                            cb(null);
+                        });
+                    }
+
+                    const block = list[0];
+                    withBlockLock(devid, block, done => {
+                        isBlockPinned(devid, block, (err, pinned) => {
+                            if (err) return done(err);
+                            if (pinned) return done(busyError(block));
+                            removeBlock(block, done);
+                        });
+                    }, err => {
+                        if (err) return cb(err);
+                        walkBlocks(list.slice(1));
+                    });
+                }(blocks));
+            });
+        });
+    };
+
+    /**
+     * Remove a device and all of its data, both indexes and files.  With
+     * options.dryRun, nothing will be deleted but only the list of what would
+     * be deleted is given to the callback.  Fails with code EBUSY if any block
+     * of the device is being read, see Locks.
+     */
+    this.removeDevice = (devid, options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+
+        collectDeviceData(devid, (err, plan) => {
+            if (err) return cb(err);
+            if (options.dryRun) return cb(null, plan);
+
+            checkLayoutUnlocked(err => {
+                if (err) return cb(err);
+                logger.info(`remove device ${devid}`);
+                purgeDeviceData(plan, err => {
+                    if (err) return cb(err);
+                    cb(null, plan);
+                });
+            });
+        });
+    };
+
+    /**
+     * Recreate the last good value of a device from the ticks in its level 1
+     * blocks, the newest ones first, or from those of its newest archive if
+     * there are none.
+     */
+    const rebuildLastGoodValue = (devid, cb) => {
+        const key = indexKey('lgv', devid);
+        const fields = {};
+        var lasttime = null;
+
+        const save = () => {
+            index.del(key, err => {
+                if (err || lasttime == null) return cb(err);
+                fields.ticktime = lasttime;
+                index.hmset(key, fields, cb);
+            });
+        };
+
+        const readTicks = (source, files, cb) => {
+            (function walkFiles(files) {
+                if (! files.length) return cb();
+                source.load(files[0], [], (err, metrics) => {
+                    if (err) return walkFiles(files.slice(1));
+                    for (const m of metrics) {
+                        if (fields[m.id + '_ticktime'] != null) continue;
+                        Object.assign(fields, lastGoodValueFields(m, m.ticktime));
+                        if (lasttime == null || m.ticktime > lasttime)
+                            lasttime = m.ticktime;
+                    }
+                    walkFiles(files.slice(1));
+                });
+            }(filterAndSortFileList(files)));
+        };
+
+        const walkArchives = () => {
+            index.zrevrange(indexKey('_blk', devid), 0, -1, (err, blockList) => {
+                if (err) return cb(err);
+
+                (function walkBlocks(blocks) {
+                    if (! blocks.length || lasttime != null) return save();
+                    const block = +blocks[0];
+                    openBlock(devid, block, (err, source, files) => {
+                        if (err) return walkBlocks(blocks.slice(1));
+                        readTicks(source, files, () => {
+                            releaseBlock(devid, block);
+                            walkBlocks(blocks.slice(1));
+                        });
+                    });
+                }(blockList || []));
+            });
+        };
+
+        index.zrevrange(indexKey('blk', devid), 0, -1, (err, blockList) => {
+            if (err) return cb(err);
+
+            (function walkBlocks(blocks) {
+                if (! blocks.length) return lasttime == null ? walkArchives() : save();
+                openBlockDir(devBlockdir(devid, +blocks[0]), (err, source, files) => {
+                    if (err) return walkBlocks(blocks.slice(1));
+                    readTicks(source, files, () => walkBlocks(blocks.slice(1)));
+                });
+            }(blockList));
+        });
+    };
+
+    /**
+     * Scan the data directory for what is on disk: for each device, the
+     * level 1 (or extracted level 2) blocks with a directory, the blocks
+     * with an archive, and among them those with a legacy archive.
+     */
+    const scanDataRoot = cb => {
+        const diskBlocks = new Map();
+        const diskArchives = new Map();
+        const diskLegacyArchives = new Map();
+        const add = (map, devid, block) => {
+            if (! map.has(devid)) map.set(devid, new Set());
+            map.get(devid).add(block);
+        };
+
+        const scanArchives = cb => {
+            const root = path.join(devDataRoot, 'archive');
+            fs.readdir(root, (err, devids) => {
+                if (err) return cb(err.code == 'ENOENT' ? null : err);
+
+                (function walkDevices(devids) {
+                    if (! devids.length) return cb(null);
+                    const devid = +devids[0];
+                    fs.readdir(archiveDir(devid), (err, files) => {
+                        if (! err) {
+                            for (const name of files) {
+                                const m = name.match(/^([0-9]+)-([0-9]+)\.(fca|tgz)$/);
+                                if (! m || +m[1] != devid) continue;
+                                add(diskArchives, devid, +m[2]);
+                                if (m[3] == 'tgz') add(diskLegacyArchives, devid, +m[2]);
+                            }
+                        }
+                        walkDevices(devids.slice(1));
+                    });
+                }(devids.filter(name => /^[0-9]+$/.test(name))));
+            });
+        };
+
+        fs.readdir(devDataRoot, (err, names) => {
+            if (err) {
+                return cb(err.code == 'ENOENT' ? null : err,
+                    diskBlocks, diskArchives, diskLegacyArchives);
+            }
+
+            (function walkBlocks(blocks) {
+                if (! blocks.length)
+                    return scanArchives(err => {
+                        cb(err, diskBlocks, diskArchives, diskLegacyArchives);
+                    });
+                const block = +blocks[0];
+                fs.readdir(blockdir(block), (err, devids) => {
+                    if (! err) {
+                        devids.filter(name => /^[0-9]+$/.test(name))
+                            .forEach(devid => add(diskBlocks, +devid, block));
+                    }
+                    walkBlocks(blocks.slice(1));
+                });
+            }(names.filter(name => /^[0-9]+$/.test(name))));
+        });
+    };
+
+    /**
+     * Check the consistency between the index and the files of a device, see
+     * checkConsistency.  disk tells what scanDataRoot found of the device.
+     */
+    const checkDevice = (devid, disk, options, report, cb) => {
+        const blocksOnDisk = disk.blocks;
+        const archivesOnDisk = disk.archives;
+        const legacyArchivesOnDisk = disk.legacyArchives;
+
+        const problem = (type, props) => {
+            const p = { type, devid, ...props, repaired: false };
+            report.problems.push(p);
+            return p;
+        };
+
+        /* run the repair of a problem, if asked to */
+        const repair = (p, fix, cb) => {
+            if (! options.repair) return cb(null);
+            fix(err => {
+                if (err) {
+                    p.repairError = err.message;
+                    logger.error(err);
+                } else {
+                    logger.info(`repaired ${p.type} of device ${devid}`);
+                    p.repaired = true;
+                }
+                cb(null);
+            });
+        };
+
+        const inOrder = (tasks, cb) => {
+            (function walkTasks(tasks) {
+                if (! tasks.length) return cb(null);
+                tasks[0](err => {
+                    if (err) return cb(err);
+                    walkTasks(tasks.slice(1));
+                });
+            }(tasks));
+        };
+
+        const tasks = [];
+        var indexed;
+        var archived;
+        var newestTick = null;
+        const newestTicks = new Map();  /* of each metric id */
+
+        const sawTick = (t, devState) => {
+            if (newestTick == null || t > newestTick) newestTick = t;
+            for (const m of devState.metrics) {
+                if (! (newestTicks.get(m.id) >= t)) newestTicks.set(m.id, t);
+            }
+        };
+
+        tasks.push(cb => {
+            index.zrange(indexKey('blk', devid), 0, -1, (err, blockList) => {
+                if (err) return cb(err);
+                indexed = new Set(blockList.map(n => +n));
+                index.zrange(indexKey('_blk', devid), 0, -1, (err, blockList) => {
+                    if (err) return cb(err);
+                    archived = new Set(blockList.map(n => +n));
+                    cb(null);
+                });
+            });
+        });
+
+        tasks.push(cb => {
+            if (disk.listed) return cb(null);
+            const p = problem('unlisted-device', {});
+            repair(p, cb => index.zadd(indexKey('devices'), devid, devid, cb), cb);
+        });
+
+        /* index entries without data */
+        tasks.push(cb => {
+            inOrder([...indexed].filter(b => ! blocksOnDisk.has(b)).map(block => cb => {
+                const p = problem('missing-dir', {
+                    block, pathname: devBlockdir(devid, block),
+                });
+                repair(p, cb => removeDeviceBlockIndex(devid, block, cb), cb);
+            }), cb);
+        });
+
+        tasks.push(cb => {
+            const missing = [...archived].filter(b => ! archivesOnDisk.has(b));
+            inOrder(missing.map(block => cb => {
+                const p = problem('missing-archive', {
+                    block, pathname: archiveName(devid, block),
+                });
+                repair(p, cb => index.zrem(indexKey('_blk', devid), block, cb), cb);
+            }), cb);
+        });
+
+        /* data without index entries */
+        tasks.push(cb => {
+            const unindexed = [...archivesOnDisk].filter(b => ! archived.has(b));
+            inOrder(unindexed.map(block => cb => {
+                const p = problem('unindexed-archive', {
+                    block,
+                    pathname: legacyArchivesOnDisk.has(block)
+                        ? legacyArchiveName(devid, block) : archiveName(devid, block),
+                });
+                repair(p, cb => markDeviceBlockArchived(devid, block, cb), cb);
+            }), cb);
+        });
+
+        tasks.push(cb => {
+            inOrder([...blocksOnDisk].filter(b => ! indexed.has(b)).map(block => cb => {
+                if (! archived.has(block)) {
+                    const dir = devBlockdir(devid, block);
+                    const p = problem('unindexed-dir', { block, pathname: dir });
+
+                    /* index it if it has any tick, otherwise it's just garbage */
+                    return repair(p, cb => fs.readdir(dir, (err, files) => {
+                        if (err) return cb(err);
+                        if (hasTicks(files))
+                            return index.zadd(indexKey('blk', devid), block, block, cb);
+                        removeDeviceBlock(devid, block, cb);
+                    }), cb);
+                }
+
+                /* an extracted archive, it has to be a level 2 block */
+                const name = combinedBlockName(devid, block);
+                index.zscore(indexKey('blk', 'l2'), name, (err, score) => {
+                    if (err || score != null) return cb(err);
+                    const p = problem('stale-level2-dir', {
+                        block, pathname: devBlockdir(devid, block),
+                    });
+                    repair(p, cb => evictL2Block(name, cb), cb);
+                });
+            }), cb);
+        });
+
+        /* archives in the native format can be verified in place */
+        tasks.push(cb => {
+            const native = [...archivesOnDisk].filter(b => ! legacyArchivesOnDisk.has(b));
+            inOrder(native.map(block => cb => {
+                const pathname = archiveName(devid, block);
+                archive.verifyArchive(pathname, err => {
+                    if (! err) return cb(null);
+                    problem('bad-archive', { block, pathname, detail: err.message });
+                    cb(null);
+                });
+            }), cb);
+        });
+
+        /* the files of every block on disk */
+        tasks.push(cb => {
+            inOrder([...blocksOnDisk].map(block => cb => {
+                const dir = devBlockdir(devid, block);
+                fs.readdir(dir, (err, files) => {
+                    if (err) return cb(null);
+
+                    inOrder(files.map(name => cb => {
+                        const pathname = path.join(dir, name);
+                        if (path.extname(name) == '.tmp') {
+                            const p = problem('tmp-file', { block, pathname });
+                            return repair(p, cb => fs.unlink(pathname, cb), cb);
+                        }
+                        if (name == segment.filename) {
+                            ++report.checkedFiles;
+                            return readSegment(dir, files, (err, segmentTicks) => {
+                                if (! err) {
+                                    segmentTicks.forEach((devState, t) => sawTick(t, devState));
+                                    return cb(null);
+                                }
+                                const p = problem('bad-file', {
+                                    block, pathname, detail: err.message,
+                                });
+                                repair(p,
+                                    cb => fs.rename(pathname, pathname + '.bad', cb), cb);
+                            });
+                        }
+                        if (path.extname(name) != '.dat') return cb(null);
+
+                        ++report.checkedFiles;
+                        readDevStateFromFile(pathname, (err, devState) => {
+                            if (! err) {
+                                sawTick(+name.split('.')[0], devState);
+                                return cb(null);
+                            }
+                            const p = problem('bad-file', {
+                                block, pathname, detail: err.message,
+                            });
+                            repair(p,
+                                cb => fs.rename(pathname, pathname + '.bad', cb), cb);
+                        });
+                    }), cb);
+                });
+            }), cb);
+        });
+
+        /*
+         * The last good value cannot be newer than the data, nor can that of
+         * each metric be newer than its samples, unless they are archived.
+         */
+        const newestOf = field => {
+            if (field == 'ticktime') return newestTick;
+            const id = +field.split('_')[0];
+            if (newestTicks.has(id)) return newestTicks.get(id);
+            return archivesOnDisk.size ? newestTick : null;
+        };
+
+        tasks.push(cb => {
+            index.hgetall(indexKey('lgv', devid), (err, hash) => {
+                if (err || ! hash) return cb(err);
+                if (newestTick == null && archivesOnDisk.size) return cb(null);
+                const ahead = Object.keys(hash)
+                    .filter(f => f == 'ticktime' || f.endsWith('_ticktime'))
+                    .filter(f => newestOf(f) == null || +hash[f] > newestOf(f));
+                if (! ahead.length) return cb(null);
+
+                const p = problem('lgv-ahead', {
+                    detail: `lgv ${ahead[0]} ${hash[ahead[0]]},`
+                        + ` newest tick ${newestOf(ahead[0])}`,
+                });
+                repair(p, cb => rebuildLastGoodValue(devid, cb), cb);
+            });
+        });
+
+        inOrder(tasks, cb);
+    };
+
+    /**
+     * Verify that the index and the files on disk agree with each other:
+     * every block index has its directory or archive and vice versa, every
+     * tick file and segment can be read, and the last good value, of any
+     * metric, is not newer than the data.  With options.repair, the problems
+     * found are fixed where possible.  A report listing the problems is given
+     * to the callback.
+     */
+    this.checkConsistency = (options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+
+        const report = { checkedDevices: 0, checkedFiles: 0, problems: [] };
+
+        index.zrange(indexKey('devices'), 0, -1, (err, devList) => {
+            if (err) return cb(err);
+            const listed = new Set(devList.map(n => +n));
+
+            scanDataRoot((err, diskBlocks, diskArchives, diskLegacyArchives) => {
+                if (err) return cb(err);
+
+                const devids = new Set([
+                    ...listed, ...diskBlocks.keys(), ...diskArchives.keys(),
+                ]);
+                (function walkDevices(devids) {
+                    if (! devids.length) return cb(null, report);
+                    const devid = devids[0];
+                    ++report.checkedDevices;
+                    const disk = {
+                        blocks: diskBlocks.get(devid) || new Set(),
+                        archives: diskArchives.get(devid) || new Set(),
+                        legacyArchives: diskLegacyArchives.get(devid) || new Set(),
+                        listed: listed.has(devid),
+                    };
+                    checkDevice(devid, disk, options, report, err => {
+                        if (err) return cb(err);
+                        walkDevices(devids.slice(1));
+                    });
+                }([...devids].sort((a, b) => a - b)));
+            });
+        });
+    };
+
+    const reindexProgressFile = () => path.join(devDataRoot, 'reindex.progress');
+
+    /**
+     * Index a device from what is on disk.  Directories with ticks are level
+     * 1 blocks, unless there are archives of them, in which case they are
+     * extracted archives and become level 2 blocks.  The last good value is
+     * rebuilt unless keepLgv.
+     */
+    const reindexDevice = (devid, blocksOnDisk, archivesOnDisk, keepLgv, cb) => {
+        const l1 = [];
+        const l2 = [];
+        const archived = [...archivesOnDisk];
+
+        const findL1Blocks = cb => {
+            (function walkBlocks(blocks) {
+                if (! blocks.length) return cb(null);
+                const b = blocks[0];
+                fs.readdir(devBlockdir(devid, b), (err, files) => {
+                    if (! err && hasTicks(files))
+                        (archivesOnDisk.has(b) ? l2 : l1).push(b);
+                    walkBlocks(blocks.slice(1));
+                });
+            }([...blocksOnDisk]));
+        };
+
+        const addL2 = (blocks, cb) => {
+            (function walkBlocks(blocks) {
+                if (! blocks.length) return cb(null);
+                const name = combinedBlockName(devid, blocks[0]);
+                index.zadd(indexKey('blk', 'l2'), name, name, err => {
+                    if (err) return cb(err);
+                    index.zadd(indexKey('blk', 'l2', 'counter'), 0, name, err => {
+                        if (err) return cb(err);
+                        walkBlocks(blocks.slice(1));
+                    });
+                });
+            }(blocks));
+        };
+
+        const addAll = (key, blocks, cb) => {
+            (function walkBlocks(blocks) {
+                if (! blocks.length) return cb(null);
+                index.zadd(key, blocks[0], blocks[0], err => {
+                    if (err) return cb(err);
+                    walkBlocks(blocks.slice(1));
+                });
+            }(blocks));
+        };
+
+        findL1Blocks(() => {
+            if (! l1.length && ! archived.length) return cb(null);
+
+            const keys = [indexKey('blk', devid), indexKey('_blk', devid)];
+            if (! keepLgv) keys.push(indexKey('lgv', devid));
+            index.del(keys, err => {
+                if (err) return cb(err);
+                addAll(indexKey('blk', devid), l1, err => {
+                    if (err) return cb(err);
+                    addAll(indexKey('_blk', devid), archived, err => {
+                        if (err) return cb(err);
+                        addL2(l2, err => {
+                            if (err) return cb(err);
+                            const rebuild = keepLgv
+                                ? cb => cb(null) : cb => rebuildLastGoodValue(devid, cb);
+                            rebuild(err => {
+                                if (err) return cb(err);
+                                index.zadd(indexKey('devices'), devid, devid, cb);
+                            });
+                        });
                     });
+                });
             });
         });
     };
 
-    const filterAndSortFileList = (fileList, maxTime) => {
-        var timeEpoch;
-        if (maxTime) timeEpoch = Math.trunc(maxTime.valueOf() / 1000);
+    /**
+     * Rebuild the whole index from the data directory, e.g., after the index
+     * was lost.  The devices done are remembered in a progress file under the
+     * data root, so that an interrupted rebuilding resumes from where it was,
+     * unless options.restart is set.  options.onProgress, if given, is called
+     * with { devid, done, total } after each device.  The last good values
+     * are kept as they are with options.keepLastGoodValues, e.g., when only
+     * the blocks have changed.  The last good value of a device which has
+     * only archived blocks is rebuilt from its newest archive.
+     */
+    this.rebuildIndex = (options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
 
-        const filtered = fileList.filter(name => {
-            if (path.extname(name) != '.dat') return false;
-            if (timeEpoch && +name.split('.')[0] > timeEpoch) return false;
-            return true;
-        });
+        const progressFile = reindexProgressFile();
 
-        return filtered.sort((a, b) => +b.split('.')[0] - +a.split('.')[0]);
-    };
+        const loadProgress = cb => {
+            if (options.restart) return cb(null, new Set());
+            fs.readFile(progressFile, 'utf8', (err, content) => {
+                if (err) return cb(err.code == 'ENOENT' ? null : err, new Set());
+                cb(null, new Set(content.split('\n').filter(l => l).map(n => +n)));
+            });
+        };
 
-    const loadMetricsFromFile = (pathname, metricIdList, cb) => {
-        const ticktime = +path.basename(pathname).split('.')[0];
-        readDevStateFromFile(pathname, (err, devState) => {
+        /* level 2 blocks are found out once again */
+        const clearL2 = (resuming, cb) => {
+            if (resuming) return cb(null);
+            index.del([indexKey('blk', 'l2'), indexKey('blk', 'l2', 'counter')], cb);
+        };
+
+        loadProgress((err, done) => {
             if (err) return cb(err);
+            clearL2(done.size > 0, err => {
+                if (err) return cb(err);
+                if (done.size)
+                    logger.info(`resume reindexing, ${done.size} devices done`);
+
+                scanDataRoot((err, diskBlocks, diskArchives) => {
+                    if (err) return cb(err);
+
+                    const devids = [
+                        ...new Set([...diskBlocks.keys(), ...diskArchives.keys()]),
+                    ].sort((a, b) => a - b);
+                    const total = devids.length;
+                    var n = done.size;
+
+                    (function walkDevices(devids) {
+                        if (! devids.length) {
+                            return fs.unlink(progressFile, () => {
+                                cb(null, { devices: total });
+                            });
+                        }
 
-            const resultList = [];
-            devState.metrics.forEach(m => {
-                if (! metricIdList.length || metricIdList.includes(m.id))
-                    resultList.push({...m, ticktime: ticktime});
+                        const devid = devids[0];
+                        reindexDevice(devid,
+                            diskBlocks.get(devid) || new Set(),
+                            diskArchives.get(devid) || new Set(),
+                            options.keepLastGoodValues,
+                            err => {
+                                if (err) return cb(err);
+                                fs.appendFile(progressFile, devid + '\n', err => {
+                                    if (err) return cb(err);
+                                    if (options.onProgress)
+                                        options.onProgress({ devid, done: ++n, total });
+                                    walkDevices(devids.slice(1));
+                                });
+                            });
+                    }(devids.filter(devid => ! done.has(devid))));
+                });
             });
-            cb(null, resultList);
         });
     };
 
-    const projectMetricsFromSortedFiles =
-        (dir, files, metricIdList, alreadyHad, cb) => {
-            const resultMetricList = [...alreadyHad];
-            const resolvedIdList = resultMetricList.reduce(
-                (acc, curr) => [...acc, curr.id], []);
+    /**
+     * Convert a legacy archive to the native format.  The legacy archive is
+     * extracted aside rather than into the data directory, and its extracted
+     * copy as a level 2 block, if any, is evicted since it is of no use then.
+     * It is converted holding the lock of the block, unless another process
+     * has converted it meanwhile.
+     */
+    const convertLegacyArchive = (devid, block, cb) => {
+        const tmpdir = path.join(devDataRoot, '.convert', `${devid}-${block}`);
+        const cmdline = `tar xzf ${legacyArchiveName(devid, block)} -C ${tmpdir}`;
 
-            (function walkFiles(files) {
-                if (! files.length) return cb(null, resultMetricList);
-                const pathname = path.join(dir, files[0]);
-                loadMetricsFromFile(pathname, metricIdList,
-                    (err, metricsCopy) => {
-                        if (err)
-                            logger.error(err);
-                        else {
-                            metricsCopy.forEach(m => {
-                                if (! resolvedIdList.includes(m.id)) {
-                                    resultMetricList.push(m);
-                                    resolvedIdList.push(m.id);
-                                }
+        const evictExtracted = cb => {
+            const name = combinedBlockName(devid, block);
+            index.zscore(indexKey('blk', 'l2'), name, (err, score) => {
+                if (err || score == null) return cb(err);
+                evictL2BlockLocked(devid, block, err => cb(err));
+            });
+        };
+
+        const convert = cb => {
+            const done = err => {
+                shell.rm('-rf', tmpdir);
+                cb(err);
+            };
+
+            logger.info(`convert archived block ${block} of device ${devid}`);
+            /* left over if a conversion died */
+            shell.rm('-rf', tmpdir);
+            mkdirp(tmpdir)
+                .then(() => {
+                    shell.exec(cmdline, { silent: true }, (code, stdout, stderr) => {
+                        if (stderr) logger.error(stderr);
+                        if (code) return done(Error(cmdline + ' exited with ' + code));
+
+                        const dir = path.join(tmpdir, block.toString(), devid.toString());
+                        readArchiveRecords(dir, (err, records) => {
+                            if (err) return done(err);
+                            archive.writeArchive(archiveName(devid, block), records, err => {
+                                if (err) return done(err);
+                                fs.unlink(legacyArchiveName(devid, block), err => {
+                                    if (err) return done(err);
+                                    storeBlockRollup(devid, block, records, err => {
+                                        if (err) return done(err);
+                                        evictExtracted(done);
+                                    });
+                                });
                             });
-                        }
-                        if (resolvedIdList.length < metricIdList.length)
-                            walkFiles(files.slice(1));
-                        else
-                            return cb(null, resultMetricList);
+                        });
                     });
-            }(files));
+                })
+                .catch(cb);
         };
 
-    const getL1MinBlock = (devid, cb) => {
-        client.zrange('fm:blk:' + devid, 0, 0, (err, reply) => {
-            if (err) return cb(err);
-            if (! reply || ! reply.length)
-                return cb(null, null);
-            else
-                cb(null, +reply[0]);
-        });
+        withBlockLock(devid, block, done => {
+            fs.access(archiveName(devid, block), err => {
+                if (! err) return done(null);
+                fs.access(legacyArchiveName(devid, block), err => {
+                    if (err) return done(null);
+                    convert(done);
+                });
+            });
+        }, cb);
     };
 
-    const getL1MaxBlock = (devid, cb) => {
-        client.zrevrange('fm:blk:' + devid, 0, 0, (err, reply) => {
-            if (err) return cb(err);
-            if (! reply || ! reply.length) return cb(Error('not exist'));
-            cb(null, +reply[0]);
-        });
-    };
+    /**
+     * Convert all the legacy archives (made by tar) to the native format.
+     * options.onProgress, if given, is called with { devid, block, done,
+     * total } after each archive.  Archives failed to convert are logged and
+     * left as they are.
+     */
+    this.convertArchives = (options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
 
-    const getArchiveMinBlock = (devid, cb) =>{
-        client.zrange('fm:_blk:' + devid, 0, 0, (err, reply) => {
+        scanDataRoot((err, diskBlocks, diskArchives, diskLegacyArchives) => {
             if (err) return cb(err);
-            if (! reply || ! reply.length)
-                return cb(null, null);
-            else
-                cb(null, +reply[0]);
+
+            const todo = [];
+            for (const [devid, blocks] of diskLegacyArchives)
+                for (const block of blocks) todo.push({ devid, block });
+
+            const result = { converted: 0, failed: 0 };
+            (function walkArchives(list) {
+                if (! list.length) return cb(null, result);
+                const { devid, block } = list[0];
+                convertLegacyArchive(devid, block, err => {
+                    if (err) {
+                        logger.error(err);
+                        ++result.failed;
+                    } else
+                        ++result.converted;
+                    if (options.onProgress) {
+                        options.onProgress({
+                            devid,
+                            block,
+                            done: result.converted + result.failed,
+                            total: todo.length,
+                        });
+                    }
+                    walkArchives(list.slice(1));
+                });
+            }(todo));
         });
     };
 
-    const getArchiveMaxBlock = (devid, cb) =>{
-        client.zrevrange('fm:_blk:' + devid, 0, 0, (err, reply) => {
+    const readMetadata = cb => {
+        fs.readFile(metadataFile(devDataRoot), (err, content) => {
             if (err) return cb(err);
-            if (! reply || ! reply.length)
-                return cb(null, null);
-            else
-                cb(null, +reply[0]);
+            var meta;
+            try {
+                meta = JSON.parse(content);
+            } catch (err) {
+                return cb(err);
+            }
+            cb(null, meta);
         });
     };
 
-    const getMinTimeInBlock = (devid, block, cb) =>{
-        openBlock(devid, block, (err, dir, files) => {
+    const saveMetadata = (meta, cb) => {
+        const filename = metadataFile(devDataRoot);
+        fs.writeFile(filename + '.tmp', JSON.stringify(meta) + '\n', err => {
             if (err) return cb(err);
-            if (! files.length) return cb('not found');
-            files = filterAndSortFileList(files);
-            cb(null, new Date(+files[files.length - 1].split('.')[0] * 1000));
+            fs.rename(filename + '.tmp', filename, cb);
         });
     };
 
-    const getMaxTimeInBlock = (devid, block, cb) =>{
-        openBlock(devid, block, (err, dir, files) => {
-            if (err) return cb(err);
-            if (! files.length) return cb('not found');
-            files = filterAndSortFileList(files);
-            cb(null, new Date(+files[0].split('.')[0] * 1000));
-        });
+    /* wait for the block locks held to be released, in lockTimeout */
+    const waitBlockLocks = cb => {
+        const deadline = Date.now() + lockTimeout;
+
+        (function poll() {
+            fs.readdir(lockDir(), (err, names) => {
+                if (err) return cb(err);
+                const files = names
+                    .filter(name => name.endsWith('.lock') && name != 'layout.lock')
+                    .map(name => path.join(lockDir(), name.slice(0, -'.lock'.length)));
+                Promise.all(files.map(file =>
+                    lockfile.check(file, { realpath: false, stale: lockStale })
+                        .catch(() => false)))
+                    .then(held => {
+                        if (! held.some(locked => locked)) return cb(null);
+                        if (Date.now() >= deadline)
+                            return cb(Error('timeout waiting for the block locks'));
+                        setTimeout(poll, lockRetryInterval);
+                    });
+            });
+        }());
     };
 
-    this.putDeviceState = (devid, ticktime, devState, cb) => {
-        logger.debug('put devState', devid, ticktime);
-        const thisBlock = timeToBlockindex(ticktime);
-        getL1MinBlock(devid, (err, minBlock) => {
-            if (err) return cb(err);
-            if (! minBlock || thisBlock >= minBlock)
-                saveDevStateAndUpdateIndex(devid, ticktime, devState, cb);
-            else
-                getArchiveMaxBlock(devid, (err, b) => {
-                    if (err) return cb(err); 
-                    if (b == null || thisBlock > b)
-                        saveDevStateAndUpdateIndex(devid, ticktime, devState, cb);
-                    else
-                        return(Error(`cannot save at time ${ticktime}`
-                            + ` for device ${devid}: out of range`));
+    /**
+     * Run task(done) holding the layout lock, see Locks, and call back with
+     * what the task gives once the lock is released.  Fails at once if another
+     * process holds it.
+     */
+    const withLayoutLock = (task, cb) => {
+        mkdirp(lockDir())
+            .then(() => lockfile.lock(layoutLockFile(), lockOptions('layout', 0)))
+            .then(release => {
+                const unlock = (...results) => {
+                    release()
+                        .catch(err => {
+                            logger.error(`release layout lock: ${err.message}`);
+                        })
+                        .then(() => cb(...results));
+                };
+
+                waitBlockLocks(err => {
+                    if (err) return unlock(err);
+                    task(unlock);
                 });
-        });
+            }, err => {
+                if (err.code == 'ELOCKED')
+                    err = Error(`data in ${devDataRoot} being migrated`);
+                cb(err);
+            });
     };
 
-    this.housekeeping = (options, cb) => {
-        removeBlocksAfter(timeToBlockindex(new Date()), err => {
-            if (err) return cb(err);
-            if (! options.level1Blocks > 0) return cb(null);
-            archiveAgedBlocks(options.level1Blocks, cb);
+    /* where the data is copied to in the new blocks, and the old one moved to */
+    const migrationDir = () => path.join(devDataRoot, '.migrate');
+    const premigrationDir = () => path.join(devDataRoot, '.premigrate');
+
+    /* move the blocks and the archives in a directory to another one */
+    const moveLayout = (from, to, cb) => {
+        fs.readdir(from, (err, names) => {
+            if (err) return cb(err.code == 'ENOENT' ? null : err);
+
+            mkdirp(to)
+                .then(() => {
+                    (function walkNames(list) {
+                        if (! list.length) return cb(null);
+                        fs.rename(path.join(from, list[0]), path.join(to, list[0]), err => {
+                            if (err) return cb(err);
+                            walkNames(list.slice(1));
+                        });
+                    }(names.filter(name => /^[0-9]+$/.test(name) || name == 'archive')));
+                })
+                .catch(cb);
         });
     };
 
     /**
-     * If metricIdList is not provided, it will just get the metrics copy from
-     * the most recent device state file no younger than the givine 'time'.
+     * Copy the ticks of a device into blocks of the hours, in the same layout
+     * as the data root but under dir.  A new block is archived if all the
+     * blocks its ticks come from are archived, otherwise its ticks are in tick
+     * files.  Gives the numbers of the blocks and of the archives made.
      */
-    this.projectMetrics = (devid, time, metricIdList, cb) => {
-        if (typeof metricIdList == 'function') {
-            cb = metricIdList;
-            metricIdList = [];
-        }
+    const stageDevice = (devid, l1Blocks, archivedBlocks, hours, dir, cb) => {
+        const made = { blocks: 0, archives: 0 };
+        const sources = new Map();
+        const addSource = (block, archived) => {
+            const start = Math.trunc(blockindexToTime(block).valueOf() / 1000);
+            for (var t = start; t < blockEnd(block); t += 3600) {
+                const b = timeToBlockindex(new Date(t * 1000), hours);
+                if (! sources.has(b)) sources.set(b, []);
+                if (! sources.get(b).some(s => s.block == block))
+                    sources.get(b).push({ block, archived });
+            }
+        };
+        archivedBlocks.forEach(b => addSource(b, true));
+        l1Blocks.forEach(b => addSource(b, false));
 
-        var resultMetricList = [];
+        /* an old block spanning new ones is read once for them in turn */
+        var cached = null;
+        const readSource = (source, cb) => {
+            if (cached && cached.block == source.block) return cb(null, cached.records);
+            const read = source.archived
+                ? cb => archive.readArchive(archiveName(devid, source.block), cb)
+                : cb => readArchiveRecords(devBlockdir(devid, source.block), cb);
+            read((err, records) => {
+                if (err) return cb(err);
+                cached = { block: source.block, records };
+                cb(null, records);
+            });
+        };
 
-        const doProjectingInBlocks = (blockList, cb) => {
-            (function walkBlockList(list) {
-                if (! list.length) return cb();
-                const b = list[0];
-                openBlock(devid, b, (err, dir, files) => {
-                    if (err) return cb();
-                    files = filterAndSortFileList(files, time);
-                    projectMetricsFromSortedFiles(dir, files,
-                        metricIdList,
-                        resultMetricList,
-                        (err, improvedResult) => {
-                            if (! err) resultMetricList = improvedResult;
-                            if (! metricIdList.length
-                                || improvedResult.length == metricIdList.length)
-                                return cb();
-                            else
-                                walkBlockList(list.slice(1));
+        const writeTicks = (block, records, cb) => {
+            const blockDir = path.join(dir, block.toString(), devid.toString());
+            mkdirp(blockDir)
+                .then(() => {
+                    (function walkRecords(list) {
+                        if (! list.length) return cb(null);
+                        const { ticktime, data } = list[0];
+                        fs.writeFile(path.join(blockDir, ticktime + '.dat'), data, err => {
+                            if (err) return cb(err);
+                            walkRecords(list.slice(1));
                         });
-                });
-            }(blockList));
+                    }(records));
+                })
+                .catch(cb);
         };
 
-        getBlocksBackwards(devid, time, false, (err, blockList) => {
-            if (err) return cb(err);
-            doProjectingInBlocks(blockList, () => {
-                if (resultMetricList.length
-                    && resultMetricList.length >= metricIdList.length) {
-                    return cb(null, resultMetricList);
+        const writeBlockArchive = (block, records, cb) => {
+            const archDir = path.join(dir, 'archive', devid.toString());
+            mkdirp(archDir)
+                .then(() => {
+                    archive.writeArchive(path.join(archDir, `${devid}-${block}.fca`),
+                        records, cb);
+                })
+                .catch(cb);
+        };
+
+        const blocks = [...sources.keys()].sort((a, b) => a - b);
+        (function walkBlocks(blocks) {
+            if (! blocks.length) return cb(null, made);
+            const block = blocks[0];
+            const list = sources.get(block).sort((a, b) => b.archived - a.archived);
+            const ticks = new Map();
+
+            /* ticks in level 1 blocks are read last to take precedence */
+            (function walkSources(list) {
+                if (list.length) {
+                    return readSource(list[0], (err, records) => {
+                        if (err) return cb(err);
+                        const inBlock = r =>
+                            timeToBlockindex(new Date(r.ticktime * 1000), hours) == block;
+                        records.filter(inBlock).forEach(r => ticks.set(r.ticktime, r));
+                        walkSources(list.slice(1));
+                    });
                 }
-                getBlocksBackwards(devid, time, true, (err, blockList) => {
-                    if (err) return cb(null, resultMetricList);
-                    doProjectingInBlocks(blockList, () => {
-                        return cb(null, resultMetricList);
+
+                const records = [...ticks.values()].sort((a, b) => a.ticktime - b.ticktime);
+                if (! records.length) return walkBlocks(blocks.slice(1));
+                const archived = sources.get(block).every(s => s.archived);
+                const write = archived ? writeBlockArchive : writeTicks;
+                write(block, records, err => {
+                    if (err) return cb(err);
+                    ++made[archived ? 'archives' : 'blocks'];
+                    walkBlocks(blocks.slice(1));
+                });
+            }(list));
+        }(blocks));
+    };
+
+    /* rollups of the archives kept in the index, made again for the new blocks */
+    const restoreRollups = (devid, archivedBlocks, cb) => {
+        index.del(indexKey('rollup', devid), err => {
+            if (err) return cb(err);
+            (function walkBlocks(blocks) {
+                if (! blocks.length) return cb(null);
+                archive.readArchive(archiveName(devid, blocks[0]), (err, records) => {
+                    if (err) return cb(err);
+                    storeBlockRollup(devid, blocks[0], records, err => {
+                        if (err) return cb(err);
+                        walkBlocks(blocks.slice(1));
                     });
                 });
-            });
+            }(archivedBlocks));
         });
     };
 
-    this.getDeviceTimeSpan = (devid, cb) => {
-        getL1MinBlock(devid, (err, blockMin) => {
-            if (err) return cb(err);
-            if (! blockMin) return cb(null, null, null);
+    /**
+     * Move all the data to blocks of the hours, which have to divide 24, and
+     * index it again, see Layout.  The data is copied to the new blocks aside
+     * first, then the old data is moved away and the new one in place, and
+     * the old data is removed at last.  The phase of the migration is kept in
+     * the metadata, so that an interrupted one is finished by calling this
+     * again, with the same hours unless it was interrupted while copying.
+     * Legacy archives have to be converted by convertArchives first.  The
+     * layout lock is held meanwhile, see Locks, so that other models can
+     * neither be created nor write to the blocks.  options.onProgress, if
+     * given, is called with { devid, done, total } after each device copied.
+     *
+     * Gives { devices, blocks, archives }, the numbers of the devices copied
+     * and of the level 1 blocks and the archives made of them.
+     */
+    this.migrateBlockHours = (hours, options, cb) => {
+        if (typeof options == 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        hours = +hours;
 
-            getL1MaxBlock(devid, (err, blockMax) => {
+        const result = { devices: 0, blocks: 0, archives: 0 };
+        if (! isBlockHours(hours))
+            return cb(Error(`bad block hours ${hours}, which has to divide 24`));
+
+        const stage = (meta, cb) => {
+            scanDataRoot((err, diskBlocks, diskArchives, diskLegacyArchives) => {
                 if (err) return cb(err);
-                if (! blockMax) return cb(null, null, null);
+                if (diskLegacyArchives.size)
+                    return cb(Error('legacy archives to be converted first'));
 
-                getArchiveMinBlock(devid, (err, aBlockMin) => {
+                shell.rm('-rf', migrationDir(), premigrationDir());
+                meta.migration = { blockHours: hours, phase: 'staging' };
+                saveMetadata(meta, err => {
                     if (err) return cb(err);
-                    if (aBlockMin) blockMin = aBlockMin;
-                    getMinTimeInBlock(devid, blockMin, (err, min) => {
+
+                    const devids = [
+                        ...new Set([...diskBlocks.keys(), ...diskArchives.keys()]),
+                    ].sort((a, b) => a - b);
+                    (function walkDevices(list) {
+                        if (! list.length) return cb(null);
+                        const devid = list[0];
+                        const archived = diskArchives.get(devid) || new Set();
+                        const l1 = [...diskBlocks.get(devid) || []]
+                            .filter(b => ! archived.has(b));
+                        logger.info(`migrate device ${devid} to blocks of ${hours} hours`);
+                        stageDevice(devid, l1, [...archived], hours, migrationDir(),
+                            (err, made) => {
+                                if (err) return cb(err);
+                                ++result.devices;
+                                result.blocks += made.blocks;
+                                result.archives += made.archives;
+                                if (options.onProgress) {
+                                    options.onProgress({
+                                        devid, done: result.devices, total: devids.length,
+                                    });
+                                }
+                                walkDevices(list.slice(1));
+                            });
+                    }(devids));
+                });
+            });
+        };
+
+        const swap = (meta, cb) => {
+            meta.migration.phase = 'swapping';
+            saveMetadata(meta, err => {
+                if (err) return cb(err);
+                moveLayout(devDataRoot, premigrationDir(), cb);
+            });
+        };
+
+        const place = (meta, cb) => {
+            meta.migration.phase = 'placing';
+            saveMetadata(meta, err => {
+                if (err) return cb(err);
+                moveLayout(migrationDir(), devDataRoot, cb);
+            });
+        };
+
+        /* the index is rebuilt with the new blocks taken from now on */
+        const reindex = (meta, cb) => {
+            meta.blockHours = hours;
+            meta.migration.phase = 'indexing';
+            saveMetadata(meta, err => {
+                if (err) return cb(err);
+                blockHours = hours;
+                level1BlocksTravelMax = (2 * 24) / blockHours;
+
+                /* the last good values do not depend on the blocks */
+                this.rebuildIndex({ restart: true, keepLastGoodValues: true }, err => {
+                    if (err) return cb(err);
+                    scanDataRoot((err, diskBlocks, diskArchives) => {
                         if (err) return cb(err);
-                        getMaxTimeInBlock(devid, blockMax, (err, max) => {
-                            if (err) return cb(err);
-                            cb(null, min, max);
-                        });
+                        (function walkDevices(list) {
+                            if (! list.length) return cb(null);
+                            const devid = list[0];
+                            restoreRollups(devid, [...diskArchives.get(devid) || []], err => {
+                                if (err) return cb(err);
+                                walkDevices(list.slice(1));
+                            });
+                        }([...new Set([...diskBlocks.keys(), ...diskArchives.keys()])]));
                     });
                 });
             });
-        });
-    };
+        };
 
-    this.getDeviceLastGoodValue = (devid, cb) => {
-        cb(null, {
-            lastTicktime: new Date(),
-            metrics: [],
-        });
-    };
+        const finish = (meta, cb) => {
+            delete meta.migration;
+            saveMetadata(meta, err => {
+                if (err) return cb(err);
+                shell.rm('-rf', migrationDir(), premigrationDir());
+                logger.info(`migrated to blocks of ${hours} hours`);
+                cb(null);
+            });
+        };
 
-    this.removeDevice = (devid, cb) => {
-        cb(null);
+        /* the steps, of which those of the phases below are resumed */
+        const steps = [stage, swap, place, reindex, finish];
+        const phases = ['staging', 'swapping', 'placing', 'indexing'];
+
+        withLayoutLock(done => {
+            readMetadata((err, meta) => {
+                if (err) return done(err);
+                const migration = meta.migration;
+                if (! migration && meta.blockHours == hours) return done(null, result);
+                if (migration && migration.phase != 'staging'
+                    && migration.blockHours != hours)
+                    return done(Error(`migration to blocks of ${migration.blockHours}`
+                        + ' hours to be finished first'));
+
+                const from = migration ? phases.indexOf(migration.phase) : 0;
+                if (from < 0) return done(Error(`bad migration phase ${migration.phase}`));
+                if (from) logger.info(`resume migration from ${migration.phase}`);
+
+                (function walkSteps(list) {
+                    if (! list.length) return done(null, result);
+                    list[0](meta, err => {
+                        if (err) return done(err);
+                        walkSteps(list.slice(1));
+                    });
+                }(steps.slice(from)));
+            });
+        }, cb);
     };
 
+    /**
+     * Give a snapshot of the operational stats of the model in this process,
+     * see stats.js.
+     */
+    this.getStats = () => stats.snapshot();
+
+    /**
+     * Tell whether the index is the embedded one (see file-index.js), with
+     * which events are only seen in this process.
+     */
+    this.hasEmbeddedIndex = () => embeddedIndex;
+
     this.stop = () => {
-        client.quit();
+        index.quit();
         logger.close();
     };
 
     return (function (ffcModel) {
+        const opts = resolveOptions(options || {});
+
+        keyPrefix = opts.keyPrefix;
+        devDataRoot = opts.dataRoot;
+        blockHours = opts.blockHours;
+
+        if (lockfile.checkSync(path.join(devDataRoot, 'locks', 'layout'),
+            { realpath: false, stale: opts.lockStale }))
+            throw Error(`data in ${devDataRoot} being migrated`);
+        const meta = loadMetadata(devDataRoot, blockHours);
+        if (options && options.adoptStoredLayout)
+            blockHours = meta.blockHours;
+        else if (meta.migration)
+            throw Error(`migration of ${devDataRoot} to blocks of`
+                + ` ${meta.migration.blockHours} hours not finished`);
+        else if (meta.blockHours != blockHours)
+            throw Error(`data in ${devDataRoot} is in blocks of ${meta.blockHours}`
+                + ` hours, not ${blockHours}, to be migrated first`);
+        lockStale = opts.lockStale;
+        lockTimeout = opts.lockTimeout;
+        catalogPolicy = opts.catalogPolicy;
+
         logger = winston.createLogger({
             level: 'debug',
             format: winston.format.combine(
@@ -728,32 +4428,56 @@ function FfcModel()
             ),
             transports: [
                 new winston.transports.File({
-                    filename: path.join(logRoot, 'ffcmodel-err.log'), level: 'error',
+                    filename: path.join(opts.logRoot, 'ffcmodel-err.log'),
+                    level: 'error',
                 }),
                 new winston.transports.File({
-                    filename: path.join(logRoot, 'ffcmodel.log'),
+                    filename: path.join(opts.logRoot, 'ffcmodel.log'),
                 }),
             ],
         });
         if (process.env['FM_LOG_CONSOLE'])
             logger.add(new winston.transports.Console());
 
-        const n = process.env['FM_HOURS_PER_BLOCK'];
-        if (n != null && ! isNaN(+n) && +n > 0 && +n <= 24)
-            blockHours = n;
-        else
-            blockHours = dftBlockHours;
-
         level1BlocksTravelMax = (2 * 24) / blockHours;
         archiveBlocksTravelMax = 2;  /* archive blocks are slower to open */
 
-        client = redis.createClient();
-        client.on('error', err => {
-            logger.error(err);
-        });
+        embeddedIndex = opts.index == 'file';
+        if (embeddedIndex)
+            index = new FileIndex(opts, logger);
+        else
+            index = new RedisIndex(opts, logger);
+
+        /* public methods taking a callback return a promise if not given one */
+        ffcModel.putDeviceState = callbackOrPromise(ffcModel.putDeviceState);
+        ffcModel.putDeviceStates = callbackOrPromise(ffcModel.putDeviceStates);
+        ffcModel.housekeeping = callbackOrPromise(ffcModel.housekeeping);
+        ffcModel.projectMetrics = callbackOrPromise(ffcModel.projectMetrics);
+        ffcModel.getMetricSeries = callbackOrPromise(ffcModel.getMetricSeries);
+        ffcModel.getRollups = callbackOrPromise(ffcModel.getRollups);
+        ffcModel.setRetentionPolicy = callbackOrPromise(ffcModel.setRetentionPolicy);
+        ffcModel.getRetentionPolicies = callbackOrPromise(ffcModel.getRetentionPolicies);
+        ffcModel.getGapReport = callbackOrPromise(ffcModel.getGapReport);
+        ffcModel.listDevices = callbackOrPromise(ffcModel.listDevices);
+        ffcModel.hasDevice = callbackOrPromise(ffcModel.hasDevice);
+        ffcModel.getDeviceTimeSpan = callbackOrPromise(ffcModel.getDeviceTimeSpan,
+            (minTime, maxTime) => ({ minTime, maxTime }));
+        ffcModel.getDeviceLastGoodValue =
+            callbackOrPromise(ffcModel.getDeviceLastGoodValue);
+        ffcModel.removeDevice = callbackOrPromise(ffcModel.removeDevice);
+        ffcModel.checkConsistency = callbackOrPromise(ffcModel.checkConsistency);
+        ffcModel.rebuildIndex = callbackOrPromise(ffcModel.rebuildIndex);
+        ffcModel.convertArchives = callbackOrPromise(ffcModel.convertArchives);
+        ffcModel.migrateBlockHours = callbackOrPromise(ffcModel.migrateBlockHours);
+        ffcModel.getCatalog = callbackOrPromise(ffcModel.getCatalog);
+        ffcModel.defineMetric = callbackOrPromise(ffcModel.defineMetric);
+        ffcModel.undefineMetric = callbackOrPromise(ffcModel.undefineMetric);
+        ffcModel.resolveMetricIds = callbackOrPromise(ffcModel.resolveMetricIds);
 
         return ffcModel;
     }(this));
 }
 
+FfcModel.projectionModes = projectionModes;
+
 module.exports = FfcModel;
@@ -24,7 +24,7 @@ const parseMetricsSpec = spec => {
     return Array.from(metrics);
 };
 
-const acquire = (model, devid, ticktime, acqtime, metricIdList, saveJson, cb) => {
+const makeDevState = (devid, acqtime, metricIdList) => {
     const devState = {
         devid,
         timestamp: parseInt(acqtime.valueOf() / 1000),
@@ -45,25 +45,61 @@ const acquire = (model, devid, ticktime, acqtime, metricIdList, saveJson, cb) =>
             m.timestamp = devState.timestamp - Math.trunc(3600 * Math.random());
         devState.metrics.push(m);
     }
+    return devState;
+};
+
+const saveDevStateJson = (devid, ticktime, devState, cb) => {
+    const json = JSON.stringify(devState, null, 2);
+    const jsonName = path.join(process.env['HOME'], '.local/share/ffc/json',
+        devid.toString()
+        + '-'
+        + dateformat(ticktime, 'UTC:yyyymmddHHMMss')
+        + '.json');
+    mkdirp(path.dirname(jsonName))
+        .then(() => {
+            fs.writeFile(jsonName, json, cb);
+        })
+        .catch(cb);
+};
+
+const acquire = (model, devid, ticktime, acqtime, metricIdList, saveJson, cb) => {
+    const devState = makeDevState(devid, acqtime, metricIdList);
 
     model.putDeviceState(devid, ticktime, devState, err => {
         if (err || ! saveJson) return cb(err);
+        saveDevStateJson(devid, ticktime, devState, cb);
+    });
+};
+
+/**
+ * Acquire a number of devices at a tick and put them to the model in a
+ * batch.  acqtimeOf(devid) gives the acquiring time of each device.
+ */
+const acquireBatch = (model, devids, ticktime, acqtimeOf, metricIdList, saveJson, cb) => {
+    const states = devids.map(devid => ({
+        devid,
+        ticktime,
+        devState: makeDevState(devid, acqtimeOf(devid), metricIdList),
+    }));
+
+    model.putDeviceStates(states, (err, result) => {
+        if (err) return cb(err);
+        if (result.rejected.length) return cb(result.rejected[0].error);
+        if (! saveJson) return cb(null);
 
-        const json = JSON.stringify(devState, null, 2);
-        const jsonName = path.join(process.env['HOME'], '.local/share/ffc/json',
-            devid.toString()
-            + '-'
-            + dateformat(ticktime, 'UTC:yyyymmddHHMMss')
-            + '.json');
-        mkdirp(path.dirname(jsonName))
-            .then(() => {
-                fs.writeFile(jsonName, json, cb);
-            })
-            .catch(cb);
+        (function walkStates(states) {
+            if (! states.length) return cb(null);
+            const { devid, devState } = states[0];
+            saveDevStateJson(devid, ticktime, devState, err => {
+                if (err) return cb(err);
+                walkStates(states.slice(1));
+            });
+        }(states));
     });
 };
 
 module.exports = {
     acquire,
+    acquireBatch,
     parseMetricsSpec,
 }
@@ -0,0 +1,386 @@
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+const { toPrometheus } = require('./stats');
+const devStateCodec = require('./dev-state');
+const { projectionModes } = require('./ffcmodel');
+
+/**
+ * HTTP Server
+ * ===========
+ *
+ * Serve a model over HTTP, so that other services need not load the model and
+ * talk to its index themselves.  Times in paths and queries are ISO strings or
+ * epoch seconds, metric lists are comma separated ids or names in the metric
+ * catalog, e.g., 1-20,70,supply_temp, of no more than 10000 metrics.  All the
+ * responses are JSON, except those of GET /metrics which are in the Prometheus
+ * text format.
+ *
+ * GET  /devices                        list of devid's
+ * POST /devices/<devid>/states/<time>  put a device state, given in JSON (see
+ *                                      dev-state.js) or encoded DevStateV2,
+ *                                      or DevState, if Content-Type is
+ *                                      application/x-protobuf
+ * GET  /devices/<devid>/metrics?time=<time>&metrics=<list>&mode=<mode>&maxAge=<seconds>
+ *                                      project metrics at the time, now if
+ *                                      not given, see FfcModel.projectMetrics
+ * GET  /devices/<devid>/lgv?metrics=<list>
+ *                                      last good value
+ * GET  /devices/<devid>/span           time span
+ * GET  /catalog                        the metric catalog
+ * GET  /stats                          operational stats of the model, see
+ *                                      stats.js
+ * GET  /metrics                        the same for Prometheus to scrape
+ * POST /housekeeping                   start housekeeping with the options in
+ *                                      the JSON body if any, e.g.,
+ *                                      { "level1Blocks": 7 }
+ *
+ * Status codes
+ * ------------
+ *
+ * 400 bad request, including an unknown metric name and a device state invalid
+ * by the metric catalog under the reject policy, 404 unknown device or path,
+ * 405 method not allowed, 409 a device state out of range or housekeeping
+ * already running, 413 body too large, 500 anything else.  The connection is
+ * closed after a response given before the whole body is read, e.g., 413.
+ */
+
+const bodySizeMax = 1024 * 1024;
+const metricListMax = 10000;    /* metrics in a query, ranges expanded */
+
+const httpError = (status, message) => {
+    const err = Error(message);
+    err.status = status;
+    return err;
+};
+
+const parseTime = s => {
+    if (s == null || s === '') return null;
+    const time = /^[0-9]+$/.test(s) ? new Date(+s * 1000) : new Date(s);
+    return isNaN(time.valueOf()) ? null : time;
+};
+
+/*
+ * ids and names of metrics, the names to be resolved by the model, or null if
+ * bad or more than metricListMax
+ */
+const parseMetricList = spec => {
+    const metrics = new Set();
+    if (! spec) return [];
+
+    for (const def of spec.split(',')) {
+        const m = def.match(/^([0-9]+)(?:-([0-9]+))?$/);
+        if (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(def))
+            metrics.add(def);
+        else if (! m)
+            return null;
+        else {
+            const end = m[2] != null ? +m[2] : +m[1];
+            if (end - +m[1] >= metricListMax) return null;
+            for (var i = +m[1]; i <= end; ++i) metrics.add(i);
+        }
+        if (metrics.size > metricListMax) return null;
+    }
+    return Array.from(metrics);
+};
+
+/**
+ * Serve the model, which is shared by all the requests and is not stopped by
+ * the server.  options.logger, if given, logs the requests and errors.
+ */
+function FfcServer(model, options)
+{
+    var server;
+    var logger;
+    var housekeeping = false;
+
+    /* answered before the whole body is read, the rest is not read but cut */
+    const closeIfIncomplete = res => {
+        if (! res.req.complete) res.setHeader('Connection', 'close');
+    };
+
+    const send = (res, status, body) => {
+        const json = JSON.stringify(body);
+        closeIfIncomplete(res);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(json),
+        });
+        res.end(json);
+    };
+
+    const sendText = (res, status, text, type) => {
+        closeIfIncomplete(res);
+        res.writeHead(status, {
+            'Content-Type': type,
+            'Content-Length': Buffer.byteLength(text),
+        });
+        res.end(text);
+    };
+
+    const sendError = (res, err) => {
+        const status = err.status
+            || (err.code == 'EOUTOFRANGE' ? 409 : err.code == 'EINVALID' ? 400 : 500);
+        if (status >= 500) logger.error(err);
+        send(res, status, { error: err.message });
+    };
+
+    const readBody = (req, cb) => {
+        const chunks = [];
+        var size = 0;
+        var failed = false;
+
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > bodySizeMax) {
+                failed = true;
+                req.pause();
+                return cb(httpError(413, 'request body too large'));
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (! failed) cb(null, Buffer.concat(chunks));
+        });
+        req.on('error', err => {
+            if (failed) return;
+            failed = true;
+            cb(err);
+        });
+    };
+
+    /**
+     * Decode a device state from a request body, either JSON or the encoded
+     * DevStateV2.
+     */
+    const decodeDevState = (req, body, cb) => {
+        const type = (req.headers['content-type'] || '').split(';')[0].trim();
+
+        const check = devState => {
+            const invalid = devStateCodec.checkDevState(devState);
+            if (invalid) return cb(httpError(400, invalid));
+            if (! devState.metrics.length)
+                return cb(httpError(400, 'no metrics in device state'));
+            cb(null, devState);
+        };
+
+        if (type == 'application/x-protobuf' || type == 'application/octet-stream') {
+            return devStateCodec.decodeDevStateMessage(body, (err, devState) => {
+                if (err) return cb(httpError(400, 'bad device state: ' + err.message));
+                check(devState);
+            });
+        }
+
+        var devState;
+        try {
+            devState = JSON.parse(body.toString());
+        } catch (err) {
+            return cb(httpError(400, 'bad device state: ' + err.message));
+        }
+        check(devState);
+    };
+
+    /* a device is known once it has data */
+    const withKnownDevice = (devid, cb) => {
+        model.hasDevice(devid, (err, yes) => {
+            if (err) return cb(err);
+            if (! yes) return cb(httpError(404, `unknown device ${devid}`));
+            cb(null);
+        });
+    };
+
+    const listDevices = (req, res) => {
+        model.listDevices((err, devices) => {
+            if (err) return sendError(res, err);
+            send(res, 200, { devices });
+        });
+    };
+
+    const putDeviceState = (req, res, devid, time) => {
+        const ticktime = parseTime(time);
+        if (! ticktime) return sendError(res, httpError(400, `bad time ${time}`));
+
+        readBody(req, (err, body) => {
+            if (err) return sendError(res, err);
+            decodeDevState(req, body, (err, devState) => {
+                if (err) return sendError(res, err);
+                if (devState.devid == null) devState.devid = devid;
+                if (+devState.devid != devid)
+                    return sendError(res, httpError(400,
+                        `devid ${devState.devid} in device state is not ${devid}`));
+
+                model.putDeviceState(devid, ticktime, devState, err => {
+                    if (err) return sendError(res, err);
+                    send(res, 201, { devid, ticktime });
+                });
+            });
+        });
+    };
+
+    const projectMetrics = (req, res, devid, query) => {
+        const time = query.has('time') ? parseTime(query.get('time')) : new Date();
+        const metricList = parseMetricList(query.get('metrics'));
+        if (! time) return sendError(res, httpError(400, 'bad time'));
+        if (! metricList) return sendError(res, httpError(400, 'bad metric list'));
+
+        const options = {};
+        if (query.has('mode')) {
+            options.mode = query.get('mode');
+            if (! projectionModes.includes(options.mode))
+                return sendError(res, httpError(400, `bad mode ${options.mode}`));
+        }
+        if (query.has('maxAge')) {
+            if (! /^[0-9]+$/.test(query.get('maxAge')))
+                return sendError(res, httpError(400, 'bad max age'));
+            options.maxAge = +query.get('maxAge');
+        }
+
+        withKnownDevice(devid, err => {
+            if (err) return sendError(res, err);
+            model.projectMetrics(devid, time, metricList, options, (err, metrics) => {
+                if (err) return sendError(res, err);
+                send(res, 200, { devid, time, metrics });
+            });
+        });
+    };
+
+    const lastGoodValue = (req, res, devid, query) => {
+        const metricList = parseMetricList(query.get('metrics'));
+        if (! metricList) return sendError(res, httpError(400, 'bad metric list'));
+
+        withKnownDevice(devid, err => {
+            if (err) return sendError(res, err);
+            model.resolveMetricIds(metricList, (err, metricIdList) => {
+                if (err) return sendError(res, err);
+                model.getDeviceLastGoodValue(devid, metricIdList, (err, lgv) => {
+                    if (err) return sendError(res, err);
+                    send(res, 200, { devid, ...lgv });
+                });
+            });
+        });
+    };
+
+    const timeSpan = (req, res, devid) => {
+        withKnownDevice(devid, err => {
+            if (err) return sendError(res, err);
+            model.getDeviceTimeSpan(devid, (err, minTime, maxTime) => {
+                if (err) return sendError(res, err);
+                send(res, 200, { devid, minTime, maxTime });
+            });
+        });
+    };
+
+    const getCatalog = (req, res) => {
+        model.getCatalog((err, metrics) => {
+            if (err) return sendError(res, err);
+            send(res, 200, { metrics });
+        });
+    };
+
+    const getStats = (req, res) => {
+        send(res, 200, model.getStats());
+    };
+
+    const getPrometheusStats = (req, res) => {
+        sendText(res, 200, toPrometheus(model.getStats()),
+            'text/plain; version=0.0.4; charset=utf-8');
+    };
+
+    /* it may take long, so it is answered once started */
+    const startHousekeeping = (req, res) => {
+        readBody(req, (err, body) => {
+            if (err) return sendError(res, err);
+
+            var options = {};
+            try {
+                if (body.length) options = JSON.parse(body.toString());
+            } catch (err) {
+                return sendError(res, httpError(400, 'bad options: ' + err.message));
+            }
+            if (housekeeping)
+                return sendError(res, httpError(409, 'housekeeping is running'));
+
+            housekeeping = true;
+            logger.info('start housekeeping', options);
+            model.housekeeping(options, err => {
+                housekeeping = false;
+                if (err) return logger.error(err);
+                logger.info('housekeeping done');
+            });
+            send(res, 202, { started: true });
+        });
+    };
+
+    const routes = [
+        ['GET', /^\/devices$/, listDevices],
+        ['POST', /^\/devices\/([0-9]+)\/states\/([^/]+)$/, putDeviceState],
+        ['GET', /^\/devices\/([0-9]+)\/metrics$/, projectMetrics],
+        ['GET', /^\/devices\/([0-9]+)\/lgv$/, lastGoodValue],
+        ['GET', /^\/devices\/([0-9]+)\/span$/, timeSpan],
+        ['GET', /^\/catalog$/, getCatalog],
+        ['GET', /^\/stats$/, getStats],
+        ['GET', /^\/metrics$/, getPrometheusStats],
+        ['POST', /^\/housekeeping$/, startHousekeeping],
+    ];
+
+    const handle = (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const matched = routes.filter(([, re]) => re.test(url.pathname));
+
+        logger.debug(`${req.method} ${req.url}`);
+        if (! matched.length) return sendError(res, httpError(404, 'not found'));
+
+        const route = matched.find(([method]) => method == req.method);
+        if (! route) {
+            res.setHeader('Allow', matched.map(([method]) => method).join(', '));
+            return sendError(res, httpError(405, 'method not allowed'));
+        }
+
+        const [, re, handler] = route;
+        const m = url.pathname.match(re);
+        if (handler == putDeviceState) {
+            var time;
+            try {
+                time = decodeURIComponent(m[2]);
+            } catch (err) {
+                return sendError(res, httpError(400, `bad time ${m[2]}`));
+            }
+            return handler(req, res, +m[1], time);
+        }
+        if (m[1] != null) return handler(req, res, +m[1], url.searchParams);
+        handler(req, res);
+    };
+
+    this.listen = (port, host, cb) => {
+        server.listen(port, host, cb);
+    };
+
+    this.address = () => server.address();
+
+    this.close = cb => {
+        server.close(cb);
+    };
+
+    return (function (ffcServer) {
+        options = options || {};
+        logger = options.logger || {
+            debug: () => {},
+            info: () => {},
+            error: err => console.error(err),
+        };
+
+        server = http.createServer((req, res) => {
+            try {
+                handle(req, res);
+            } catch (err) {
+                sendError(res, err);
+            }
+        });
+
+        return ffcServer;
+    }(this));
+}
+
+module.exports = FfcServer;
@@ -0,0 +1,442 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const lockfile = require('proper-lockfile');
+
+/**
+ * Embedded index backend kept in memory and backed by files, for single node
+ * deployments where a Redis server is not available.  It has the same
+ * interface as RedisIndex.
+ *
+ * The whole index is saved in a snapshot file.  Every change after the
+ * snapshot is appended to a journal file alongside, which is replayed when the
+ * index is opened and folded into the snapshot when the index is quit.  A
+ * change, or a batch of them, is checked before it is journaled and made, so
+ * that a failing one changes nothing.
+ *
+ * Only one process can open the index at a time, which holds its lock until
+ * it quits.  Others fail with code ELOCKED, telling to use a Redis server for
+ * more processes.  Likewise, published messages are only delivered to the
+ * subscribers in the process.
+ */
+function FileIndex(options, logger)
+{
+    var indexFile;
+    var journalFile;
+    var releaseLock;
+    const store = new Map();
+    const listeners = new Map();    /* sets of listeners by channel */
+
+    const parseBound = bound => {
+        const s = String(bound);
+        if (s == '-inf') return { value: -Infinity, exclusive: false };
+        if (s == '+inf' || s == 'inf') return { value: Infinity, exclusive: false };
+        if (s[0] == '(') return { value: +s.slice(1), exclusive: true };
+        return { value: +s, exclusive: false };
+    };
+
+    const later = (cb, ...results) => {
+        process.nextTick(() => cb(null, ...results));
+    };
+
+    const wrongType = () =>
+        Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+    const entry = (key, type) => {
+        const e = store.get(key);
+        if (e && e.type != type) throw wrongType();
+        return e;
+    };
+
+    const sortedMembers = key => {
+        const e = entry(key, 'zset');
+        if (! e) return [];
+        return Array.from(e.value.entries())
+            .map(([member, score]) => ({ member, score }))
+            .sort((a, b) => a.score - b.score
+                || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+    };
+
+    const sliceByRank = (list, start, stop) => {
+        const len = list.length;
+        start = +start < 0 ? Math.max(len + +start, 0) : +start;
+        stop = +stop < 0 ? len + +stop : Math.min(+stop, len - 1);
+        if (start > stop) return [];
+        return list.slice(start, stop + 1);
+    };
+
+    const filterByScore = (list, min, max) => {
+        const lo = parseBound(min);
+        const hi = parseBound(max);
+        return list.filter(({ score }) =>
+            (lo.exclusive ? score > lo.value : score >= lo.value)
+            && (hi.exclusive ? score < hi.value : score <= hi.value));
+    };
+
+    /**
+     * Changes of the index, applied the same way when they are made and when
+     * they are replayed from the journal.
+     */
+    const changes = {
+        zadd: (key, score, member) => {
+            if (! entry(key, 'zset'))
+                store.set(key, { type: 'zset', value: new Map() });
+            const zset = store.get(key).value;
+            const added = zset.has(member) ? 0 : 1;
+            zset.set(member, +score);
+            return added;
+        },
+        zrem: (key, members) => {
+            const e = entry(key, 'zset');
+            if (! e) return 0;
+            var n = 0;
+            for (const m of members) if (e.value.delete(m)) ++n;
+            if (! e.value.size) store.delete(key);
+            return n;
+        },
+        zincrby: (key, increment, member) => {
+            if (! entry(key, 'zset'))
+                store.set(key, { type: 'zset', value: new Map() });
+            const zset = store.get(key).value;
+            const score = (zset.get(member) || 0) + +increment;
+            zset.set(member, score);
+            return score;
+        },
+        hmset: (key, fields) => {
+            if (! entry(key, 'hash'))
+                store.set(key, { type: 'hash', value: new Map() });
+            const hash = store.get(key).value;
+            for (const field of Object.keys(fields))
+                hash.set(field, String(fields[field]));
+            return 'OK';
+        },
+        hmsetIfNewer: (key, timeField, time, fields) => {
+            const e = entry(key, 'hash');
+            if (e && e.value.has(timeField) && +e.value.get(timeField) > time) return 0;
+            changes.hmset(key, fields);
+            return 1;
+        },
+        hdel: (key, fields) => {
+            const e = entry(key, 'hash');
+            if (! e) return 0;
+            var n = 0;
+            for (const field of fields) if (e.value.delete(field)) ++n;
+            if (! e.value.size) store.delete(key);
+            return n;
+        },
+        set: (key, value) => {
+            store.set(key, { type: 'string', value: String(value) });
+            return 'OK';
+        },
+        del: keys => {
+            var n = 0;
+            for (const key of keys) if (store.delete(key)) ++n;
+            return n;
+        },
+    };
+
+    /* the types of the keys the changes work on, and the places of numbers in the ops */
+    const kinds = {
+        zadd: { type: 'zset', numbers: [2] },
+        zrem: { type: 'zset', numbers: [] },
+        zincrby: { type: 'zset', numbers: [2] },
+        hmset: { type: 'hash', numbers: [] },
+        hmsetIfNewer: { type: 'hash', numbers: [3] },
+        hdel: { type: 'hash', numbers: [] },
+    };
+
+    /**
+     * Throw what the ops of changes would throw, without making them, so that
+     * they are journaled and made all or none.
+     */
+    const validate = ops => {
+        const types = new Map();    /* of the keys as the ops before leave them */
+        const typeOf = key => types.has(key) ? types.get(key)
+            : store.has(key) ? store.get(key).type : null;
+
+        for (const op of ops) {
+            const [name, key] = op;
+            if (name == 'set') {
+                types.set(key, 'string');
+            } else if (name == 'del') {
+                key.forEach(k => types.set(k, null));
+            } else {
+                const { type, numbers } = kinds[name];
+                const t = typeOf(key);
+                if (t && t != type) throw wrongType();
+                if (numbers.some(i => Number.isNaN(op[i])))
+                    throw Error('ERR value is not a valid float');
+                if (name != 'zrem' && name != 'hdel') types.set(key, type);
+            }
+        }
+    };
+
+    const change = (cb, name, ...args) => {
+        try {
+            validate([[name, ...args]]);
+            fs.appendFileSync(journalFile, JSON.stringify([name, ...args]) + '\n');
+        } catch (err) {
+            return process.nextTick(() => cb(err));
+        }
+        later(cb, changes[name](...args));
+    };
+
+    const query = (cb, fn) => {
+        var result;
+        try {
+            result = fn();
+        } catch (err) {
+            return process.nextTick(() => cb(err));
+        }
+        later(cb, result);
+    };
+
+    this.zadd = (key, score, member, cb) => {
+        change(cb, 'zadd', key, +score, String(member));
+    };
+
+    this.zrem = (key, members, cb) => {
+        change(cb, 'zrem', key, [].concat(members).map(String));
+    };
+
+    this.zincrby = (key, increment, member, cb) => {
+        change(cb, 'zincrby', key, +increment, String(member));
+    };
+
+    this.zscore = (key, member, cb) => {
+        query(cb, () => {
+            const e = entry(key, 'zset');
+            if (! e || ! e.value.has(String(member))) return null;
+            return e.value.get(String(member));
+        });
+    };
+
+    this.zcard = (key, cb) => {
+        query(cb, () => {
+            const e = entry(key, 'zset');
+            return e ? e.value.size : 0;
+        });
+    };
+
+    this.zrange = (key, start, stop, cb) => {
+        query(cb, () => sliceByRank(sortedMembers(key), start, stop)
+            .map(({ member }) => member));
+    };
+
+    this.zrevrange = (key, start, stop, cb) => {
+        query(cb, () => sliceByRank(sortedMembers(key).reverse(), start, stop)
+            .map(({ member }) => member));
+    };
+
+    this.zrangeWithScores = (key, start, stop, cb) => {
+        query(cb, () => sliceByRank(sortedMembers(key), start, stop));
+    };
+
+    this.zrangebyscore = (key, min, max, cb) => {
+        query(cb, () => filterByScore(sortedMembers(key), min, max)
+            .map(({ member }) => member));
+    };
+
+    this.zrevrangebyscore = (key, max, min, count, cb) => {
+        query(cb, () => {
+            const list = filterByScore(sortedMembers(key), min, max).reverse();
+            return (count != null ? list.slice(0, count) : list)
+                .map(({ member }) => member);
+        });
+    };
+
+    this.hget = (key, field, cb) => {
+        query(cb, () => {
+            const e = entry(key, 'hash');
+            if (! e || ! e.value.has(field)) return null;
+            return e.value.get(field);
+        });
+    };
+
+    this.hgetall = (key, cb) => {
+        query(cb, () => {
+            const e = entry(key, 'hash');
+            return e ? Object.fromEntries(e.value) : null;
+        });
+    };
+
+    this.hmset = (key, fields, cb) => {
+        change(cb, 'hmset', key, fields);
+    };
+
+    this.hset = (key, field, value, cb) => {
+        change(cb, 'hmset', key, { [field]: value });
+    };
+
+    this.hdel = (key, fields, cb) => {
+        change(cb, 'hdel', key, [].concat(fields).map(String));
+    };
+
+    this.get = (key, cb) => {
+        query(cb, () => {
+            const e = entry(key, 'string');
+            return e ? e.value : null;
+        });
+    };
+
+    this.set = (key, value, cb) => {
+        change(cb, 'set', key, value);
+    };
+
+    this.del = (keys, cb) => {
+        change(cb, 'del', [].concat(keys));
+    };
+
+    this.exists = (key, cb) => {
+        query(cb, () => store.has(key));
+    };
+
+    this.publish = (channel, message, cb) => {
+        var n = 0;
+        for (const [subscribed, set] of listeners) {
+            const matched = subscribed.endsWith('*')
+                ? channel.startsWith(subscribed.slice(0, -1))
+                : channel == subscribed;
+            if (! matched) continue;
+            for (const listener of set) {
+                ++n;
+                process.nextTick(() => listener(message, channel));
+            }
+        }
+        later(cb, n);
+    };
+
+    this.subscribe = (channel, listener) => {
+        if (! listeners.has(channel)) listeners.set(channel, new Set());
+        listeners.get(channel).add(listener);
+
+        return () => {
+            const set = listeners.get(channel);
+            if (! set || ! set.delete(listener) || set.size) return;
+            listeners.delete(channel);
+        };
+    };
+
+    this.batch = () => {
+        const ops = [];
+        const batch = {
+            zadd: (key, score, member) => ops.push(['zadd', key, +score, String(member)]),
+            zrem: (key, members) =>
+                ops.push(['zrem', key, [].concat(members).map(String)]),
+            zincrby: (key, increment, member) =>
+                ops.push(['zincrby', key, +increment, String(member)]),
+            hmset: (key, fields) => ops.push(['hmset', key, fields]),
+            hmsetIfNewer: (key, timeField, time, fields) =>
+                ops.push(['hmsetIfNewer', key, timeField, +time, fields]),
+            hset: (key, field, value) => ops.push(['hmset', key, { [field]: value }]),
+            hdel: (key, fields) => ops.push(['hdel', key, [].concat(fields).map(String)]),
+            set: (key, value) => ops.push(['set', key, value]),
+            del: keys => ops.push(['del', [].concat(keys)]),
+            exec: cb => {
+                try {
+                    validate(ops);
+                    if (ops.length) {
+                        fs.appendFileSync(journalFile,
+                            ops.map(op => JSON.stringify(op) + '\n').join(''));
+                    }
+                } catch (err) {
+                    return process.nextTick(() => cb(err));
+                }
+                ops.forEach(op => changes[op[0]](...op.slice(1)));
+                later(cb);
+            },
+        };
+        return batch;
+    };
+
+    const loadSnapshot = () => {
+        var snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(indexFile));
+        } catch (err) {
+            if (err.code == 'ENOENT') return;
+            throw err;
+        }
+        for (const [key, type, value] of snapshot) {
+            if (type == 'zset' || type == 'hash')
+                store.set(key, { type, value: new Map(value) });
+            else
+                store.set(key, { type, value });
+        }
+    };
+
+    const replayJournal = () => {
+        var lines;
+        try {
+            lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+        } catch (err) {
+            if (err.code == 'ENOENT') return;
+            throw err;
+        }
+        for (const line of lines) {
+            if (! line) continue;
+            var op;
+            try {
+                op = JSON.parse(line);
+            } catch (err) {
+                /* a change being written when the process died */
+                logger.error(`skip broken journal line in ${journalFile}`);
+                continue;
+            }
+            changes[op[0]](...op.slice(1));
+        }
+    };
+
+    const saveSnapshot = () => {
+        const snapshot = [];
+        for (const [key, { type, value }] of store) {
+            snapshot.push([key, type,
+                value instanceof Map ? Array.from(value.entries()) : value]);
+        }
+        const tmpname = indexFile + '.tmp';
+        fs.writeFileSync(tmpname, JSON.stringify(snapshot));
+        fs.renameSync(tmpname, indexFile);
+        fs.writeFileSync(journalFile, '');
+    };
+
+    this.quit = () => {
+        if (! releaseLock) return;
+        try {
+            saveSnapshot();
+        } catch (err) {
+            logger.error(err);
+        }
+        releaseLock();
+        releaseLock = null;
+    };
+
+    return (function (index) {
+        indexFile = options.indexFile
+            || path.join(options.dataRoot, 'index.json');
+        journalFile = indexFile + '.journal';
+
+        mkdirp.sync(path.dirname(indexFile));
+        try {
+            releaseLock = lockfile.lockSync(indexFile, {
+                realpath: false,
+                onCompromised: err => logger.error(err),
+            });
+        } catch (err) {
+            if (err.code != 'ELOCKED') throw err;
+            const e = Error(`index ${indexFile} is in use by another process, while`
+                + ' the embedded index is for one at a time; use a Redis server'
+                + ' (index redis) for more');
+            e.code = 'ELOCKED';
+            throw e;
+        }
+        loadSnapshot();
+        replayJournal();
+        saveSnapshot();
+
+        return index;
+    }(this));
+}
+
+module.exports = FileIndex;
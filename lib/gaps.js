@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Gaps
+ * ====
+ *
+ * A metric acquired every interval seconds is expected to have a sample in
+ * every slot of the interval since the epoch, i.e., at 00:00, 00:15, 00:30 and
+ * so on for 15 minutes, which is what fmcli acqr does for intervals dividing an
+ * hour.  A gap is a run of consecutive slots without a sample, of any status.
+ *
+ * The report of a metric is { id, interval, expected, present, missing,
+ * completeness, gaps, longestGaps } where
+ *
+ * expected     number of slots between the two times
+ * present      number of slots with a sample
+ * missing      number of slots without
+ * completeness percentage of the present ones, null if none expected
+ * gaps         number of gaps
+ * longestGaps  the longest gaps as { from, to, ticks }, from and to being the
+ *              first and the last missing ticks in epoch seconds
+ */
+
+const dftLongestGapsNum = 5;
+
+/* keep the top longest gaps, longest first and then earliest first */
+const keepLongest = (list, gap, top) => {
+    list.push(gap);
+    list.sort((a, b) => b.ticks - a.ticks || a.from - b.from);
+    if (list.length > top) list.length = top;
+};
+
+const completenessOf = (present, expected) =>
+    expected ? Math.round(10000 * present / expected) / 100 : null;
+
+/**
+ * Create a tracker of the gaps of metrics between the two times in epoch
+ * seconds.  intervals is a Map of metric id to interval in seconds.  Samples
+ * are given by add(m), where m is a metric with its ticktime, in time order,
+ * and finish() gives the reports of the metrics in order of id.
+ */
+const createGapTracker = (intervals, fromEpoch, toEpoch, top) => {
+    top = top || dftLongestGapsNum;
+    const metrics = new Map();
+
+    for (const [id, interval] of intervals) {
+        const first = Math.ceil(fromEpoch / interval);
+        const last = Math.floor(toEpoch / interval);
+        metrics.set(id, {
+            id,
+            interval,
+            first,
+            last,
+            lastSeen: first - 1,
+            present: 0,
+            missing: 0,
+            gaps: 0,
+            longestGaps: [],
+        });
+    }
+
+    const gap = (t, from, to) => {
+        const ticks = to - from + 1;
+        t.missing += ticks;
+        ++t.gaps;
+        keepLongest(t.longestGaps,
+            { from: from * t.interval, to: to * t.interval, ticks }, top);
+    };
+
+    const add = m => {
+        const t = metrics.get(m.id);
+        if (! t) return;
+        const slot = Math.floor(m.ticktime / t.interval);
+        if (slot < t.first || slot > t.last || slot <= t.lastSeen) return;
+        if (slot > t.lastSeen + 1) gap(t, t.lastSeen + 1, slot - 1);
+        t.lastSeen = slot;
+        ++t.present;
+    };
+
+    const finish = () => {
+        const reports = [];
+        for (const id of Array.from(metrics.keys()).sort((a, b) => a - b)) {
+            const t = metrics.get(id);
+            if (t.lastSeen < t.last) gap(t, t.lastSeen + 1, t.last);
+            const expected = Math.max(t.last - t.first + 1, 0);
+            reports.push({
+                id,
+                interval: t.interval,
+                expected,
+                present: t.present,
+                missing: t.missing,
+                completeness: completenessOf(t.present, expected),
+                gaps: t.gaps,
+                longestGaps: t.longestGaps,
+            });
+        }
+        return reports;
+    };
+
+    return { add, finish };
+};
+
+/**
+ * Combine the reports of devices, each of which is { devid, metrics }, to
+ * those of the fleet, one for each metric, where the longest gaps have the
+ * devid's.
+ */
+const combineGapReports = (deviceReports, top) => {
+    top = top || dftLongestGapsNum;
+    const metrics = new Map();
+
+    for (const { devid, metrics: reports } of deviceReports) {
+        for (const r of reports) {
+            if (! metrics.has(r.id)) {
+                metrics.set(r.id, {
+                    id: r.id,
+                    interval: r.interval,
+                    expected: 0,
+                    present: 0,
+                    missing: 0,
+                    completeness: null,
+                    gaps: 0,
+                    longestGaps: [],
+                });
+            }
+            const f = metrics.get(r.id);
+            f.expected += r.expected;
+            f.present += r.present;
+            f.missing += r.missing;
+            f.gaps += r.gaps;
+            r.longestGaps.forEach(g => keepLongest(f.longestGaps, { devid, ...g }, top));
+        }
+    }
+
+    return Array.from(metrics.keys()).sort((a, b) => a - b).map(id => {
+        const f = metrics.get(id);
+        f.completeness = completenessOf(f.present, f.expected);
+        return f;
+    });
+};
+
+module.exports = {
+    createGapTracker,
+    combineGapReports,
+};
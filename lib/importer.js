@@ -0,0 +1,361 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const devStateCodec = require('./dev-state');
+
+/**
+ * Import
+ * ======
+ *
+ * Import device states from files of the formats
+ *
+ * json         JSON snapshots saved by ffcopr, named <devid>-<ticktime>.json
+ *              where ticktime is in UTC as yyyymmddHHMMss, each of which is a
+ *              DevState
+ * csv          a header line followed by comma separated lines, with the
+ *              columns devid, time, metric, status, value, scale and
+ *              optionally timestamp, type and quality, in any order.  Times
+ *              are ISO strings or epoch seconds.  A field may be quoted as
+ *              RFC 4180 tells, but not across lines.  Without the type, a
+ *              value is an integer, a double or a string by how it looks.
+ *              This is what fmcli export gives without real values.
+ *
+ * The rows of a CSV file with the same devid and time make a device state.
+ * Every record is validated before it is put to the model, and the rejected
+ * ones are reported with the reasons, e.g.,
+ *
+ *      { source: 'readings.csv:12', reason: 'bad value 1.5' }
+ *
+ * A metric given more than once for the same device and time, in the same
+ * file or not, is a duplicate and only the first one is taken.  A device state
+ * out of range, or invalid by the metric catalog under the reject policy, is
+ * rejected as a whole.
+ */
+
+const uint32Max = 4294967295;
+const csvColumns = ['devid', 'time', 'metric', 'status', 'value', 'scale'];
+
+const isInt = (s, min, max) => /^-?[0-9]+$/.test(s) && +s >= min && +s <= max;
+
+/* an integer field as a number, left as it is if not an integer */
+const toInt = s => /^-?[0-9]+$/.test(s) ? +s : s;
+
+const parseTime = s => {
+    if (s == null || s === '') return null;
+    const time = /^[0-9]+$/.test(s) ? new Date(+s * 1000) : new Date(s);
+    return isNaN(time.valueOf()) ? null : time;
+};
+
+const parseSnapshotName = name => {
+    const m = path.basename(name).match(
+        /^([0-9]+)-([0-9]{4})([0-9]{2})([0-9]{2})([0-9]{2})([0-9]{2})([0-9]{2})\.json$/);
+    if (! m) return null;
+    const ticktime = new Date(Date.UTC(+m[2], +m[3] - 1, +m[4], +m[5], +m[6], +m[7]));
+    if (isNaN(ticktime.valueOf())) return null;
+    return { devid: +m[1], ticktime };
+};
+
+/* fields of a CSV line, those not quoted trimmed */
+const splitCsvLine = line => {
+    const fields = [];
+    var field = '';
+    var quoted = false;
+    var wasQuoted = false;
+
+    for (var i = 0; i < line.length; ++i) {
+        const c = line[i];
+        if (quoted) {
+            if (c != '"') {
+                field += c;
+            } else if (line[i + 1] == '"') {
+                field += '"';
+                ++i;
+            } else {
+                quoted = false;
+            }
+        } else if (c == '"') {
+            quoted = wasQuoted = true;
+            field = '';
+        } else if (c == ',') {
+            fields.push(wasQuoted ? field : field.trim());
+            field = '';
+            wasQuoted = false;
+        } else if (! wasQuoted) {
+            field += c;
+        }
+    }
+    fields.push(wasQuoted ? field : field.trim());
+    return fields;
+};
+
+/* the type of a value in CSV by how it looks */
+const csvTypeOf = s => {
+    if (/^-?[0-9]+$/.test(s)) return 'int';
+    if (s.trim() !== '' && isFinite(+s)) return 'double';
+    return 'string';
+};
+
+/* integers beyond the safe ones are left in strings, see dev-state.js */
+const csvValue = (s, type) => {
+    if (type == 'int') return Number.isSafeInteger(+s) ? +s : s;
+    if (type == 'double') return s.trim() === '' ? s : +s;
+    return s;
+};
+
+/**
+ * Read a JSON snapshot as a record { devid, ticktime, devState, sources }, or
+ * give the reason why it is rejected.  sources tells where each metric of the
+ * device state came from.
+ */
+const readSnapshot = (filename, cb) => {
+    const name = parseSnapshotName(filename);
+    if (! name) return cb(null, null, 'bad snapshot file name');
+
+    fs.readFile(filename, (err, buf) => {
+        if (err) return cb(err);
+
+        var devState;
+        try {
+            devState = JSON.parse(buf);
+        } catch (err) {
+            return cb(null, null, 'bad JSON: ' + err.message);
+        }
+        if (! devState || ! Array.isArray(devState.metrics))
+            return cb(null, null, 'no metrics');
+        if (devState.devid != null && +devState.devid != name.devid)
+            return cb(null, null, `devid ${devState.devid} is not ${name.devid}`
+                + ' as in the file name');
+
+        const reason = devStateCodec.checkDevState(devState);
+        if (reason) return cb(null, null, reason);
+
+        devState.devid = name.devid;
+        if (devState.timestamp == null)
+            devState.timestamp = Math.trunc(name.ticktime.valueOf() / 1000);
+        cb(null, { ...name, devState, sources: devState.metrics.map(() => filename) });
+    });
+};
+
+/**
+ * Read a CSV file as records, same as readSnapshot.  reject(source, reason) is
+ * called for every rejected row.
+ */
+const readCsv = (filename, reject, cb) => {
+    const records = new Map();
+    var columns = null;
+    var lineno = 0;
+    var failed = false;
+    var skipped = false;
+
+    const input = fs.createReadStream(filename);
+    input.on('error', err => {
+        if (failed) return;
+        failed = true;
+        cb(err);
+    });
+
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    rl.on('line', line => {
+        ++lineno;
+        const source = `${filename}:${lineno}`;
+        if (skipped || ! line.trim()) return;
+
+        const fields = splitCsvLine(line);
+        if (! columns) {
+            columns = fields;
+            const missing = csvColumns.filter(c => ! columns.includes(c));
+            if (missing.length) {
+                reject(source, 'missing columns ' + missing.join(' '));
+                skipped = true;
+                rl.close();
+            }
+            return;
+        }
+
+        if (fields.length != columns.length)
+            return reject(source, `${fields.length} fields, not ${columns.length}`);
+        const row = {};
+        columns.forEach((c, i) => row[c] = fields[i]);
+
+        if (! isInt(row.devid, 0, uint32Max)) return reject(source, `bad devid ${row.devid}`);
+        const ticktime = parseTime(row.time);
+        if (! ticktime) return reject(source, `bad time ${row.time}`);
+
+        const type = row.type || csvTypeOf(row.value);
+        const m = {
+            id: toInt(row.metric),
+            status: toInt(row.status),
+            type,
+            value: csvValue(row.value, type),
+            scale: toInt(row.scale),
+        };
+        if (row.timestamp) {
+            const timestamp = parseTime(row.timestamp);
+            if (! timestamp) return reject(source, `bad timestamp ${row.timestamp}`);
+            m.timestamp = Math.trunc(timestamp.valueOf() / 1000);
+        }
+        if (row.quality) m.quality = row.quality;
+        const reason = devStateCodec.checkMetric(m);
+        if (reason) return reject(source, reason);
+
+        const devid = +row.devid;
+        const key = `${devid}-${ticktime.valueOf()}`;
+        if (! records.has(key)) {
+            records.set(key, {
+                devid,
+                ticktime,
+                devState: {
+                    devid,
+                    timestamp: Math.trunc(ticktime.valueOf() / 1000),
+                    metrics: [],
+                },
+                sources: [],
+            });
+        }
+        const record = records.get(key);
+        record.devState.metrics.push(m);
+        record.sources.push(source);
+    });
+    rl.on('close', () => {
+        if (failed) return;
+        if (! columns) reject(`${filename}:1`, 'no header');
+        cb(null, Array.from(records.values()));
+    });
+};
+
+/* the files to import in the given files and directories */
+const listFiles = (paths, cb) => {
+    const files = [];
+    (function walkPaths(list) {
+        if (! list.length) return cb(null, files);
+        fs.stat(list[0], (err, stats) => {
+            if (err) return cb(err);
+            if (! stats.isDirectory()) {
+                files.push(list[0]);
+                return walkPaths(list.slice(1));
+            }
+            fs.readdir(list[0], (err, names) => {
+                if (err) return cb(err);
+                names.filter(name => /\.(json|csv)$/.test(name)).sort()
+                    .forEach(name => files.push(path.join(list[0], name)));
+                walkPaths(list.slice(1));
+            });
+        });
+    }(paths));
+};
+
+/**
+ * Import the files, or those in the directories, in paths.  The format of a
+ * file is told by its extension.  options has
+ *
+ * backdate     put device states older than the level 1 blocks into the
+ *              archives, see FfcModel.putDeviceState
+ * dryRun       only validate, put nothing to the model
+ * onProgress   called with { source, done, total } after each file
+ *
+ * Gives { records, imported, duplicates, rejected } where rejected lists the
+ * rejected ones as { source, reason }.
+ */
+const importFiles = (model, paths, options, cb) => {
+    const report = { records: 0, imported: 0, duplicates: 0, rejected: [] };
+    const seen = new Set();
+
+    const reject = (source, reason) => {
+        report.rejected.push({ source, reason });
+    };
+
+    /* metrics already taken for the same device and time are dropped */
+    const dropDuplicates = record => {
+        const t = record.ticktime.valueOf();
+        const metrics = [];
+        const sources = [];
+        record.devState.metrics.forEach((m, i) => {
+            const key = `${record.devid}-${t}-${m.id}`;
+            if (seen.has(key)) {
+                ++report.duplicates;
+                return reject(record.sources[i], `duplicate metric ${m.id} of device`
+                    + ` ${record.devid} at ${record.ticktime.toISOString()}`);
+            }
+            seen.add(key);
+            metrics.push(m);
+            sources.push(record.sources[i]);
+        });
+        record.devState.metrics = metrics;
+        record.sources = sources;
+    };
+
+    const putRecord = (record, cb) => {
+        ++report.records;
+        dropDuplicates(record);
+        if (! record.devState.metrics.length) return cb(null);
+        if (options.dryRun) {
+            ++report.imported;
+            return cb(null);
+        }
+
+        model.putDeviceState(record.devid, record.ticktime, record.devState,
+            { backdate: options.backdate },
+            err => {
+                if (err) {
+                    if (err.code != 'EOUTOFRANGE' && err.code != 'EINVALID')
+                        return cb(err);
+                    record.sources.forEach(source => reject(source, err.message));
+                    return cb(null);
+                }
+                ++report.imported;
+                cb(null);
+            });
+    };
+
+    const importFile = (filename, cb) => {
+        if (path.extname(filename) == '.json') {
+            return readSnapshot(filename, (err, record, reason) => {
+                if (err) return cb(err);
+                if (! record) {
+                    reject(filename, reason);
+                    return cb(null);
+                }
+                putRecord(record, cb);
+            });
+        }
+
+        if (path.extname(filename) != '.csv') {
+            reject(filename, 'unknown format');
+            return cb(null);
+        }
+
+        readCsv(filename, reject, (err, records) => {
+            if (err) return cb(err);
+
+            records.sort((a, b) => a.ticktime - b.ticktime);
+            (function walkRecords(list) {
+                if (! list.length) return cb(null);
+                putRecord(list[0], err => {
+                    if (err) return cb(err);
+                    walkRecords(list.slice(1));
+                });
+            }(records));
+        });
+    };
+
+    listFiles(paths, (err, files) => {
+        if (err) return cb(err);
+
+        var done = 0;
+        (function walkFiles(list) {
+            if (! list.length) return cb(null, report);
+            importFile(list[0], err => {
+                if (err) return cb(err);
+                if (options.onProgress)
+                    options.onProgress({ source: list[0], done: ++done, total: files.length });
+                walkFiles(list.slice(1));
+            });
+        }(files));
+    });
+};
+
+module.exports = {
+    importFiles,
+};
@@ -0,0 +1,239 @@
+'use strict';
+
+const redis = require('redis');
+
+/**
+ * Index backend on a Redis server.
+ *
+ * An index backend holds sorted sets, hashes and plain strings under string
+ * keys, with the semantics of the Redis commands of the same names.  Members,
+ * hash values and strings are given back as strings, scores as numbers.  All
+ * methods take a node style callback as the last argument.
+ *
+ * zadd(key, score, member, cb)
+ * zrem(key, members, cb)               members can be a single one or a list
+ * zincrby(key, increment, member, cb)
+ * zscore(key, member, cb)              null if not a member
+ * zcard(key, cb)
+ * zrange(key, start, stop, cb)         by rank, from low to high
+ * zrevrange(key, start, stop, cb)      by rank, from high to low
+ * zrangeWithScores(key, start, stop, cb)   list of { member, score }
+ * zrangebyscore(key, min, max, cb)     min/max can be -inf, +inf and (n
+ * zrevrangebyscore(key, max, min, count, cb)  at most count members if given
+ * hget(key, field, cb)
+ * hgetall(key, cb)                     null if the key does not exist
+ * hmset(key, fields, cb)               fields is an object
+ * hset(key, field, value, cb)
+ * hdel(key, fields, cb)
+ * get(key, cb)
+ * set(key, value, cb)
+ * del(keys, cb)
+ * exists(key, cb)                      true or false
+ * batch()                              see below
+ * publish(channel, message, cb)
+ * subscribe(channel, listener)         see below
+ * quit()
+ *
+ * A batch queues changes made by its zadd, zrem, zincrby, hmset, hset, hdel, set
+ * and del, which take no callback, and makes them all at once, atomically, by
+ * exec(cb).  It also has hmsetIfNewer(key, timeField, time, fields), which sets
+ * the fields of the hash unless its timeField is later than time.
+ *
+ * subscribe calls listener(message, channel) for every message published to
+ * the channel, which can end with '*' to match all the channels of the prefix,
+ * until the function it returns is called.
+ */
+/* KEYS[1] the hash, ARGV the time field, the time and the fields and values */
+const hmsetIfNewerScript = `
+local t = redis.call('HGET', KEYS[1], ARGV[1])
+if t and tonumber(t) > tonumber(ARGV[2]) then return 0 end
+redis.call('HMSET', KEYS[1], unpack(ARGV, 3))
+return 1
+`;
+
+function RedisIndex(options, logger)
+{
+    var client;
+    var subscriber;
+    const listeners = new Map();    /* sets of listeners by channel */
+
+    this.zadd = (key, score, member, cb) => {
+        client.zadd([key, score, member], cb);
+    };
+
+    this.zrem = (key, members, cb) => {
+        client.zrem([key].concat(members), cb);
+    };
+
+    this.zincrby = (key, increment, member, cb) => {
+        client.zincrby(key, increment, member, (err, score) => {
+            if (err) return cb(err);
+            cb(null, +score);
+        });
+    };
+
+    this.zscore = (key, member, cb) => {
+        client.zscore(key, member, (err, score) => {
+            if (err) return cb(err);
+            cb(null, score == null ? null : +score);
+        });
+    };
+
+    this.zcard = (key, cb) => {
+        client.zcard(key, (err, n) => {
+            if (err) return cb(err);
+            cb(null, +n);
+        });
+    };
+
+    this.zrange = (key, start, stop, cb) => {
+        client.zrange([key, start, stop], cb);
+    };
+
+    this.zrevrange = (key, start, stop, cb) => {
+        client.zrevrange([key, start, stop], cb);
+    };
+
+    this.zrangeWithScores = (key, start, stop, cb) => {
+        client.zrange([key, start, stop, 'withscores'], (err, reply) => {
+            if (err) return cb(err);
+            const result = [];
+            for (var i = 0; i < reply.length; i += 2)
+                result.push({ member: reply[i], score: +reply[i + 1] });
+            cb(null, result);
+        });
+    };
+
+    this.zrangebyscore = (key, min, max, cb) => {
+        client.zrangebyscore([key, min, max], cb);
+    };
+
+    this.zrevrangebyscore = (key, max, min, count, cb) => {
+        const args = [key, max, min];
+        if (count != null) args.push('limit', 0, count);
+        client.zrevrangebyscore(args, cb);
+    };
+
+    this.hget = (key, field, cb) => {
+        client.hget(key, field, cb);
+    };
+
+    this.hgetall = (key, cb) => {
+        client.hgetall(key, cb);
+    };
+
+    this.hmset = (key, fields, cb) => {
+        client.hmset(key, fields, cb);
+    };
+
+    this.hset = (key, field, value, cb) => {
+        client.hset(key, field, value, cb);
+    };
+
+    this.hdel = (key, fields, cb) => {
+        client.hdel([key, ...[].concat(fields)], cb);
+    };
+
+    this.get = (key, cb) => {
+        client.get(key, cb);
+    };
+
+    this.set = (key, value, cb) => {
+        client.set(key, value, cb);
+    };
+
+    this.del = (keys, cb) => {
+        client.del([].concat(keys), cb);
+    };
+
+    this.exists = (key, cb) => {
+        client.exists(key, (err, n) => {
+            if (err) return cb(err);
+            cb(null, +n > 0);
+        });
+    };
+
+    this.batch = () => {
+        const multi = client.multi();
+        const batch = {
+            zadd: (key, score, member) => multi.zadd(key, score, member),
+            zrem: (key, members) => multi.zrem([key].concat(members)),
+            zincrby: (key, increment, member) => multi.zincrby(key, increment, member),
+            hmset: (key, fields) => multi.hmset(key, fields),
+            hmsetIfNewer: (key, timeField, time, fields) =>
+                multi.eval(hmsetIfNewerScript, 1, key, timeField, time,
+                    ...Object.entries(fields).flat()),
+            hset: (key, field, value) => multi.hset(key, field, value),
+            hdel: (key, fields) => multi.hdel([key, ...[].concat(fields)]),
+            set: (key, value) => multi.set(key, value),
+            del: keys => multi.del([].concat(keys)),
+            exec: cb => multi.exec(err => cb(err)),
+        };
+        return batch;
+    };
+
+    this.publish = (channel, message, cb) => {
+        client.publish(channel, message, cb);
+    };
+
+    const dispatch = (subscribed, channel, message) => {
+        const set = listeners.get(subscribed);
+        if (set) set.forEach(listener => listener(message, channel));
+    };
+
+    /* messages are received on a connection of their own */
+    this.subscribe = (channel, listener) => {
+        const pattern = channel.endsWith('*');
+
+        if (! subscriber) {
+            subscriber = client.duplicate();
+            subscriber.on('error', err => {
+                logger.error(err);
+            });
+            subscriber.on('message', (channel, message) => {
+                dispatch(channel, channel, message);
+            });
+            subscriber.on('pmessage', (pattern, channel, message) => {
+                dispatch(pattern, channel, message);
+            });
+        }
+        if (! listeners.has(channel)) {
+            listeners.set(channel, new Set());
+            if (pattern)
+                subscriber.psubscribe(channel);
+            else
+                subscriber.subscribe(channel);
+        }
+        listeners.get(channel).add(listener);
+
+        return () => {
+            const set = listeners.get(channel);
+            if (! set || ! set.delete(listener) || set.size) return;
+            listeners.delete(channel);
+            if (pattern)
+                subscriber.punsubscribe(channel);
+            else
+                subscriber.unsubscribe(channel);
+        };
+    };
+
+    this.quit = () => {
+        if (subscriber) subscriber.quit();
+        client.quit();
+    };
+
+    return (function (index) {
+        const redisOptions = {};
+        if (options.redisDb != null) redisOptions.db = +options.redisDb;
+        client = options.redisUrl
+            ? redis.createClient(options.redisUrl, redisOptions)
+            : redis.createClient(redisOptions);
+        client.on('error', err => {
+            logger.error(err);
+        });
+
+        return index;
+    }(this));
+}
+
+module.exports = RedisIndex;
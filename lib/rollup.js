@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Rollups
+ * =======
+ *
+ * A rollup aggregates the samples of a metric in a period.  Only good samples,
+ * i.e., those of status 0, are aggregated, by their real values (value *
+ * 10^scale), while the others are only counted.  Samples of strings are not
+ * rolled up at all.
+ *
+ * min, max     of the real values, null if there is no good sample
+ * sum          of the real values
+ * count        number of the good samples
+ * bad          number of the samples of other status
+ *
+ * Rollups are made hourly, in the form of { <hour>: { <metric id>: rollup } }
+ * where hour is the start of the hour in epoch seconds, and are combined to
+ * coarser periods from that.
+ */
+
+/*
+ * by the decimal notation to avoid errors of floating multiplication, in which
+ * a value may already have an exponent, e.g., a double of 1e-7
+ */
+const realValue = (value, scale) => {
+    if (! scale) return Number(value);
+    const [mantissa, exponent] = String(value).split(/e/i);
+    return Number(`${mantissa}e${(+exponent || 0) + scale}`);
+};
+
+const emptyRollup = () => ({ min: null, max: null, sum: 0, count: 0, bad: 0 });
+
+const addSample = (r, m) => {
+    if (m.status) {
+        ++r.bad;
+        return;
+    }
+    const v = realValue(m.value, m.scale);
+    r.min = r.min == null ? v : Math.min(r.min, v);
+    r.max = r.max == null ? v : Math.max(r.max, v);
+    r.sum += v;
+    ++r.count;
+};
+
+const mergeRollup = (into, r) => {
+    if (r.min != null) into.min = into.min == null ? r.min : Math.min(into.min, r.min);
+    if (r.max != null) into.max = into.max == null ? r.max : Math.max(into.max, r.max);
+    into.sum += r.sum;
+    into.count += r.count;
+    into.bad += r.bad;
+};
+
+/**
+ * Roll up samples hourly.  A sample is a metric with its ticktime in epoch
+ * seconds, as given by FfcModel.projectMetrics.
+ */
+const rollupSamples = samples => {
+    const hourly = {};
+    for (const m of samples) {
+        if (m.type == 'string') continue;
+        const hour = m.ticktime - m.ticktime % 3600;
+        if (! hourly[hour]) hourly[hour] = {};
+        if (! hourly[hour][m.id]) hourly[hour][m.id] = emptyRollup();
+        addSample(hourly[hour][m.id], m);
+    }
+    return hourly;
+};
+
+/**
+ * Combine hourly rollups to periods.  periodOf(hour) gives the start of the
+ * period of an hour, both in epoch seconds.  Gives a list of { start, id, min,
+ * max, avg, sum, count, bad } in order of start and then id.  An empty
+ * metricIdList means all the metrics.
+ */
+const combineRollups = (hourlyList, periodOf, metricIdList) => {
+    const periods = new Map();
+
+    for (const hourly of hourlyList) {
+        for (const hour of Object.keys(hourly)) {
+            const start = periodOf(+hour);
+            if (! periods.has(start)) periods.set(start, new Map());
+            const metrics = periods.get(start);
+
+            for (const id of Object.keys(hourly[hour])) {
+                if (metricIdList.length && ! metricIdList.includes(+id)) continue;
+                if (! metrics.has(+id)) metrics.set(+id, emptyRollup());
+                mergeRollup(metrics.get(+id), hourly[hour][id]);
+            }
+        }
+    }
+
+    const result = [];
+    for (const start of Array.from(periods.keys()).sort((a, b) => a - b)) {
+        const metrics = periods.get(start);
+        for (const id of Array.from(metrics.keys()).sort((a, b) => a - b)) {
+            const r = metrics.get(id);
+            result.push({
+                start,
+                id,
+                min: r.min,
+                max: r.max,
+                avg: r.count ? r.sum / r.count : null,
+                sum: r.sum,
+                count: r.count,
+                bad: r.bad,
+            });
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    realValue,
+    rollupSamples,
+    combineRollups,
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const path = require('path');
+const protobuf = require('protobufjs');
+const { crc32 } = require('crc');
+
+/**
+ * Segment
+ * =======
+ *
+ * A segment holds the ticks of a level 1 block of a device in a single file,
+ * compacted column by column, of which the content is
+ *
+ * header       'FFCS', version (uint16), reserved (uint16), crc32 of the
+ *              encoded Segment (uint32)
+ * payload      the encoded Segment, see data/dev-state.proto
+ *
+ * All integers are big endian.  The ticks are in ascending order of ticktime,
+ * which is kept as the ticktime of the first tick and the deltas of the
+ * others, i.e., the time index.  Every metric id has a column of its samples,
+ * in the same order, which tells the ticks it was sampled in by the deltas of
+ * their numbers.  The values of a column are kept by type, so that integers
+ * are in integers, e.g., the n-th integer sample of a column is in the n-th of
+ * values and of scales.
+ *
+ * A tick is { ticktime, devState } where ticktime is in epoch seconds and
+ * devState is in the shape of dev-state.js.
+ */
+
+const magic = Buffer.from('FFCS');
+const version = 1;
+const headerSize = 12;
+
+/* name of the segment in the directory of a block of a device */
+const filename = 'segment.fcs';
+
+const types = ['int', 'double', 'string'];
+const qualities = ['good', 'uncertain', 'bad'];
+
+/* an integer in a Number if it is safe, otherwise in a string */
+const toInt = v => {
+    if (v == null) return 0;
+    return Number.isSafeInteger(+v) ? +v : String(v);
+};
+
+var spec = null;
+const loadSpec = cb => {
+    if (spec) return cb(null, spec);
+    protobuf.load(path.join(__dirname, '../data/dev-state.proto'), (err, root) => {
+        if (err) return cb(err);
+        spec = root.lookupType('Segment');
+        cb(null, spec);
+    });
+};
+
+const newColumn = id => ({
+    id,
+    ticks: [],
+    statuses: [],
+    types: [],
+    values: [],
+    scales: [],
+    reals: [],
+    texts: [],
+    timestamps: [],
+    qualities: [],
+    last: 0,
+});
+
+const toSegment = (devid, ticks) => {
+    const sorted = [...ticks].sort((a, b) => a.ticktime - b.ticktime);
+    const columns = new Map();
+    const deltas = [];
+    const timestamps = [];
+
+    sorted.forEach(({ ticktime, devState }, i) => {
+        deltas.push(i ? ticktime - sorted[i - 1].ticktime : 0);
+        timestamps.push((devState.timestamp || 0) - ticktime);
+
+        for (const m of devState.metrics) {
+            if (! columns.has(m.id)) columns.set(m.id, newColumn(m.id));
+            const c = columns.get(m.id);
+            c.ticks.push(i - c.last);
+            c.last = i;
+            c.statuses.push(m.status || 0);
+            c.types.push(types.indexOf(m.type || 'int'));
+            if (m.type == 'double')
+                c.reals.push(m.value);
+            else if (m.type == 'string')
+                c.texts.push(m.value);
+            else {
+                c.values.push(m.value);
+                c.scales.push(m.scale || 0);
+            }
+            c.timestamps.push(m.timestamp || 0);
+            c.qualities.push(qualities.indexOf(m.quality) + 1);
+        }
+    });
+
+    return {
+        devid,
+        base: sorted.length ? sorted[0].ticktime : 0,
+        deltas,
+        timestamps,
+        columns: Array.from(columns.keys()).sort((a, b) => a - b).map(id => {
+            const { last, ...column } = columns.get(id);
+            return column;
+        }),
+    };
+};
+
+const fromSegment = o => {
+    const ticks = [];
+    var ticktime = o.base || 0;
+
+    (o.deltas || []).forEach((delta, i) => {
+        ticktime += delta;
+        ticks.push({
+            ticktime,
+            devState: {
+                devid: o.devid || 0,
+                timestamp: ticktime + +((o.timestamps || [])[i] || 0),
+                metrics: [],
+            },
+        });
+    });
+
+    for (const c of o.columns || []) {
+        const at = { values: 0, reals: 0, texts: 0 };
+        var n = 0;
+        (c.ticks || []).forEach((delta, i) => {
+            n += delta;
+            const tick = ticks[n];
+            if (! tick) throw Error(`bad tick ${n} of metric ${c.id}`);
+
+            const type = types[(c.types || [])[i] || 0];
+            const metric = { id: c.id || 0, status: (c.statuses || [])[i] || 0, type };
+            if (type == 'double') {
+                metric.value = c.reals[at.reals++];
+                metric.scale = 0;
+            } else if (type == 'string') {
+                metric.value = c.texts[at.texts++];
+                metric.scale = 0;
+            } else {
+                metric.value = toInt(c.values[at.values]);
+                metric.scale = (c.scales || [])[at.values++] || 0;
+            }
+            if (c.timestamps && c.timestamps[i]) metric.timestamp = c.timestamps[i];
+            const quality = qualities[((c.qualities || [])[i] || 0) - 1];
+            if (quality) metric.quality = quality;
+            tick.devState.metrics.push(metric);
+        });
+    }
+    return ticks;
+};
+
+/**
+ * Encode the ticks of a device as the content of a segment.
+ */
+const encodeSegment = (devid, ticks, cb) => {
+    loadSpec((err, spec) => {
+        if (err) return cb(err);
+
+        var encoded;
+        try {
+            encoded = spec.encode(spec.fromObject(toSegment(devid, ticks))).finish();
+        } catch (err) {
+            return cb(err);
+        }
+
+        const header = Buffer.alloc(headerSize);
+        magic.copy(header);
+        header.writeUInt16BE(version, 4);
+        header.writeUInt32BE(crc32(encoded), 8);
+        cb(null, Buffer.concat([header, encoded]));
+    });
+};
+
+/**
+ * Decode the content of a segment as { devid, ticks }.  name tells where the
+ * content came from.  Fails with code ECHKSUM if the checksum is wrong.
+ */
+const decodeSegment = (buf, name, cb) => {
+    loadSpec((err, spec) => {
+        if (err) return cb(err);
+
+        if (buf.length < headerSize || ! buf.slice(0, 4).equals(magic))
+            return cb(Error(`not a segment ${name}`));
+        const v = buf.readUInt16BE(4);
+        if (v != version) return cb(Error(`unknown version ${v} of ${name}`));
+        const data = buf.slice(headerSize);
+        if (buf.readUInt32BE(8) != crc32(data)) {
+            const err = Error('chksum error on file ' + name);
+            err.code = 'ECHKSUM';
+            return cb(err);
+        }
+
+        var result;
+        try {
+            const o = spec.toObject(spec.decode(data), { longs: String });
+            result = { devid: o.devid || 0, ticks: fromSegment(o) };
+        } catch (err) {
+            return cb(err);
+        }
+        cb(null, result);
+    });
+};
+
+module.exports = {
+    filename,
+    encodeSegment,
+    decodeSegment,
+};
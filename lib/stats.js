@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Operational Stats
+ * =================
+ *
+ * What a model has done since it was created, in the process it runs in.
+ * There are counters, and histograms of which a value is counted in every
+ * bucket it is less than or equal to, as Prometheus does.
+ *
+ * putSeconds           latency of putDeviceState
+ * putBatchSeconds      latency of putDeviceStates
+ * projectSeconds       latency of projectMetrics
+ * spanSeconds          latency of getDeviceTimeSpan
+ * housekeepingSeconds  duration of housekeeping
+ * blocksPerQuery       number of blocks opened by a projection or a walk
+ *                      through a time range, e.g., getMetricSeries
+ * archiveExtractions   legacy archives extracted as level 2 blocks
+ * crcFailures          tick contents of a bad checksum
+ * level2Hits           legacy archives found already extracted
+ * compactedBlocks      level 1 blocks compacted into segments
+ *
+ * A snapshot of the stats is { since, counters, histograms } where since is
+ * when the stats began as an ISO string and a histogram is { count, sum,
+ * buckets } with buckets as a list of { le, count }, le being the upper
+ * bound, in ascending order.
+ */
+
+const latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const definitions = {
+    putSeconds: {
+        type: 'histogram',
+        help: 'Latency of putting a device state in seconds',
+        buckets: latencyBuckets,
+    },
+    putBatchSeconds: {
+        type: 'histogram',
+        help: 'Latency of putting a number of device states at once in seconds',
+        buckets: latencyBuckets,
+    },
+    projectSeconds: {
+        type: 'histogram',
+        help: 'Latency of projecting metrics in seconds',
+        buckets: latencyBuckets,
+    },
+    spanSeconds: {
+        type: 'histogram',
+        help: 'Latency of getting the time span of a device in seconds',
+        buckets: latencyBuckets,
+    },
+    housekeepingSeconds: {
+        type: 'histogram',
+        help: 'Duration of housekeeping in seconds',
+        buckets: [1, 5, 15, 60, 300, 900, 3600],
+    },
+    blocksPerQuery: {
+        type: 'histogram',
+        help: 'Number of blocks opened by a query',
+        buckets: [0, 1, 2, 4, 8, 16, 32, 64],
+    },
+    archiveExtractions: {
+        type: 'counter',
+        help: 'Legacy archives extracted as level 2 blocks',
+    },
+    crcFailures: {
+        type: 'counter',
+        help: 'Tick contents failed the checksum',
+    },
+    level2Hits: {
+        type: 'counter',
+        help: 'Legacy archives found extracted as level 2 blocks',
+    },
+    compactedBlocks: {
+        type: 'counter',
+        help: 'Level 1 blocks compacted into segments',
+    },
+};
+
+/* e.g., putSeconds to fm_put_seconds, counters with _total */
+const prometheusName = name => {
+    const snake = 'fm_' + name.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+    return definitions[name].type == 'counter' ? snake + '_total' : snake;
+};
+
+const createStats = () => {
+    const since = new Date();
+    const counters = {};
+    const histograms = {};
+
+    for (const name of Object.keys(definitions)) {
+        const def = definitions[name];
+        if (def.type == 'counter')
+            counters[name] = 0;
+        else
+            histograms[name] = { count: 0, sum: 0, buckets: def.buckets.map(() => 0) };
+    }
+
+    const count = (name, n) => {
+        counters[name] += n == null ? 1 : n;
+    };
+
+    const observe = (name, value) => {
+        const h = histograms[name];
+        ++h.count;
+        h.sum += value;
+        definitions[name].buckets.forEach((le, i) => {
+            if (value <= le) ++h.buckets[i];
+        });
+    };
+
+    /* cb wrapped to observe the seconds till it is called */
+    const timed = (name, cb) => {
+        const start = process.hrtime.bigint();
+        return (...args) => {
+            observe(name, Number(process.hrtime.bigint() - start) / 1e9);
+            cb(...args);
+        };
+    };
+
+    const snapshot = () => {
+        const result = { since: since.toISOString(), counters: { ...counters }, histograms: {} };
+        for (const name of Object.keys(histograms)) {
+            const h = histograms[name];
+            const buckets = definitions[name].buckets.map((le, i) => ({ le, count: h.buckets[i] }));
+            result.histograms[name] = { count: h.count, sum: h.sum, buckets };
+        }
+        return result;
+    };
+
+    return { count, observe, timed, snapshot };
+};
+
+/**
+ * Format a snapshot of the stats in the Prometheus text exposition format.
+ */
+const toPrometheus = snapshot => {
+    const lines = [];
+
+    for (const name of Object.keys(definitions)) {
+        const def = definitions[name];
+        const pname = prometheusName(name);
+        lines.push(`# HELP ${pname} ${def.help}`);
+        lines.push(`# TYPE ${pname} ${def.type}`);
+
+        if (def.type == 'counter') {
+            lines.push(`${pname} ${snapshot.counters[name] || 0}`);
+            continue;
+        }
+        const h = snapshot.histograms[name] || { count: 0, sum: 0, buckets: [] };
+        for (const { le, count } of h.buckets)
+            lines.push(`${pname}_bucket{le="${le}"} ${count}`);
+        lines.push(`${pname}_bucket{le="+Inf"} ${h.count}`);
+        lines.push(`${pname}_sum ${h.sum}`);
+        lines.push(`${pname}_count ${h.count}`);
+    }
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {
+    definitions,
+    createStats,
+    toPrometheus,
+};
@@ -25,6 +25,11 @@ const argv = require('yargs')
         describe: 'save device state json file',
         type: 'boolean'
     })
+    .option('c', {
+        alias: 'config',
+        describe: 'model config file in JSON',
+        nargs: 1,
+    })
     .argv;
 
 const devid = argv._[0];
@@ -42,7 +47,13 @@ if (time == null) {
 
 const ticktime = new Date(time * 1000);
 const acqtime = new Date(ticktime.valueOf() + argv.delay * 1000);
-const model = new Model();
+var model;
+try {
+    model = new Model({ configFile: argv.config });
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 console.log(`acquiring device ${devid}`);
 ffcopr.acquire(model, devid, ticktime, acqtime, metricIdList, argv.json, err => {
@@ -1,16 +1,21 @@
 #!/usr/bin/node --harmony
 'use strict';
 
+const fs = require('fs');
+const http = require('http');
 const { spawn } = require('child_process');
 const readline = require('readline');
 const dateformat = require('dateformat');
 const Model = require('../lib/ffcmodel');
 const ffcopr = require('../lib/ffcopr');
+const FfcServer = require('../lib/ffcserver');
+const exporter = require('../lib/exporter');
+const importer = require('../lib/importer');
 
 const parseMetricsSpec = spec => {
     const metrics = new Set();
 
-    spec.split(',').forEach(def => {
+    String(spec).split(',').forEach(def => {
         if (isNaN(+def) && def.search('-') >= 0) {
             const start = +def.split('-')[0];
             const end = +def.split('-')[1];
@@ -30,6 +35,43 @@ const parseMetricsSpec = spec => {
     return metrics;
 };
 
+const createModel = (argv, options) => {
+    try {
+        return new Model({ configFile: argv.config, ...options });
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+};
+
+/**
+ * Call back with the metric ids of argv.metrics, which may have names in the
+ * metric catalog besides ids, e.g., 1-20,70,supply_temp.  Exit on a bad one.
+ */
+const withMetricList = (model, argv, cb) => {
+    if (argv.metrics == null) return cb([]);
+
+    const names = [];
+    const ids = [];
+    String(argv.metrics).split(',').forEach(def => {
+        if (/^[A-Za-z_]/.test(def))
+            names.push(def);
+        else
+            ids.push(def);
+    });
+    const metrics = ids.length ? parseMetricsSpec(ids.join(',')) : new Set();
+
+    model.resolveMetricIds(names, (err, resolved) => {
+        if (err) {
+            model.stop();
+            console.error(err.message);
+            process.exit(1);
+        }
+        resolved.forEach(id => metrics.add(id));
+        cb(Array.from(metrics));
+    });
+};
+
 const parseIntvlSpec = spec => {
     const intvl = spec.split(':')[0];
     const intvlSpec = { intvl, metrics: new Set() };
@@ -55,6 +97,7 @@ const schdAcqr = argv => {
 
             args.push('-m', metrics.join(','));
             if (argv.json) args.push('-j');
+            if (argv.config) args.push('-c', argv.config);
 
             const cmd = './bin/fmacqr';
             const cmdline = [cmd, ...args].join(' ');
@@ -67,7 +110,7 @@ const schdAcqr = argv => {
             rl.on('line', line => console.error(`dev ${devid} error: ${line}`));
         } else
             (function () {
-                const model = new Model();
+                const model = createModel(argv);
                 ffcopr.acquire(model,
                     devid,
                     ticktime,
@@ -82,8 +125,33 @@ const schdAcqr = argv => {
             }());
     }
 
+    /* one model shared by all the devices and ticks in batch mode */
+    const batchModel = argv.batch ? createModel(argv) : null;
+
+    const scheduleBatch = (ticktime, metrics, cb) => {
+        const acqtimeOf = () => new Date(ticktime.valueOf()
+            + Math.trunc(60 * Math.random()) * 1000);
+
+        ffcopr.acquireBatch(batchModel,
+            [...Array(argv.devices).keys()],
+            ticktime,
+            acqtimeOf,
+            metrics,
+            argv.json,
+            cb);
+    };
+
     const schedule = (ticktime, metrics, cb) => {
         const begin = new Date();
+        const done = err => {
+            const elapsed = new Date() - begin;
+            console.log(`acquired ${argv.devices} devices in ${elapsed} msecs.`
+                + ` avg ${Math.round(elapsed/argv.devices)} msecs/dev`);
+            cb(err);
+        };
+
+        if (argv.batch) return scheduleBatch(ticktime, metrics, done);
+
         (function serialAndParallel(all, cb) {
             const parallel = all.slice(0, argv.parallelNumber);
             if (! parallel.length) return cb(null);
@@ -104,12 +172,7 @@ const schdAcqr = argv => {
                         serialAndParallel(all.slice(argv.parallelNumber), cb);
                 });
             });
-        }([...Array(argv.devices).keys()], err => {
-            const elapsed = new Date() - begin;
-            console.log(`acquired ${argv.devices} devices in ${elapsed} msecs.`
-                + ` avg ${Math.round(elapsed/argv.devices)} msecs/dev`);
-            cb(err);
-        }));
+        }([...Array(argv.devices).keys()], done));
     };
 
     const startTime = new Date(argv.startTime);
@@ -150,6 +213,7 @@ const schdAcqr = argv => {
                 walkTime(nextMin, tickCnt, cb);
         }, 1);
     }(startTime, 0, (err, tickCnt) => {
+        if (batchModel) batchModel.stop();
         if (err)
             console.error(err);
         else
@@ -163,13 +227,87 @@ const housekeeping = argv => {
         return;
     }
 
-    const model = new Model();
-    model.housekeeping({ level1Blocks: argv.level1 }, err => {
+    if (argv.level2 != null && isNaN(+argv.level2)) {
+        console.error('bad level2 number');
+        return;
+    }
+    if (argv.level2Bytes != null && isNaN(+argv.level2Bytes)) {
+        console.error('bad level2 bytes');
+        return;
+    }
+
+    for (const name of ['level1Hours', 'archiveDays', 'quota']) {
+        if (argv[name] != null && ! (+argv[name] >= 0)) {
+            console.error(`bad ${name}`);
+            return;
+        }
+    }
+
+    const options = { level1Blocks: argv.level1 };
+    if (argv.level2 != null) options.level2Blocks = +argv.level2;
+    if (argv.level2Bytes != null) options.level2Bytes = +argv.level2Bytes;
+    if (argv.level1Hours != null) options.level1Hours = +argv.level1Hours;
+    if (argv.archiveDays != null) options.archiveDays = +argv.archiveDays;
+    if (argv.quota != null) options.quotaBytes = +argv.quota;
+    options.compact = argv.compact;
+
+    const model = createModel(argv);
+    model.housekeeping(options, (err, summary) => {
         model.stop();
-        if (err) console.error(err);
+        if (err) return console.error(err);
+        console.log(`archived ${summary.archivedBlocks} blocks by retention,`
+            + ` removed ${summary.removedArchives} archives`
+            + ` of ${summary.removedBytes} bytes`);
+        if (summary.overQuota) console.log('still over quota');
+        console.log(`compacted ${summary.compactedBlocks} blocks`);
     });
 };
 
+const retention = argv => {
+    const action = argv._[1] || 'show';
+    const devid = argv.device != null ? +argv.device : null;
+    const model = createModel(argv);
+
+    const done = err => {
+        model.stop();
+        if (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+    };
+
+    const describe = policy => ['level1Hours', 'archiveDays', 'quotaBytes']
+        .filter(name => policy[name] != null)
+        .map(name => `${name} ${policy[name]}`)
+        .join(' ') || 'none';
+
+    switch (action) {
+    case 'show':
+        return model.getRetentionPolicies((err, policies) => {
+            if (err) return done(err);
+            console.log(`global: ${describe(policies.global)}`);
+            Object.keys(policies.devices).sort((a, b) => a - b).forEach(devid => {
+                console.log(`device ${devid}: ${describe(policies.devices[devid])}`);
+            });
+            done(null);
+        });
+    case 'set':
+    case 'unset':
+        return model.setRetentionPolicy(devid, action == 'unset' ? {} : {
+            level1Hours: argv.level1Hours,
+            archiveDays: argv.archiveDays,
+            quotaBytes: argv.quota,
+        }, (err, policy) => {
+            if (err) return done(err);
+            console.log(`${devid == null ? 'global' : `device ${devid}`}:`
+                + ` ${describe(policy || {})}`);
+            done(null);
+        });
+    default:
+        done(Error(`unknown retention action ${action}`));
+    }
+};
+
 const projectMetrics = argv => {
     const devid = +argv._[1];
     const time = new Date(argv._[2]);
@@ -179,17 +317,19 @@ const projectMetrics = argv => {
         return;
     }
 
-    var metricList = [];
-    if (argv.metrics) metricList = Array.from(parseMetricsSpec(argv.metrics));
+    const options = { mode: argv.mode };
+    if (argv.maxAge != null) options.maxAge = +argv.maxAge;
 
     const timeStart = new Date();
-    const model = new Model();
-    model.projectMetrics(devid, time, metricList, (err, metrics) => {
-        model.stop();
-        const timeEnd = new Date();
-        if (err) console.err(err);
-        console.log('result ', metrics);
-        console.log('used ' + (timeEnd - timeStart) / 1000 + 's');
+    const model = createModel(argv);
+    withMetricList(model, argv, metricList => {
+        model.projectMetrics(devid, time, metricList, options, (err, metrics) => {
+            model.stop();
+            const timeEnd = new Date();
+            if (err) console.err(err);
+            console.log('result ', metrics);
+            console.log('used ' + (timeEnd - timeStart) / 1000 + 's');
+        });
     });
 };
 
@@ -203,7 +343,7 @@ const timeSpan = argv => {
     devid = +devid;
 
     const timeStart = new Date();
-    const model = new Model();
+    const model = createModel(argv);
     model.getDeviceTimeSpan(devid, (err, minTime, maxTime) => {
         model.stop();
         const timeEnd = new Date();
@@ -216,9 +356,517 @@ const timeSpan = argv => {
     });
 }
 
+const lastGoodValue = argv => {
+    var devid = argv._[1];
+
+    if (devid == null) {
+        console.error('no devid provided');
+        process.exit(1);
+    };
+    devid = +devid;
+
+    const model = createModel(argv);
+    withMetricList(model, argv, metricList => {
+        model.getDeviceLastGoodValue(devid, metricList, (err, lgv) => {
+            model.stop();
+            if (err) return console.error(err);
+            if (! lgv.lastTicktime) return console.log('no last good value');
+
+            console.log('ticktime: '
+                + dateformat(lgv.lastTicktime, 'UTC:yyyy-mm-dd HH:MM:ss Z'));
+            for (const m of lgv.metrics) {
+                var line = `${m.id}: value ${m.value} scale ${m.scale}`
+                    + ` status ${m.status}`
+                    + ' ticktime ' + dateformat(new Date(m.ticktime * 1000),
+                        'UTC:yyyy-mm-dd HH:MM:ss Z');
+                if (m.timestamp != null)
+                    line += ' timestamp ' + dateformat(new Date(m.timestamp * 1000),
+                        'UTC:yyyy-mm-dd HH:MM:ss Z');
+                console.log(line);
+            }
+        });
+    });
+};
+
+const removeDevice = argv => {
+    var devid = argv._[1];
+
+    if (devid == null) {
+        console.error('no devid provided');
+        process.exit(1);
+    };
+    devid = +devid;
+
+    const model = createModel(argv);
+    model.removeDevice(devid, { dryRun: argv.dryRun }, (err, plan) => {
+        model.stop();
+        if (err) return console.error(err);
+
+        const verb = argv.dryRun ? 'would remove' : 'removed';
+        plan.keys.forEach(key => console.log(`${verb} key ${key}`));
+        plan.l2Blocks.forEach(name =>
+            console.log(`${verb} level2 block ${name}`));
+        plan.dirs.forEach(dir => console.log(`${verb} dir ${dir}`));
+        if (plan.archiveDir)
+            console.log(`${verb} archive dir ${plan.archiveDir}`);
+    });
+};
+
+const metricSeries = argv => {
+    const devid = +argv._[1];
+    const from = new Date(argv._[2]);
+    const to = new Date(argv._[3]);
+
+    if (isNaN(from.valueOf()) || isNaN(to.valueOf())) {
+        console.error('invalid time');
+        return;
+    }
+
+    const timeStart = new Date();
+    const model = createModel(argv);
+    var n = 0;
+    withMetricList(model, argv, metricList => {
+        model.createMetricSeriesStream(devid, metricList, from, to)
+            .on('data', m => {
+                ++n;
+                console.log(dateformat(new Date(m.ticktime * 1000),
+                    'UTC:yyyy-mm-dd HH:MM:ss Z')
+                    + ` ${m.id}: value ${m.value} scale ${m.scale}`
+                    + ` status ${m.status}`);
+            })
+            .on('error', err => {
+                model.stop();
+                console.error(err);
+                process.exit(1);
+            })
+            .on('end', () => {
+                model.stop();
+                console.log(`${n} samples`);
+                console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+            });
+    });
+};
+
+const rollups = argv => {
+    const devid = +argv._[1];
+    const from = new Date(argv._[2]);
+    const to = new Date(argv._[3]);
+
+    if (isNaN(from.valueOf()) || isNaN(to.valueOf())) {
+        console.error('invalid time');
+        return;
+    }
+
+    const timeStart = new Date();
+    const model = createModel(argv);
+    withMetricList(model, argv, metricList => {
+        model.getRollups(devid, metricList, from, to, argv.granularity, (err, list) => {
+            model.stop();
+            if (err) return console.error(err);
+            for (const r of list) {
+                console.log(dateformat(new Date(r.start * 1000), 'UTC:yyyy-mm-dd HH:MM Z')
+                    + ` ${r.id}: min ${r.min} max ${r.max} avg ${r.avg} sum ${r.sum}`
+                    + ` count ${r.count} bad ${r.bad}`);
+            }
+            console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+        });
+    });
+};
+
+const gapReport = argv => {
+    const from = new Date(argv._[1]);
+    const to = new Date(argv._[2]);
+
+    if (isNaN(from.valueOf()) || isNaN(to.valueOf())) {
+        console.error('invalid time');
+        process.exit(1);
+    }
+
+    const devices = argv.devices != null
+        ? Array.from(parseMetricsSpec(String(argv.devices))) : [];
+    var intervals;
+    if (argv.intvl) {
+        intervals = {};
+        argv.intvl.forEach(spec => {
+            const { intvl, metrics } = parseIntvlSpec(String(spec));
+            if (! (+intvl > 0)) {
+                console.error('invalid interval ' + intvl);
+                process.exit(1);
+            }
+            for (const m of metrics) intervals[m] = +intvl * 60;
+        });
+    }
+
+    const timeStamp = t => dateformat(new Date(t * 1000), 'UTC:yyyy-mm-dd HH:MM Z');
+    const printMetric = (r, prefix) => {
+        console.log(`${prefix}${r.id}: ${r.completeness == null ? '-' : r.completeness + '%'}`
+            + ` present ${r.present} missing ${r.missing} of ${r.expected}`
+            + ` every ${r.interval}s, ${r.gaps} gaps`);
+        r.longestGaps.forEach(g => {
+            console.log(`${prefix}    ${g.devid != null ? `device ${g.devid} ` : ''}`
+                + `${timeStamp(g.from)} - ${timeStamp(g.to)}: ${g.ticks} ticks`);
+        });
+    };
+
+    const timeStart = new Date();
+    const model = createModel(argv);
+    withMetricList(model, argv, metricList => {
+        const options = { intervals, metricIdList: metricList, top: argv.top };
+        model.getGapReport(devices, from, to, options, (err, report) => {
+            model.stop();
+            if (err) {
+                console.error(err.message);
+                process.exit(1);
+            }
+            for (const { devid, metrics } of report.devices) {
+                console.log(`device ${devid}`);
+                metrics.forEach(r => printMetric(r, '  '));
+            }
+            if (report.devices.length > 1) {
+                console.log(`all ${report.devices.length} devices`);
+                report.metrics.forEach(r => printMetric(r, '  '));
+            }
+            console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+        });
+    });
+};
+
+const fsck = argv => {
+    const model = createModel(argv);
+    model.checkConsistency({ repair: argv.repair }, (err, report) => {
+        model.stop();
+        if (err) {
+            console.error(err);
+            process.exit(1);
+        }
+        console.log(JSON.stringify(report, null, 2));
+        if (report.problems.some(p => ! p.repaired)) process.exitCode = 1;
+    });
+};
+
+const reindex = argv => {
+    const timeStart = new Date();
+    const model = createModel(argv);
+    const options = {
+        restart: argv.restart,
+        onProgress: ({ devid, done, total }) => {
+            console.log(`reindexed device ${devid} (${done}/${total})`);
+        },
+    };
+
+    model.rebuildIndex(options, (err, result) => {
+        model.stop();
+        if (err) return console.error(err);
+        console.log(`reindexed ${result.devices} devices`);
+        console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+    });
+};
+
+const rearchive = argv => {
+    const timeStart = new Date();
+    const model = createModel(argv);
+    const options = {
+        onProgress: ({ devid, block, done, total }) => {
+            console.log(`converted block ${block} of device ${devid}`
+                + ` (${done}/${total})`);
+        },
+    };
+
+    model.convertArchives(options, (err, result) => {
+        model.stop();
+        if (err) return console.error(err);
+        console.log(`converted ${result.converted} archives,`
+            + ` ${result.failed} failed`);
+        console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+        if (result.failed) process.exitCode = 1;
+    });
+};
+
+const migrate = argv => {
+    const hours = +argv.blockHours;
+    if (! Number.isInteger(hours) || hours <= 0 || 24 % hours) {
+        console.error('bad block hours, which has to divide 24');
+        process.exit(1);
+    }
+
+    const timeStart = new Date();
+    const model = createModel(argv, { adoptStoredLayout: true });
+    const options = {
+        onProgress: ({ devid, done, total }) => {
+            console.log(`copied device ${devid} (${done}/${total})`);
+        },
+    };
+
+    model.migrateBlockHours(hours, options, (err, result) => {
+        model.stop();
+        if (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`migrated ${result.devices} devices to ${result.blocks} level1 blocks`
+            + ` and ${result.archives} archives of ${hours} hours`);
+        console.log(`set FM_HOURS_PER_BLOCK, or blockHours in the config, to ${hours}`);
+        console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+    });
+};
+
+const exportSeries = argv => {
+    const from = new Date(argv._[1]);
+    const to = new Date(argv._[2]);
+
+    if (isNaN(from.valueOf()) || isNaN(to.valueOf())) {
+        console.error('invalid time');
+        process.exit(1);
+    }
+
+    const timeStart = new Date();
+    const model = createModel(argv);
+    withMetricList(model, argv, metricList => {
+        const options = {
+            devices: Array.from(parseMetricsSpec(String(argv.devices))),
+            metricIdList: metricList,
+            from,
+            to,
+            format: argv.format,
+            real: argv.real,
+        };
+
+        const out = argv.output ? fs.createWriteStream(argv.output) : process.stdout;
+        exporter.exportSeries(model, options, out, (err, rows) => {
+            model.stop();
+            if (err) {
+                console.error(err);
+                process.exit(1);
+            }
+            if (! argv.output) return;
+            out.end(() => {
+                console.log(`exported ${rows} samples to ${argv.output}`);
+                console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+            });
+        });
+    });
+};
+
+const importFiles = argv => {
+    const paths = argv._.slice(1).map(String);
+    if (! paths.length) {
+        console.error('no file provided');
+        process.exit(1);
+    }
+
+    const timeStart = new Date();
+    const options = {
+        backdate: argv.backdate,
+        dryRun: argv.dryRun,
+        onProgress: ({ source, done, total }) => {
+            console.log(`imported ${source} (${done}/${total})`);
+        },
+    };
+
+    const model = createModel(argv);
+    importer.importFiles(model, paths, options, (err, report) => {
+        model.stop();
+        if (err) {
+            console.error(err);
+            process.exit(1);
+        }
+
+        report.rejected.forEach(({ source, reason }) =>
+            console.log(`rejected ${source}: ${reason}`));
+        const verb = argv.dryRun ? 'would import' : 'imported';
+        console.log(`${verb} ${report.imported} of ${report.records} device states,`
+            + ` ${report.duplicates} duplicates, ${report.rejected.length} rejected`);
+        console.log('used ' + (new Date() - timeStart) / 1000 + 's');
+        if (report.rejected.length) process.exitCode = 1;
+    });
+};
+
+const metricCatalog = argv => {
+    const action = argv._[1] || 'list';
+    const model = createModel(argv);
+
+    const done = err => {
+        model.stop();
+        if (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+    };
+
+    const printDefinition = def => {
+        var line = `${def.id} ${def.name}: kind ${def.kind}`;
+        if (def.unit) line += ` unit ${def.unit}`;
+        if (def.interval != null) line += ` interval ${def.interval}s`;
+        if (def.min != null) line += ` min ${def.min}`;
+        if (def.max != null) line += ` max ${def.max}`;
+        console.log(line);
+    };
+
+    const defineAll = (defs, cb) => {
+        (function walkDefinitions(list) {
+            if (! list.length) return cb(null);
+            model.defineMetric(list[0], (err, def) => {
+                if (err) return cb(err);
+                printDefinition(def);
+                walkDefinitions(list.slice(1));
+            });
+        }(defs));
+    };
+
+    switch (action) {
+    case 'list':
+        return model.getCatalog((err, defs) => {
+            if (err) return done(err);
+            defs.forEach(printDefinition);
+            done(null);
+        });
+    case 'define':
+        return defineAll([{
+            id: argv._[2],
+            name: argv._[3],
+            unit: argv.unit,
+            kind: argv.kind,
+            interval: argv.interval,
+            min: argv.min,
+            max: argv.max,
+        }], done);
+    case 'undefine':
+        return model.undefineMetric(String(argv._[2]), (err, removed) => {
+            if (err) return done(err);
+            console.log(removed ? `undefined metric ${argv._[2]}`
+                : `metric ${argv._[2]} not in catalog`);
+            done(null);
+        });
+    case 'load':
+        return fs.readFile(String(argv._[2]), (err, buf) => {
+            if (err) return done(err);
+            var defs;
+            try {
+                defs = JSON.parse(buf);
+            } catch (err) {
+                return done(Error(`bad catalog file ${argv._[2]}: ${err.message}`));
+            }
+            if (! Array.isArray(defs))
+                return done(Error(`bad catalog file ${argv._[2]}: not a list`));
+            defineAll(defs, done);
+        });
+    default:
+        done(Error(`unknown catalog action ${action}`));
+    }
+};
+
+const serve = argv => {
+    const model = createModel(argv);
+    const server = new FfcServer(model, {
+        logger: {
+            debug: () => {},
+            info: (...args) => console.log(...args),
+            error: err => console.error(err),
+        },
+    });
+
+    const stop = () => {
+        server.close(() => {
+            model.stop();
+        });
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    server.listen(+argv.port, argv.host, () => {
+        const { address, port } = server.address();
+        console.log(`serving on ${address}:${port}`);
+    });
+};
+
+/*
+ * The stats are of the model in the process that runs it, so they are fetched
+ * from fmcli serve.
+ */
+const stats = argv => {
+    const url = argv.url.replace(/\/+$/, '') + (argv.prometheus ? '/metrics' : '/stats');
+
+    http.get(url, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            if (res.statusCode != 200) {
+                console.error(`${url}: ${res.statusCode} ${body}`);
+                process.exit(1);
+            }
+            if (argv.prometheus) return process.stdout.write(body);
+
+            const { since, counters, histograms } = JSON.parse(body);
+            console.log('since ' + since);
+            for (const name of Object.keys(counters))
+                console.log(`${name}: ${counters[name]}`);
+            for (const name of Object.keys(histograms)) {
+                const h = histograms[name];
+                const avg = h.count ? Math.round(h.sum / h.count * 1000) / 1000 : '-';
+                console.log(`${name}: count ${h.count} avg ${avg} `
+                    + h.buckets.map(({ le, count }) => `<=${le}:${count}`).join(' '));
+            }
+        });
+    }).on('error', err => {
+        console.error(`${url}: ${err.message}`);
+        process.exit(1);
+    });
+};
+
+/* print the events of the model as they come, see Events in ffcmodel.js */
+const tail = argv => {
+    const devid = argv._[1] == null ? null : +argv._[1];
+    if (devid != null && isNaN(devid)) {
+        console.error('invalid devid ' + argv._[1]);
+        process.exit(1);
+    }
+
+    const model = createModel(argv);
+    /* which would only see its own events, and lock out those making them */
+    if (model.hasEmbeddedIndex()) {
+        model.stop();
+        console.error('tail needs a Redis server (index redis), since events of'
+            + ' the embedded index are only seen in the process making them');
+        process.exit(1);
+    }
+
+    const unsubscribe = model.subscribe(devid, event => {
+        if (argv.json) return console.log(JSON.stringify(event));
+
+        var line = `${event.devid} ${event.type}`;
+        if (event.block != null) line += ` block ${event.block}`;
+        if (event.ticktime != null)
+            line += ' ' + dateformat(new Date(event.ticktime * 1000),
+                'UTC:yyyy-mm-dd HH:MM:ss Z');
+        if (event.backdated) line += ' backdated';
+        if (event.type == 'lgv')
+            line += ' metrics ' + event.metrics.join(',');
+        else if (event.metrics)
+            line += ' ' + event.metrics.map(m => `${m.id}:${m.status}:`
+                + (m.type == 'int' ? `${m.value}e${m.scale}` : JSON.stringify(m.value)))
+                .join(' ');
+        console.log(line);
+    });
+
+    const stop = () => {
+        unsubscribe();
+        model.stop();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+};
+
 require('yargs') 
     .scriptName('fmcli')
     .usage('$0 <cmd> [options] [args]')
+    .option('c', {
+        alias: 'config',
+        describe: 'model config file in JSON',
+        nargs: 1,
+        global: true,
+    })
     .command('acqr', 'schedule acquisition', yargs => {
         yargs.option('t', {
             alias: 'ticks',
@@ -263,6 +911,11 @@ require('yargs')
             describe: 'max number of devices can be acquired parallelly',
             nargs: 1,
             default: 24,
+        })
+        .option('b', {
+            alias: 'batch',
+            describe: 'put all devices of a tick in a batch, without forking',
+            type: 'boolean',
         });
     }, schdAcqr)
     .command('clean', 'housekeeping the model', yargs => {
@@ -272,12 +925,80 @@ require('yargs')
             nargs: 1,
             default: 7,
         })
+        .option('b', {
+            alias: 'level2',
+            describe: 'max number of opened archive blocks to keep in level2',
+            nargs: 1,
+        })
+        .option('B', {
+            alias: 'level2Bytes',
+            describe: 'max bytes of opened archive blocks to keep in level2',
+            nargs: 1,
+        })
+        .option('H', {
+            alias: 'level1Hours',
+            describe: 'hours to keep level1 blocks, overriding the global retention',
+            nargs: 1,
+        })
+        .option('D', {
+            alias: 'archiveDays',
+            describe: 'days to keep archives, overriding the global retention',
+            nargs: 1,
+        })
+        .option('q', {
+            alias: 'quota',
+            describe: 'disk quota in bytes, overriding the global retention',
+            nargs: 1,
+        })
+        .option('compact', {
+            describe: 'compact level1 blocks before the current one into segments,'
+                + ' --no-compact not to',
+            type: 'boolean',
+            default: true,
+        })
     }, housekeeping)
+    .command('retention', 'show, set or unset retention policies', yargs => {
+        yargs.option('d', {
+            alias: 'device',
+            describe: 'device of the policy, the global one if not given',
+            nargs: 1,
+        })
+        .option('H', {
+            alias: 'level1Hours',
+            describe: 'hours to keep level1 blocks',
+            nargs: 1,
+        })
+        .option('D', {
+            alias: 'archiveDays',
+            describe: 'days to keep archives',
+            nargs: 1,
+        })
+        .option('q', {
+            alias: 'quota',
+            describe: 'disk quota in bytes',
+            nargs: 1,
+        })
+        .positional('action', {
+            describe: 'show; set, replacing the policy; unset',
+        })
+    }, retention)
     .command('project', 'project metrics', yargs => {
         yargs.option('m', {
             alias: 'metrics',
-            describe: 'list of comma separated list of metric IDs.\n'
-                + 'E.g., -m 1,3,5 ; -m 1-20,70',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .option('M', {
+            alias: 'mode',
+            describe: 'projection mode',
+            choices: Model.projectionModes,
+            default: 'previous',
+            nargs: 1,
+        })
+        .option('a', {
+            alias: 'maxAge',
+            describe: 'max distance in seconds to a sample projected from',
             nargs: 1,
         })
         .positional('device', {
@@ -293,4 +1014,242 @@ require('yargs')
             describe: 'device identity',
         })
     }, timeSpan)
+    .command('series', 'get all samples in a time range', yargs => {
+        yargs.option('m', {
+            alias: 'metrics',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .positional('device', {
+            describe: 'device identity',
+        })
+        .positional('from', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". Start of the range',
+        })
+        .positional('to', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". End of the range',
+        })
+    }, metricSeries)
+    .command('lgv', 'get last good value', yargs => {
+        yargs.option('m', {
+            alias: 'metrics',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .positional('device', {
+            describe: 'device identity',
+        })
+    }, lastGoodValue)
+    .command('rollup', 'get min/max/avg/sum/count of metrics by period', yargs => {
+        yargs.option('m', {
+            alias: 'metrics',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .option('g', {
+            alias: 'granularity',
+            describe: 'period of the rollups',
+            choices: ['hour', 'block', 'day'],
+            default: 'hour',
+        })
+        .positional('device', {
+            describe: 'device identity',
+        })
+        .positional('from', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". Start of the range',
+        })
+        .positional('to', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". End of the range',
+        })
+    }, rollups)
+    .command('gaps', 'report missing ticks and completeness of metrics', yargs => {
+        yargs.option('d', {
+            alias: 'devices',
+            describe: 'list of comma separated device identities, all if not'
+                + ' given.\nE.g., -d 1,3,5 ; -d 0-99',
+            nargs: 1,
+        })
+        .option('i', {
+            alias: 'intvl',
+            describe: 'acquisition interval in minutes, which followed by a\n'
+                + 'metric id list, as of acqr. Those in the catalog if not given.\n'
+                + 'Examples: -i 15:1-20 ; -i 5:21,70-79',
+            nargs: 1,
+            type: 'array',
+        })
+        .option('m', {
+            alias: 'metrics',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .option('t', {
+            alias: 'top',
+            describe: 'number of the longest gaps to show',
+            nargs: 1,
+            default: 5,
+        })
+        .positional('from', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". Start of the range',
+        })
+        .positional('to', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". End of the range',
+        })
+    }, gapReport)
+    .command('fsck', 'check consistency between index and data', yargs => {
+        yargs.option('r', {
+            alias: 'repair',
+            describe: 'repair the problems found',
+            type: 'boolean',
+        })
+    }, fsck)
+    .command('reindex', 'rebuild the index from the data directory', yargs => {
+        yargs.option('r', {
+            alias: 'restart',
+            describe: 'do not resume an interrupted reindexing but restart it',
+            type: 'boolean',
+        })
+    }, reindex)
+    .command('rearchive', 'convert tar archives to the native format', () => {},
+        rearchive)
+    .command('migrate', 'move the data to blocks of other hours', yargs => {
+        yargs.option('block-hours', {
+            describe: 'hours of a block, which has to divide 24.'
+                + ' An interrupted migration is finished by running it again',
+            nargs: 1,
+            demandOption: true,
+        })
+    }, migrate)
+    .command('rmdev', 'remove a device and all of its data', yargs => {
+        yargs.option('n', {
+            alias: 'dryRun',
+            describe: 'only list what would be removed',
+            type: 'boolean',
+        })
+        .positional('device', {
+            describe: 'device identity',
+        })
+    }, removeDevice)
+    .command('export', 'export samples of devices in a time range', yargs => {
+        yargs.option('d', {
+            alias: 'devices',
+            describe: 'list of comma separated device identities.\n'
+                + 'E.g., -d 1,3,5 ; -d 0-99',
+            demandOption: true,
+            nargs: 1,
+        })
+        .option('m', {
+            alias: 'metrics',
+            describe: 'list of comma separated list of metric IDs or names.\n'
+                + 'E.g., -m 1,3,5 ; -m 1-20,70,supply_temp',
+            nargs: 1,
+        })
+        .option('f', {
+            alias: 'format',
+            describe: 'output format',
+            choices: exporter.formats,
+            default: 'csv',
+        })
+        .option('o', {
+            alias: 'output',
+            describe: 'output file, stdout if not given',
+            nargs: 1,
+        })
+        .option('r', {
+            alias: 'real',
+            describe: 'export real values, i.e., value * 10^scale',
+            type: 'boolean',
+        })
+        .positional('from', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". Start of the range',
+        })
+        .positional('to', {
+            describe: 'Time string in "YYYY-MM-DD HH:MM". End of the range',
+        })
+    }, exportSeries)
+    .command('import', 'import JSON snapshots and CSV files', yargs => {
+        yargs.option('b', {
+            alias: 'backdate',
+            describe: 'put device states older than level1 into the archives',
+            type: 'boolean',
+        })
+        .option('n', {
+            alias: 'dryRun',
+            describe: 'only validate the files',
+            type: 'boolean',
+        })
+        .positional('file', {
+            describe: 'files or directories to import, *.json and *.csv',
+        })
+    }, importFiles)
+    .command('catalog', 'list, define or undefine metrics in the catalog', yargs => {
+        yargs.option('u', {
+            alias: 'unit',
+            describe: 'unit of the metric to define',
+            nargs: 1,
+        })
+        .option('k', {
+            alias: 'kind',
+            describe: 'kind of the metric to define',
+            choices: ['counter', 'gauge', 'event'],
+        })
+        .option('i', {
+            alias: 'interval',
+            describe: 'expected seconds between two samples of the metric',
+            nargs: 1,
+        })
+        .option('min', {
+            describe: 'min valid real value of the metric',
+            nargs: 1,
+        })
+        .option('max', {
+            describe: 'max valid real value of the metric',
+            nargs: 1,
+        })
+        .positional('action', {
+            describe: 'list; define <id> <name>; undefine <id or name>;'
+                + ' load <file>, a JSON list of definitions',
+        })
+    }, metricCatalog)
+    .command('serve', 'serve the model over HTTP', yargs => {
+        yargs.option('p', {
+            alias: 'port',
+            describe: 'port to listen on',
+            nargs: 1,
+            default: 8080,
+        })
+        .option('H', {
+            alias: 'host',
+            describe: 'address to listen on',
+            nargs: 1,
+            default: '127.0.0.1',
+        })
+    }, serve)
+    .command('stats', 'get operational stats of a model served by fmcli serve', yargs => {
+        yargs.option('u', {
+            alias: 'url',
+            describe: 'where the model is served',
+            nargs: 1,
+            default: 'http://127.0.0.1:8080',
+        })
+        .option('p', {
+            alias: 'prometheus',
+            describe: 'print in the Prometheus text format',
+            type: 'boolean',
+        })
+    }, stats)
+    .command('tail', 'print changes of a device, or all, as they happen,'
+        + ' with a Redis server as the index', yargs => {
+        yargs.option('j', {
+            alias: 'json',
+            describe: 'print the events in JSON',
+            type: 'boolean',
+        })
+        .positional('device', {
+            describe: 'device identity, all devices if not given',
+        })
+    }, tail)
     .argv;
@@ -0,0 +1,140 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createModel, tickTime, putTicks } = require('./helper');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* call a method with a callback, giving what it is called back with, once */
+const callBack = async (method, args) => {
+    const calls = [];
+    await new Promise(resolve => method(...args, (...results) => {
+        calls.push(results);
+        resolve();
+    }));
+    await wait(100);
+    assert.strictEqual(calls.length, 1, `called back ${calls.length} times`);
+    return calls[0];
+};
+
+/* call a method for a promise, which settles once as the callback is called */
+const callPromise = async (method, args) => {
+    var settled = 0;
+    const promise = method(...args);
+    assert.ok(promise instanceof Promise);
+    promise.then(() => ++settled, () => ++settled);
+    const result = await promise.then(value => [null, value], err => [err]);
+    await wait(100);
+    assert.strictEqual(settled, 1);
+    return result;
+};
+
+describe('callbacks and promises', () => {
+    const model = createModel({ blockHours: 2 });
+    const from = new Date('2020-03-01T00:00Z');
+    const to = new Date('2020-03-01T06:00Z');
+    const tick = i => ({ devid: 3, metrics: [{ id: 1, status: 0, value: i }] });
+    after(() => model.stop());
+
+    before(async () => {
+        await putTicks(model, 12);
+        await model.defineMetric({ id: 1, name: 'supply_temp' });
+        /* for housekeeping to do the same when called twice */
+        await model.housekeeping({});
+    });
+
+    /* methods, their arguments and, if they fail, the error */
+    const calls = [
+        ['housekeeping', [{}]],
+        ['putDeviceState', [3, tickTime(11), tick(11)]],
+        ['putDeviceState', [3, tickTime(11), { devid: 3, metrics: [{ status: 0 }] }],
+            { code: 'EINVALID' }],
+        ['putDeviceStates', [[{ devid: 3, ticktime: tickTime(11), devState: tick(11) }]]],
+        ['putDeviceStates', [null], TypeError],
+        ['projectMetrics', [3, tickTime(5), [1]]],
+        ['projectMetrics', [3, tickTime(5), [1], { mode: 'wild' }],
+            /unknown projection mode/],
+        ['getMetricSeries', [3, [1], from, to]],
+        ['getMetricSeries', [3, ['no_such_metric'], from, to], { code: 'EINVALID' }],
+        ['getRollups', [3, [1], from, to, 'hour']],
+        ['getRollups', [3, [1], from, to, 'week'], /bad rollup granularity/],
+        ['setRetentionPolicy', [null, {}]],
+        ['setRetentionPolicy', [null, { level1Hours: -1 }], /bad retention/],
+        ['getRetentionPolicies', []],
+        ['getGapReport', [[3], from, to, { intervals: { 1: 1800 } }]],
+        ['getGapReport', [[3], from, to, { intervals: { no_such_metric: 1800 } }],
+            { code: 'EINVALID' }],
+        ['listDevices', []],
+        ['hasDevice', [3]],
+        ['getDeviceTimeSpan', [3]],
+        ['getDeviceLastGoodValue', [3, [1]]],
+        ['removeDevice', [4]],
+        ['checkConsistency', [{}]],
+        ['rebuildIndex', [{}]],
+        ['convertArchives', [{}]],
+        ['migrateBlockHours', [5], /bad block hours/],
+        ['getCatalog', []],
+        ['defineMetric', [{ id: 2, name: 'supply_temp' }], { code: 'EINVALID' }],
+        ['undefineMetric', ['no_such_metric'], { code: 'EINVALID' }],
+        ['resolveMetricIds', [['supply_temp', 2]]],
+    ];
+
+    for (const [name, args, error] of calls) {
+        it(`${error ? 'rejects' : 'resolves'} ${name} once`, async () => {
+            const [err, ...results] = await callBack(model[name], args);
+            const [perr, value] = await callPromise(model[name], args);
+            if (error) {
+                assert.throws(() => { throw err; }, error);
+                assert.throws(() => { throw perr; }, error);
+            } else {
+                assert.ifError(err);
+                assert.ifError(perr);
+                assert.deepStrictEqual(value, name == 'getDeviceTimeSpan'
+                    ? { minTime: results[0], maxTime: results[1] } : results[0]);
+            }
+        });
+    }
+
+    it('iterates the samples of a device', async () => {
+        const values = [];
+        for await (const m of model.iterateMetricSeries(3, [1], from, to))
+            values.push(m.value);
+        assert.deepStrictEqual(values, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+
+        const names = [];
+        for await (const m of model.iterateMetricSeries(3, ['supply_temp'], from, tickTime(1)))
+            names.push(m.id);
+        assert.deepStrictEqual(names, [1, 1]);
+    });
+
+    it('rejects the iteration of a device by an unknown metric', async () => {
+        await assert.rejects(async () => {
+            for await (const m of model.iterateMetricSeries(3, ['no_such_metric'], from, to))
+                assert.fail(`got ${m.id}`);
+        }, { code: 'EINVALID' });
+    });
+
+    it('rejects a device state before the archived blocks once', async () => {
+        await model.housekeeping({ level1Blocks: 2 });
+        const args = [3, tickTime(0), tick(0)];
+        const [err] = await callBack(model.putDeviceState, args);
+        assert.strictEqual(err.code, 'EOUTOFRANGE');
+        const [perr] = await callPromise(model.putDeviceState, args);
+        assert.strictEqual(perr.code, 'EOUTOFRANGE');
+    });
+
+    it('rejects the archiving of aged blocks failing once', async () => {
+        const archiveDir = path.join(model.dataRoot, 'archive', '3');
+        fs.rmSync(archiveDir, { recursive: true });
+        fs.writeFileSync(archiveDir, '');
+
+        const [err] = await callBack(model.housekeeping, [{ level1Blocks: 1 }]);
+        assert.ok(err instanceof Error);
+        const [perr] = await callPromise(model.housekeeping, [{ level1Blocks: 1 }]);
+        assert.ok(perr instanceof Error);
+        fs.rmSync(archiveDir);
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const archive = require('../lib/archive');
+const { scratchDir, createModel, putTicks } = require('./helper');
+
+const writeArchive = promisify(archive.writeArchive);
+const readArchive = promisify(archive.readArchive);
+const openArchive = promisify(archive.openArchive);
+const verifyArchive = promisify(archive.verifyArchive);
+
+const records = [
+    { ticktime: 1583020920, data: Buffer.from('third') },
+    { ticktime: 1583020800, data: Buffer.from('first') },
+    { ticktime: 1583020860, data: Buffer.alloc(0) },
+];
+
+describe('archive', () => {
+    const { dir, cleanup } = scratchDir();
+    after(cleanup);
+
+    it('round-trips the records in ascending order of ticktime', async () => {
+        const filename = path.join(dir, 'round.fca');
+        await writeArchive(filename, records);
+        assert.ok(! fs.existsSync(filename + '.tmp'));
+        const sorted = [...records].sort((a, b) => a.ticktime - b.ticktime);
+        assert.deepStrictEqual(await readArchive(filename), sorted);
+        await verifyArchive(filename);
+    });
+
+    it('reads a record randomly', async () => {
+        const filename = path.join(dir, 'random.fca');
+        await writeArchive(filename, records);
+        const reader = await openArchive(filename);
+        assert.deepStrictEqual(reader.ticks, [1583020800, 1583020860, 1583020920]);
+        assert.deepStrictEqual(await promisify(reader.read)(1583020920),
+            Buffer.from('third'));
+        await assert.rejects(promisify(reader.read)(1583020900), /no tick/);
+    });
+
+    it('round-trips no records', async () => {
+        const filename = path.join(dir, 'empty.fca');
+        await writeArchive(filename, []);
+        assert.deepStrictEqual(await readArchive(filename), []);
+    });
+
+    it('tells a corrupt record or index', async () => {
+        const filename = path.join(dir, 'corrupt.fca');
+        await writeArchive(filename, records);
+        const buf = fs.readFileSync(filename);
+
+        /* the first record is at the end of the 8 bytes of the header */
+        buf[8] ^= 0xff;
+        fs.writeFileSync(filename, buf);
+        await assert.rejects(verifyArchive(filename),
+            { code: 'ECHKSUM', message: /chksum error on tick/ });
+
+        buf[8] ^= 0xff;
+        buf[buf.length - 20] ^= 0xff;
+        fs.writeFileSync(filename, buf);
+        await assert.rejects(openArchive(filename),
+            { code: 'ECHKSUM', message: /chksum error on archive index/ });
+    });
+});
+
+describe('archives of a model', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('counts the corrupt records read as crc failures', async () => {
+        await putTicks(model, 2);
+        await model.housekeeping({ level1Hours: 0 });
+
+        const filename = path.join(model.dataRoot, 'archive', '3', '3-2020030100.fca');
+        const buf = fs.readFileSync(filename);
+        buf[8] ^= 0xff;
+        fs.writeFileSync(filename, buf);
+
+        await assert.rejects(model.getMetricSeries(3, [1],
+            new Date('2020-03-01T00:00Z'), new Date('2020-03-01T02:00Z')), { code: 'ECHKSUM' });
+        assert.strictEqual(model.getStats().counters.crcFailures, 1);
+    });
+
+    it('fails the walks through a corrupt record', async () => {
+        const from = new Date('2020-03-01T00:00Z');
+        const to = new Date('2020-03-01T02:00Z');
+        await assert.rejects(async () => {
+            for await (const m of model.iterateMetricSeries(3, [], from, to)) assert.ok(m);
+        }, { code: 'ECHKSUM' });
+        await assert.rejects(model.getGapReport([3], from, to, { intervals: { 1: 60 } }),
+            { code: 'ECHKSUM' });
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { createModel, putTicks } = require('./helper');
+
+describe('metric names in queries', () => {
+    const model = createModel({ blockHours: 2 });
+    const from = new Date('2020-03-01T00:00Z');
+    const to = new Date('2020-03-01T02:00Z');
+    after(() => model.stop());
+
+    before(async () => {
+        await model.defineMetric({ id: 1, name: 'supply_temp', interval: 1800 });
+        await model.defineMetric({ id: 2, name: 'return_temp', interval: 1800 });
+        await putTicks(model, 4, { metrics: i => [
+            { id: 1, status: 0, value: i },
+            { id: 2, status: 0, value: 10 * i },
+        ] });
+    });
+
+    it('projects metrics by name', async () => {
+        const metrics = await model.projectMetrics(3, to, ['return_temp']);
+        assert.deepStrictEqual(metrics.map(m => [m.id, m.value]), [[2, 30]]);
+    });
+
+    it('gets series and rollups by name', async () => {
+        const series = await model.getMetricSeries(3, ['supply_temp'], from, to);
+        assert.deepStrictEqual(series.map(m => m.value), [0, 1, 2, 3]);
+
+        const rollups = await model.getRollups(3, ['supply_temp'], from, to, 'day');
+        assert.deepStrictEqual(rollups.map(r => [r.id, r.count]), [[1, 4]]);
+    });
+
+    it('reports gaps by name', async () => {
+        const report = await model.getGapReport([3], from, to,
+            { metricIdList: ['return_temp'], intervals: { return_temp: 1800 } });
+        assert.deepStrictEqual(report.devices[0].metrics.map(m => m.id), [2]);
+    });
+
+    it('fails on an unknown name', async () => {
+        await assert.rejects(model.projectMetrics(3, to, ['flow']), { code: 'EINVALID' });
+        await assert.rejects(model.getMetricSeries(3, ['flow'], from, to),
+            { code: 'EINVALID' });
+        await assert.rejects(model.getRollups(3, ['flow'], from, to, 'day'),
+            { code: 'EINVALID' });
+        await assert.rejects(model.getGapReport([3], from, to, { metricIdList: ['flow'] }),
+            { code: 'EINVALID' });
+    });
+});
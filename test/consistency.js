@@ -0,0 +1,29 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createModel, tickTime, putTicks } = require('./helper');
+
+describe('consistency check', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('tells and repairs the last good value of a metric ahead of its samples', async () => {
+        /* metric 2 is only in the first tick, which is lost */
+        await putTicks(model, 3, { metrics: i => i ?
+            [{ id: 1, status: 0, value: i }] :
+            [{ id: 1, status: 0, value: 0 }, { id: 2, status: 0, value: 20 }] });
+        fs.unlinkSync(path.join(model.dataRoot, '2020030100', '3',
+            `${tickTime(0).valueOf() / 1000}.dat`));
+
+        const report = await model.checkConsistency({ repair: true });
+        assert.deepStrictEqual(report.problems.map(p => p.type), ['lgv-ahead']);
+        assert.match(report.problems[0].detail, /^lgv 2_ticktime /);
+
+        const lgv = await model.getDeviceLastGoodValue(3);
+        assert.deepStrictEqual(lgv.metrics.map(m => [m.id, m.value]), [[1, 2]]);
+        assert.deepStrictEqual((await model.checkConsistency()).problems, []);
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { promisify } = require('util');
+const protobuf = require('protobufjs');
+const { crc32 } = require('crc');
+const devStateCodec = require('../lib/dev-state');
+
+const encode = promisify(devStateCodec.encodeDevState);
+const decode = promisify(devStateCodec.decodeDevState);
+
+/* the content of a tick file in version 1 */
+const encodeV1 = async devState => {
+    const root = await protobuf.load(path.join(__dirname, '../data/dev-state.proto'));
+    const spec = root.lookupType('DevState');
+    const encoded = spec.encode(spec.fromObject(devState)).finish();
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(crc32(encoded));
+    return Buffer.concat([header, encoded]);
+};
+
+describe('device state', () => {
+    it('round-trips all the types, qualities and timestamps', async () => {
+        const devState = devStateCodec.normalizeDevState({
+            devid: 7,
+            timestamp: 1583020800,
+            metrics: [
+                { id: 1, value: 12, scale: -1 },
+                { id: 2, type: 'int', value: '-9223372036854775808' },
+                { id: 3, value: 1.5e-7, quality: 'uncertain' },
+                { id: 4, value: 'on', timestamp: 1583020700, quality: 'good' },
+                { id: 5, status: -3, value: 0, quality: 'bad' },
+            ],
+        });
+        assert.strictEqual(devStateCodec.checkDevState(devState), null);
+        assert.deepStrictEqual(await decode(await encode(devState), 'tick'), devState);
+    });
+
+    it('decodes a tick file of version 1', async () => {
+        const buf = await encodeV1({
+            devid: 7,
+            timestamp: 1583020800,
+            metrics: [
+                { id: 1, status: 0, value: -5, scale: 2 },
+                { id: 2, status: 1, value: 3, scale: 0, timestamp: 1583020700 },
+            ],
+        });
+        assert.deepStrictEqual(await decode(buf, 'tick'), {
+            devid: 7,
+            timestamp: 1583020800,
+            metrics: [
+                { id: 1, status: 0, type: 'int', value: -5, scale: 2 },
+                { id: 2, status: 1, type: 'int', value: 3, scale: 0, timestamp: 1583020700 },
+            ],
+        });
+    });
+
+    it('fails on a bad checksum with ECHKSUM', async () => {
+        const buf = await encode(devStateCodec.normalizeDevState(
+            { devid: 7, timestamp: 0, metrics: [{ id: 1, value: 1 }] }));
+        buf[buf.length - 1] ^= 0xff;
+        await assert.rejects(decode(buf, 'tick'), { code: 'ECHKSUM' });
+    });
+
+    it('tells bad metrics', () => {
+        const check = m => devStateCodec.checkDevState({ metrics: [m] });
+        assert.match(check({ id: 1, type: 'int', value: '9223372036854775808' }),
+            /bad integer/);
+        assert.match(check({ id: 1, value: Infinity }), /bad double/);
+        assert.match(check({ id: 1, value: 1, quality: 'fair' }), /bad quality/);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { createModel } = require('./helper');
+
+const at = time => new Date(`2020-03-01T${time}Z`);
+const epoch = time => at(time).valueOf() / 1000;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('events', () => {
+    const model = createModel({ blockHours: 2 });
+    const events = [];
+    const all = [];
+    var unsubscribe;
+    var unsubscribeAll;
+    const put = (devid, time, metrics, options) =>
+        model.putDeviceState(devid, at(time), { devid, metrics }, options);
+    /* the events since the last call */
+    const taken = async list => {
+        await wait(50);
+        return list.splice(0);
+    };
+    after(() => model.stop());
+
+    before(() => {
+        unsubscribe = model.subscribe(3, event => events.push(event));
+        unsubscribeAll = model.subscribe(null, event => all.push(event));
+    });
+
+    it('tells a tick stored and its last good values', async () => {
+        await put(3, '00:00', [{ id: 1, status: 0, value: 1 }, { id: 2, status: 0, value: 2 }]);
+        const metrics = [
+            { id: 1, status: 0, type: 'int', value: 1, scale: 0 },
+            { id: 2, status: 0, type: 'int', value: 2, scale: 0 },
+        ];
+        assert.deepStrictEqual(await taken(events), [
+            { type: 'stored', devid: 3, ticktime: epoch('00:00'), metrics },
+            { type: 'lgv', devid: 3, ticktime: epoch('00:00'), metrics: [1, 2] },
+        ]);
+    });
+
+    it('tells a tick merged with the metrics after merged', async () => {
+        await put(3, '00:00', [{ id: 2, status: 0, value: 20 }]);
+        const [merged, lgv] = await taken(events);
+        assert.strictEqual(merged.type, 'merged');
+        assert.deepStrictEqual(merged.metrics.map(m => [m.id, m.value]).sort(),
+            [[1, 1], [2, 20]]);
+        /* all the metrics of the merged tick are set again */
+        assert.deepStrictEqual({ ...lgv, metrics: lgv.metrics.sort() },
+            { type: 'lgv', devid: 3, ticktime: epoch('00:00'), metrics: [1, 2] });
+    });
+
+    it('tells the metrics of the last good value changed only', async () => {
+        await put(3, '01:00', [{ id: 1, status: 0, value: 3 }]);
+        await taken(events);
+        await put(3, '00:30', [{ id: 1, status: 0, value: 4 }, { id: 3, status: 0, value: 5 }]);
+        const [stored, lgv] = await taken(events);
+        assert.strictEqual(stored.type, 'stored');
+        assert.deepStrictEqual(lgv, { type: 'lgv', devid: 3, ticktime: epoch('00:30'),
+            metrics: [3] });
+    });
+
+    it('tells the ticks of a batch', async () => {
+        await model.putDeviceStates([
+            { devid: 3, ticktime: at('04:00'), devState: { devid: 3,
+                metrics: [{ id: 1, status: 0, value: 6 }] } },
+            { devid: 4, ticktime: at('04:00'), devState: { devid: 4,
+                metrics: [{ id: 1, status: 0, value: 7 }] } },
+        ]);
+        assert.deepStrictEqual((await taken(events)).map(e => [e.type, e.ticktime]),
+            [['stored', epoch('04:00')], ['lgv', epoch('04:00')]]);
+        assert.deepStrictEqual((await taken(all)).filter(e => e.devid == 4)
+            .map(e => [e.type, e.devid, e.ticktime]),
+        [['stored', 4, epoch('04:00')], ['lgv', 4, epoch('04:00')]]);
+    });
+
+    it('tells the blocks archived and ticks backdated into them', async () => {
+        await model.housekeeping({ level1Blocks: 1 });
+        assert.deepStrictEqual((await taken(events)).filter(e => e.type == 'archived'),
+            [{ type: 'archived', devid: 3, block: 2020030100 }]);
+        assert.deepStrictEqual((await taken(all)).filter(e => e.type == 'archived').length, 1);
+
+        await put(3, '01:30', [{ id: 1, status: 0, value: 8 }], { backdate: true });
+        const [stored] = await taken(events);
+        assert.deepStrictEqual({ ...stored, metrics: stored.metrics.length }, { type: 'stored',
+            devid: 3, ticktime: epoch('01:30'), metrics: 1, backdated: true });
+    });
+
+    it('tells the blocks removed by retention', async () => {
+        await model.setRetentionPolicy(3, { archiveDays: 1 });
+        await model.housekeeping({});
+        assert.deepStrictEqual((await taken(events)).filter(e => e.type == 'removed'),
+            [{ type: 'removed', devid: 3, block: 2020030100 }]);
+        await taken(all);
+    });
+
+    it('tells nothing after unsubscribed', async () => {
+        unsubscribe();
+        unsubscribeAll();
+        await put(3, '05:00', [{ id: 1, status: 0, value: 9 }]);
+        assert.deepStrictEqual(await taken(events), []);
+        assert.deepStrictEqual(await taken(all), []);
+    });
+});
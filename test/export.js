@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const exporter = require('../lib/exporter');
+const { readColumnar } = require('../lib/columnar');
+const { createModel, putTicks } = require('./helper');
+
+/* export with the options to a string */
+const exportString = (model, options) => new Promise((resolve, reject) => {
+    const out = new PassThrough();
+    const chunks = [];
+    out.on('data', chunk => chunks.push(chunk));
+    exporter.exportSeries(model, options, out, (err, rows) => {
+        if (err) return reject(err);
+        resolve({ rows, text: Buffer.concat(chunks).toString() });
+    });
+});
+
+describe('export', () => {
+    const model = createModel({ blockHours: 2 });
+    const from = new Date('2020-03-01T00:00Z');
+    const to = new Date('2020-03-01T01:00Z');
+    const base = { devices: [3], metricIdList: [], from, to };
+    after(() => model.stop());
+
+    before(async () => {
+        await putTicks(model, 3, {
+            metrics: i => [
+                { id: 1, status: 0, type: 'int', value: 125 + i, scale: -2 },
+                { id: 2, status: 0, type: 'string', value: i ? 'say "hi", all' : 'plain' },
+            ],
+        });
+    });
+
+    it('quotes the values of strings in csv', async () => {
+        const { rows, text } = await exportString(model, base);
+        assert.strictEqual(rows, 6);
+        const lines = text.split('\n');
+        assert.strictEqual(lines[0], 'devid,time,metric,status,value,scale,timestamp,type,quality');
+        assert.strictEqual(lines[1], '3,2020-03-01T00:00:00.000Z,1,0,125,-2,,int,');
+        assert.strictEqual(lines[2], '3,2020-03-01T00:00:00.000Z,2,0,plain,0,,string,');
+        assert.strictEqual(lines[4], '3,2020-03-01T00:30:00.000Z,2,0,"say ""hi"", all",0,,string,');
+        assert.strictEqual(lines.length, 8);
+    });
+
+    it('gives one object per line in ndjson', async () => {
+        const { text } = await exportString(model, { ...base, format: 'ndjson' });
+        const objs = text.trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(objs.length, 6);
+        assert.deepStrictEqual(objs[0], { devid: 3, time: '2020-03-01T00:00:00.000Z',
+            metric: 1, status: 0, type: 'int', value: 125, scale: -2 });
+        assert.strictEqual(objs[3].value, 'say "hi", all');
+    });
+
+    it('gives real values of scale 0 with real', async () => {
+        const { text } = await exportString(model, { ...base, format: 'ndjson', real: true });
+        const objs = text.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(objs.filter(o => o.metric == 1).map(o => [o.value, o.scale]),
+            [[1.25, 0], [1.26, 0], [1.27, 0]]);
+        assert.strictEqual(objs[1].value, 'plain');
+    });
+
+    it('reads back a columnar export without the strings', async () => {
+        const file = path.join(model.dataRoot, 'export.ffcc');
+        const out = fs.createWriteStream(file);
+        const rows = await new Promise((resolve, reject) => {
+            exporter.exportSeries(model, { ...base, format: 'columnar', real: true }, out,
+                (err, rows) => err ? reject(err) : out.end(() => resolve(rows)));
+        });
+        assert.strictEqual(rows, 3);
+
+        const result = await new Promise((resolve, reject) => {
+            readColumnar(file, (err, result) => err ? reject(err) : resolve(result));
+        });
+        assert.deepStrictEqual(result.columns.map(c => c.name),
+            ['devid', 'ticktime', 'metric', 'status', 'value', 'scale', 'timestamp']);
+        assert.deepStrictEqual(result.rows.map(r => [r.ticktime, r.metric, r.value, r.scale]), [
+            [Date.UTC(2020, 2, 1, 0, 0) / 1000, 1, 1.25, 0],
+            [Date.UTC(2020, 2, 1, 0, 30) / 1000, 1, 1.26, 0],
+            [Date.UTC(2020, 2, 1, 1, 0) / 1000, 1, 1.27, 0],
+        ]);
+    });
+
+    it('rejects a corrupt columnar file', async () => {
+        const file = path.join(model.dataRoot, 'export.ffcc');
+        const buf = fs.readFileSync(file);
+        buf[20] ^= 0xff;
+        fs.writeFileSync(file, buf);
+        await assert.rejects(new Promise((resolve, reject) => {
+            readColumnar(file, (err, result) => err ? reject(err) : resolve(result));
+        }), /chksum error on column/);
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { combineGapReports } = require('../lib/gaps');
+const { createModel, tickTime } = require('./helper');
+
+const epoch = i => tickTime(i).valueOf() / 1000;
+
+describe('gaps of a fleet', () => {
+    const model = createModel({ blockHours: 2 });
+    const from = tickTime(0);
+    const to = tickTime(5);
+    after(() => model.stop());
+
+    /* device 3 misses the ticks 2 and 3, device 4 the tick 5 */
+    before(async () => {
+        const missing = { 3: [2, 3], 4: [5] };
+        for (const devid of [3, 4]) {
+            for (var i = 0; i < 6; ++i) {
+                if (missing[devid].includes(i)) continue;
+                await model.putDeviceState(devid, tickTime(i),
+                    { devid, metrics: [{ id: 1, status: i == 1 ? -1 : 0, value: i }] });
+            }
+        }
+    });
+
+    it('reports the gaps of each device and of the fleet', async () => {
+        const report = await model.getGapReport([], from, to, { intervals: { 1: 1800 } });
+        assert.deepStrictEqual(report.devices, [
+            { devid: 3, metrics: [{ id: 1, interval: 1800, expected: 6, present: 4,
+                missing: 2, completeness: 66.67, gaps: 1,
+                longestGaps: [{ from: epoch(2), to: epoch(3), ticks: 2 }] }] },
+            { devid: 4, metrics: [{ id: 1, interval: 1800, expected: 6, present: 5,
+                missing: 1, completeness: 83.33, gaps: 1,
+                longestGaps: [{ from: epoch(5), to: epoch(5), ticks: 1 }] }] },
+        ]);
+        assert.deepStrictEqual(report.metrics, [{ id: 1, interval: 1800, expected: 12,
+            present: 9, missing: 3, completeness: 75, gaps: 2, longestGaps: [
+                { devid: 3, from: epoch(2), to: epoch(3), ticks: 2 },
+                { devid: 4, from: epoch(5), to: epoch(5), ticks: 1 },
+            ] }]);
+    });
+
+    it('keeps the top longest gaps of the fleet', async () => {
+        const report = await model.getGapReport([4, 3], from, to,
+            { intervals: { 1: 1800 }, top: 1 });
+        assert.deepStrictEqual(report.devices.map(d => d.devid), [4, 3]);
+        assert.deepStrictEqual(report.metrics[0].longestGaps,
+            [{ devid: 3, from: epoch(2), to: epoch(3), ticks: 2 }]);
+        assert.strictEqual(report.metrics[0].gaps, 2);
+    });
+
+    it('combines the metrics of some devices and ties of gaps by time', () => {
+        const gap = (from, ticks) => ({ from, to: from + (ticks - 1) * 60, ticks });
+        const metric = (id, expected, present, longestGaps) => ({ id, interval: 60, expected,
+            present, missing: expected - present, completeness: null,
+            gaps: longestGaps.length, longestGaps });
+
+        assert.deepStrictEqual(combineGapReports([
+            { devid: 5, metrics: [metric(2, 10, 8, [gap(600, 2)]), metric(7, 0, 0, [])] },
+            { devid: 6, metrics: [metric(2, 10, 6, [gap(120, 2), gap(300, 2)])] },
+        ], 2), [
+            { id: 2, interval: 60, expected: 20, present: 14, missing: 6, completeness: 70,
+                gaps: 3, longestGaps: [{ devid: 6, ...gap(120, 2) }, { devid: 6, ...gap(300, 2) }] },
+            { id: 7, interval: 60, expected: 0, present: 0, missing: 0, completeness: null,
+                gaps: 0, longestGaps: [] },
+        ]);
+        assert.deepStrictEqual(combineGapReports([]), []);
+    });
+});
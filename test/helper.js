@@ -0,0 +1,102 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/* RedisIndex runs on redis-mock unless a server is given, before it is loaded */
+const redisUrl = process.env['FM_TEST_REDIS_URL'];
+if (! redisUrl) {
+    const mock = require('redis-mock');
+    const id = require.resolve('redis');
+    require.cache[id] = { id, filename: id, loaded: true, exports: mock };
+
+    /* which takes the arguments in places and the offset only if not 0 */
+    const zrevrangebyscore = mock.RedisClient.prototype.zrevrangebyscore;
+    mock.RedisClient.prototype.zrevrangebyscore = function (args, cb) {
+        if (String(args[3]).toLowerCase() == 'limit')
+            args = [...args.slice(0, 3), undefined, 'limit', String(args[4]), args[5]];
+        return zrevrangebyscore.call(this, args, cb);
+    };
+
+    /*
+     * which has no EVAL, run here for the one script of RedisIndex, the
+     * hmsetIfNewer of a batch, as the script does: KEYS[1] the hash, ARGV the
+     * time field, the time and the fields and values
+     */
+    mock.RedisClient.prototype.eval = function (script, numkeys, key, timeField, time, ...fields) {
+        const cb = fields.pop();
+        if (! /HGET.*\n.*tonumber\(t\) > tonumber\(ARGV\[2\]\).*\n.*HMSET/.test(script)
+            || numkeys != 1)
+            return process.nextTick(() => cb(Error('ERR redis-mock runs no such script')));
+
+        const db = this._selectedDb;
+        db.hget(key, timeField, (err, t) => {
+            if (err) return cb(err);
+            if (t != null && +t > +time) return cb(null, 0);
+            db.hmset(key, ...fields, err => cb(err, err ? null : 1));
+        });
+    };
+    mock.Multi.prototype.eval = function (...args) {
+        this._command('eval', args);
+        return this;
+    };
+}
+
+const FfcModel = require('../lib/ffcmodel');
+
+/**
+ * A scratch directory removed by the returned cleanup, e.g., in an after hook.
+ */
+const scratchDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffc-test-'));
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+/**
+ * A model on the embedded index in a scratch directory, with the options
+ * overriding the defaults.  stop() stops it and removes the directory.
+ */
+const createModel = options => {
+    const { dir, cleanup } = scratchDir();
+    const configFile = path.join(dir, 'ffcmodel.json');
+    fs.writeFileSync(configFile, '{}');
+
+    const model = new FfcModel({
+        configFile,
+        index: 'file',
+        dataRoot: path.join(dir, 'dev-state'),
+        logRoot: path.join(dir, 'log'),
+        ...options,
+    });
+    const stop = model.stop;
+    model.stop = () => {
+        stop();
+        cleanup();
+    };
+    model.dataRoot = path.join(dir, 'dev-state');
+    return model;
+};
+
+/* the time of the i-th tick of putTicks */
+const tickTime = i => new Date(Date.UTC(2020, 2, 1, 0, 30 * i));
+
+/**
+ * Put n ticks of a device, every half an hour from 2020-03-01T00:00Z, the i-th
+ * of which has metric 1 of value i, or the metrics given by options.metrics(i).
+ * options.devid is 3 by default.
+ */
+const putTicks = async (model, n, options) => {
+    const devid = options && options.devid != null ? options.devid : 3;
+    const metrics = options && options.metrics || (i => [{ id: 1, status: 0, value: i }]);
+    for (var i = 0; i < n; ++i)
+        await model.putDeviceState(devid, tickTime(i), { devid, metrics: metrics(i) });
+};
+
+module.exports = {
+    redisUrl,
+    scratchDir,
+    createModel,
+    tickTime,
+    putTicks,
+};
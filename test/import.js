@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const importer = require('../lib/importer');
+const { scratchDir, createModel } = require('./helper');
+
+const importFiles = promisify(importer.importFiles);
+
+describe('import', () => {
+    const model = createModel({ blockHours: 2 });
+    const { dir, cleanup } = scratchDir();
+    const from = new Date('2020-03-01T00:00Z');
+    const to = new Date('2020-03-01T06:00Z');
+    const file = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+    };
+    after(() => {
+        model.stop();
+        cleanup();
+    });
+
+    it('imports snapshots and CSV, rejecting the bad rows and duplicates', async () => {
+        file('3-20200301000000.json', JSON.stringify({ metrics: [
+            { id: 1, status: 0, value: 9 },
+            { id: 3, status: 0, value: 5 },
+        ] }));
+        file('readings.csv', [
+            'devid, time, metric, status, value, scale, type',
+            '3,2020-03-01T00:00:00Z,1,0,215,-1,',
+            '3,2020-03-01T00:00:00Z,2,0,"say ""hi"", all",0,string',
+            '',
+            '3,2020-03-01T00:30:00Z,1,0,1.5,0,int',
+            'x,2020-03-01T00:30:00Z,1,0,1,0,',
+            '3,yesterday,1,0,1,0,',
+            '3,2020-03-01T00:30:00Z,1,0',
+            '3,1583022600,1,0,9223372036854775807,0,',
+            '3,2020-03-01T00:30:00Z,2,0," spaced ",0,',
+            '3,2020-03-01T00:30:00Z,2,0,again,0,',
+        ].join('\n') + '\n');
+        file('bad-name.json', '{}');
+        file('notes.txt', 'not imported from a directory');
+
+        const report = await importFiles(model, [dir], {});
+        assert.deepStrictEqual(report.rejected.map(({ source, reason }) =>
+            [path.basename(source), reason]), [
+            ['bad-name.json', 'bad snapshot file name'],
+            ['readings.csv:5', 'bad integer 1.5 of metric 1'],
+            ['readings.csv:6', 'bad devid x'],
+            ['readings.csv:7', 'bad time yesterday'],
+            ['readings.csv:8', '4 fields, not 7'],
+            ['readings.csv:2', 'duplicate metric 1 of device 3 at 2020-03-01T00:00:00.000Z'],
+            ['readings.csv:11', 'duplicate metric 2 of device 3 at 2020-03-01T00:30:00.000Z'],
+        ]);
+        assert.deepStrictEqual({ ...report, rejected: report.rejected.length },
+            { records: 3, imported: 3, duplicates: 2, rejected: 7 });
+
+        const series = await model.getMetricSeries(3, [], from, to);
+        assert.deepStrictEqual(series.map(m => [m.ticktime % 3600, m.id, m.value]), [
+            [0, 1, 9], [0, 2, 'say "hi", all'], [0, 3, 5],
+            [1800, 1, '9223372036854775807'], [1800, 2, ' spaced '],
+        ]);
+    });
+
+    it('validates only on a dry run', async () => {
+        const report = await importFiles(model, [file('dry.csv', [
+            'devid,time,metric,status,value,scale',
+            '4,2020-03-01T01:00:00Z,1,0,1,0',
+        ].join('\n'))], { dryRun: true });
+        assert.deepStrictEqual(report, { records: 1, imported: 1, duplicates: 0, rejected: [] });
+        assert.strictEqual(await model.hasDevice(4), false);
+    });
+
+    it('rejects a CSV file without the columns as a whole', async () => {
+        const report = await importFiles(model, [file('columns.csv', [
+            'devid,time,metric,value',
+            '3,2020-03-01T01:00:00Z,1,1',
+        ].join('\n'))], {});
+        assert.deepStrictEqual(report.rejected.map(r => [path.basename(r.source), r.reason]),
+            [['columns.csv:1', 'missing columns status scale']]);
+        assert.strictEqual(report.records, 0);
+    });
+
+    it('puts the device states older than level 1 into the archives with backdate', async () => {
+        await model.putDeviceState(3, new Date('2020-03-01T04:00Z'),
+            { devid: 3, metrics: [{ id: 1, status: 0, value: 40 }] });
+        await model.housekeeping({ level1Blocks: 1 });
+        const old = file('old.csv', [
+            'devid,time,metric,status,value,scale',
+            '3,2020-03-01T00:15:00Z,1,0,15,0',
+        ].join('\n'));
+
+        const refused = await importFiles(model, [old], {});
+        assert.strictEqual(refused.imported, 0);
+        assert.deepStrictEqual(refused.rejected.map(r => path.basename(r.source)), ['old.csv:2']);
+        assert.match(refused.rejected[0].reason, /out of range/);
+
+        const report = await importFiles(model, [old], { backdate: true });
+        assert.deepStrictEqual(report, { records: 1, imported: 1, duplicates: 0, rejected: [] });
+        const series = await model.getMetricSeries(3, [1], from, new Date('2020-03-01T00:30Z'));
+        assert.deepStrictEqual(series.map(m => m.value), [9, 15, '9223372036854775807']);
+    });
+});
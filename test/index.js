@@ -0,0 +1,237 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { promisify } = require('util');
+const { redisUrl, scratchDir } = require('./helper');
+const FileIndex = require('../lib/file-index');
+const RedisIndex = require('../lib/redis-index');
+
+const logger = { error: () => {} };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const backends = {
+    FileIndex: () => {
+        const { dir, cleanup } = scratchDir();
+        const index = new FileIndex({ dataRoot: path.join(dir, 'dev-state') }, logger);
+        return { index, stop: () => { index.quit(); cleanup(); } };
+    },
+    RedisIndex: () => {
+        const index = new RedisIndex({ redisUrl }, logger);
+        return { index, stop: () => index.quit() };
+    },
+};
+
+for (const name of Object.keys(backends)) {
+    describe(name, () => {
+        var backend;
+        var index;
+        /* keys of a run of their own, removed at last */
+        const prefix = `test:${process.pid}:${Date.now()}`;
+        const key = name => `${prefix}:${name}`;
+        const call = (method, ...args) => promisify(index[method])(...args);
+
+        before(() => {
+            backend = backends[name]();
+            index = backend.index;
+        });
+        after(async () => {
+            await call('del', ['zset', 'hash', 'string', 'batch', 'zbatch', 'newer'].map(key));
+            backend.stop();
+        });
+
+        it('keeps sorted sets', async () => {
+            assert.strictEqual(await call('zadd', key('zset'), 3, 'c'), 1);
+            await call('zadd', key('zset'), 1, 'a');
+            await call('zadd', key('zset'), 2, 'b');
+            await call('zadd', key('zset'), 4, 'd');
+            assert.strictEqual(await call('zadd', key('zset'), 5, 'd'), 0);
+
+            assert.strictEqual(await call('zcard', key('zset')), 4);
+            assert.strictEqual(await call('zscore', key('zset'), 'b'), 2);
+            assert.strictEqual(await call('zscore', key('zset'), 'x'), null);
+            assert.strictEqual(await call('zincrby', key('zset'), 10, 'a'), 11);
+            assert.strictEqual(await call('zincrby', key('zset'), 1, 'e'), 1);
+
+            assert.deepStrictEqual(await call('zrange', key('zset'), 0, -1),
+                ['e', 'b', 'c', 'd', 'a']);
+            assert.deepStrictEqual(await call('zrange', key('zset'), 1, 2), ['b', 'c']);
+            assert.deepStrictEqual(await call('zrevrange', key('zset'), 0, 1), ['a', 'd']);
+            assert.deepStrictEqual(await call('zrangeWithScores', key('zset'), -2, -1),
+                [{ member: 'd', score: 5 }, { member: 'a', score: 11 }]);
+            assert.deepStrictEqual(await call('zrange', key('missing'), 0, -1), []);
+        });
+
+        it('ranges sorted sets by score', async () => {
+            assert.deepStrictEqual(await call('zrangebyscore', key('zset'), 2, 5),
+                ['b', 'c', 'd']);
+            assert.deepStrictEqual(await call('zrangebyscore', key('zset'), '(2', '+inf'),
+                ['c', 'd', 'a']);
+            assert.deepStrictEqual(await call('zrangebyscore', key('zset'), '-inf', '(3'),
+                ['e', 'b']);
+            assert.deepStrictEqual(
+                await call('zrevrangebyscore', key('zset'), '+inf', '-inf', null),
+                ['a', 'd', 'c', 'b', 'e']);
+            assert.deepStrictEqual(
+                await call('zrevrangebyscore', key('zset'), '(11', 2, 2), ['d', 'c']);
+        });
+
+        it('removes members of sorted sets', async () => {
+            assert.strictEqual(await call('zrem', key('zset'), 'e'), 1);
+            assert.strictEqual(await call('zrem', key('zset'), ['a', 'b', 'x']), 2);
+            assert.deepStrictEqual(await call('zrange', key('zset'), 0, -1), ['c', 'd']);
+        });
+
+        it('keeps hashes', async () => {
+            assert.strictEqual(await call('hgetall', key('hash')), null);
+            await call('hmset', key('hash'), { a: 1, b: 'two' });
+            await call('hset', key('hash'), 'c', 3);
+            assert.strictEqual(await call('hget', key('hash'), 'a'), '1');
+            assert.strictEqual(await call('hget', key('hash'), 'x'), null);
+            assert.deepStrictEqual({ ...await call('hgetall', key('hash')) },
+                { a: '1', b: 'two', c: '3' });
+
+            assert.strictEqual(await call('hdel', key('hash'), ['a', 'c']), 2);
+            assert.deepStrictEqual({ ...await call('hgetall', key('hash')) }, { b: 'two' });
+            assert.strictEqual(await call('hdel', key('hash'), 'b'), 1);
+            assert.strictEqual(await call('hget', key('hash'), 'b'), null);
+        });
+
+        it('keeps strings', async () => {
+            assert.strictEqual(await call('get', key('string')), null);
+            await call('set', key('string'), 42);
+            assert.strictEqual(await call('get', key('string')), '42');
+            assert.strictEqual(await call('exists', key('string')), true);
+            assert.strictEqual(await call('del', key('string')), 1);
+            assert.strictEqual(await call('exists', key('string')), false);
+        });
+
+        it('makes the changes of a batch all at once', async () => {
+            await call('zadd', key('zbatch'), 1, 'old');
+            const batch = index.batch();
+            batch.zadd(key('zbatch'), 2, 'new');
+            batch.zrem(key('zbatch'), 'old');
+            batch.zincrby(key('zbatch'), 5, 'new');
+            batch.hmset(key('batch'), { a: 1 });
+            batch.hset(key('batch'), 'b', 2);
+            batch.hdel(key('batch'), 'a');
+            batch.set(key('string'), 'x');
+            batch.del(key('string'));
+
+            /* nothing is made until exec */
+            assert.deepStrictEqual(await call('zrange', key('zbatch'), 0, -1), ['old']);
+            assert.strictEqual(await call('exists', key('batch')), false);
+
+            await promisify(batch.exec)();
+            assert.deepStrictEqual(await call('zrangeWithScores', key('zbatch'), 0, -1),
+                [{ member: 'new', score: 7 }]);
+            assert.deepStrictEqual({ ...await call('hgetall', key('batch')) }, { b: '2' });
+            assert.strictEqual(await call('exists', key('string')), false);
+        });
+
+        it('sets the fields of a hash in a batch unless newer', async () => {
+            await call('hmset', key('newer'), { t: 5, v: 'five' });
+            const batch = index.batch();
+            batch.hmsetIfNewer(key('newer'), 't', 4, { t: 4, v: 'four' });
+            batch.hmsetIfNewer(key('newer'), 'u', 1, { u: 1, w: 'one' });
+            await promisify(batch.exec)();
+            assert.deepStrictEqual({ ...await call('hgetall', key('newer')) },
+                { t: '5', v: 'five', u: '1', w: 'one' });
+
+            const again = index.batch();
+            again.hmsetIfNewer(key('newer'), 't', 5, { t: 5, v: 'later' });
+            again.hmsetIfNewer(key('newer'), 'u', 2, { u: 2, w: 'two' });
+            await promisify(again.exec)();
+            assert.deepStrictEqual({ ...await call('hgetall', key('newer')) },
+                { t: '5', v: 'later', u: '2', w: 'two' });
+        });
+
+        it('delivers published messages to the subscribers', async () => {
+            const received = [];
+            const unsubscribe = index.subscribe(key('events:1'),
+                (message, channel) => received.push(['one', message, channel]));
+            const unsubscribeAll = index.subscribe(key('events:*'),
+                (message, channel) => received.push(['all', message, channel]));
+            await wait(50);
+
+            await call('publish', key('events:1'), 'a');
+            await call('publish', key('events:2'), 'b');
+            await wait(50);
+            assert.deepStrictEqual(received.sort(), [
+                ['all', 'a', key('events:1')],
+                ['all', 'b', key('events:2')],
+                ['one', 'a', key('events:1')],
+            ]);
+
+            unsubscribe();
+            unsubscribeAll();
+            await wait(50);
+            await call('publish', key('events:1'), 'c');
+            await wait(50);
+            assert.strictEqual(received.length, 3);
+        });
+    });
+}
+
+describe('FileIndex lock', () => {
+    const { dir, cleanup } = scratchDir();
+    const options = { dataRoot: path.join(dir, 'dev-state') };
+    after(cleanup);
+
+    it('refuses another opener until quit', () => {
+        const index = new FileIndex(options, logger);
+        assert.throws(() => new FileIndex(options, logger),
+            { code: 'ELOCKED', message: /in use by another process/ });
+        index.quit();
+        new FileIndex(options, logger).quit();
+    });
+});
+
+describe('FileIndex failing changes', () => {
+    const { dir, cleanup } = scratchDir();
+    const options = { dataRoot: path.join(dir, 'dev-state') };
+    var index = new FileIndex(options, logger);
+    const call = (method, ...args) => promisify(index[method])(...args);
+    after(() => {
+        index.quit();
+        cleanup();
+    });
+
+    it('makes none of the changes of a failing batch, nor journals them', async () => {
+        await call('hmset', 'hash', { a: 1 });
+        const batch = index.batch();
+        batch.zadd('zset', 1, 'one');
+        batch.del('hash');
+        batch.zadd('hash', 2, 'two');
+        batch.set('string', 'x');
+        batch.hset('string', 'b', 2);
+        await assert.rejects(promisify(batch.exec)(), /WRONGTYPE/);
+
+        const bad = index.batch();
+        bad.zadd('zset', 1, 'one');
+        bad.zincrby('zset', 'many', 'one');
+        await assert.rejects(promisify(bad.exec)(), /not a valid float/);
+        await assert.rejects(call('zadd', 'hash', 1, 'one'), /WRONGTYPE/);
+
+        const check = async () => {
+            assert.strictEqual(await call('exists', 'zset'), false);
+            assert.strictEqual(await call('exists', 'string'), false);
+            assert.deepStrictEqual({ ...await call('hgetall', 'hash') }, { a: '1' });
+        };
+        await check();
+        index.quit();
+        index = new FileIndex(options, logger);
+        await check();
+    });
+
+    it('checks the changes of a batch against those before them', async () => {
+        const batch = index.batch();
+        batch.del('hash');
+        batch.zadd('hash', 2, 'two');
+        batch.set('zset', 'x');
+        await promisify(batch.exec)();
+        assert.deepStrictEqual(await call('zrange', 'hash', 0, -1), ['two']);
+        assert.strictEqual(await call('get', 'zset'), 'x');
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createModel, tickTime, putTicks } = require('./helper');
+
+/* turn level 1 block 2020030100 of device 3 into an archive made by tar */
+const makeLegacyArchive = async model => {
+    const archiveDir = path.join(model.dataRoot, 'archive', '3');
+    fs.mkdirSync(archiveDir, { recursive: true });
+    execFileSync('tar', ['czf', path.join(archiveDir, '3-2020030100.tgz'),
+        '-C', model.dataRoot, '2020030100/3']);
+    fs.rmSync(path.join(model.dataRoot, '2020030100'), { recursive: true });
+    await model.rebuildIndex({ restart: true });
+};
+
+describe('legacy archives', () => {
+    const model = createModel({ blockHours: 2 });
+    const archiveDir = path.join(model.dataRoot, 'archive', '3');
+    const from = new Date('2020-03-01T00:00Z');
+    const to = new Date('2020-03-01T06:00Z');
+    after(() => model.stop());
+
+    before(async () => {
+        await putTicks(model, 6);
+        await makeLegacyArchive(model);
+    });
+
+    it('reads a legacy archive', async () => {
+        const series = await model.getMetricSeries(3, [1], from, to);
+        assert.deepStrictEqual(series.map(m => m.value), [0, 1, 2, 3, 4, 5]);
+    });
+
+    it('converts a legacy archive once when asked twice at once', async () => {
+        const results = await Promise.all([model.convertArchives(), model.convertArchives()]);
+        assert.deepStrictEqual(results.map(r => r.failed), [0, 0]);
+        assert.deepStrictEqual(fs.readdirSync(archiveDir), ['3-2020030100.fca']);
+        assert.ok(! fs.existsSync(path.join(model.dataRoot, '.convert', '3-2020030100')));
+
+        const series = await model.getMetricSeries(3, [1], from, to);
+        assert.deepStrictEqual(series.map(m => m.value), [0, 1, 2, 3, 4, 5]);
+    });
+});
+
+describe('backdating into a legacy archive', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('converts it first', async () => {
+        await putTicks(model, 6);
+        await makeLegacyArchive(model);
+
+        await model.putDeviceState(3, tickTime(1),
+            { devid: 3, metrics: [{ id: 2, status: 0, value: 7 }] }, { backdate: true });
+        assert.deepStrictEqual(fs.readdirSync(path.join(model.dataRoot, 'archive', '3')),
+            ['3-2020030100.fca']);
+        const series = await model.getMetricSeries(3, [], tickTime(1), tickTime(1));
+        assert.deepStrictEqual(series.map(m => [m.id, m.value]), [[1, 1], [2, 7]]);
+    });
+});
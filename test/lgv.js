@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { createModel, tickTime } = require('./helper');
+
+describe('last good values', () => {
+    const model = createModel({ blockHours: 2 });
+    const epoch = i => tickTime(i).valueOf() / 1000;
+    after(() => model.stop());
+
+    before(async () => {
+        await model.putDeviceState(3, tickTime(1), { devid: 3, metrics: [
+            { id: 1, status: 0, type: 'int', value: 215, scale: -1, timestamp: epoch(1) - 5 },
+            { id: 2, status: 0, type: 'double', value: 2.5e-7 },
+            { id: 3, status: 0, type: 'string', value: 'on', quality: 'uncertain' },
+            { id: 4, status: 0, type: 'int', value: '9223372036854775807' },
+        ] });
+        /* an older tick, of which only the metric not kept yet is taken */
+        await model.putDeviceState(3, tickTime(0), { devid: 3, metrics: [
+            { id: 1, status: 0, value: 1 },
+            { id: 5, status: -1, value: 0 },
+        ] });
+    });
+
+    it('decodes the metrics in order of id', async () => {
+        const lgv = await model.getDeviceLastGoodValue(3);
+        assert.deepStrictEqual(lgv.lastTicktime, tickTime(1));
+        assert.deepStrictEqual(lgv.metrics, [
+            { id: 1, status: 0, type: 'int', value: 215, scale: -1,
+                ticktime: epoch(1), timestamp: epoch(1) - 5 },
+            { id: 2, status: 0, type: 'double', value: 2.5e-7, scale: 0, ticktime: epoch(1) },
+            { id: 3, status: 0, type: 'string', value: 'on', scale: 0,
+                ticktime: epoch(1), quality: 'uncertain' },
+            { id: 4, status: 0, type: 'int', value: '9223372036854775807', scale: 0,
+                ticktime: epoch(1) },
+            { id: 5, status: -1, type: 'int', value: 0, scale: 0, ticktime: epoch(0) },
+        ]);
+    });
+
+    it('filters the metrics by id', async () => {
+        const lgv = await model.getDeviceLastGoodValue(3, [5, 2, 9]);
+        assert.deepStrictEqual(lgv.metrics.map(m => m.id), [2, 5]);
+        assert.deepStrictEqual(lgv.lastTicktime, tickTime(1));
+    });
+
+    it('replaces a metric by a newer one, clearing its quality', async () => {
+        await model.putDeviceState(3, tickTime(2), { devid: 3, metrics: [
+            { id: 3, status: 0, type: 'string', value: 'off' },
+        ] });
+        const lgv = await model.getDeviceLastGoodValue(3, [1, 3]);
+        assert.deepStrictEqual(lgv.lastTicktime, tickTime(2));
+        assert.deepStrictEqual(lgv.metrics.map(m => [m.id, m.value, m.ticktime, m.quality]),
+            [[1, 215, epoch(1), undefined], [3, 'off', epoch(2), undefined]]);
+    });
+
+    it('gives nothing for an unknown device', async () => {
+        assert.deepStrictEqual(await model.getDeviceLastGoodValue(4),
+            { lastTicktime: null, metrics: [] });
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const lockfile = require('proper-lockfile');
+const FfcModel = require('../lib/ffcmodel');
+const { scratchDir, createModel, putTicks } = require('./helper');
+
+const twoMetrics = i => [
+    { id: 1, status: 0, value: i },
+    { id: 2, status: 0, value: i + 0.5 },
+];
+
+describe('migration of block hours', () => {
+    const model = createModel({ blockHours: 2, adoptStoredLayout: true });
+    after(() => model.stop());
+
+    it('keeps the last good values of archived devices', async () => {
+        await putTicks(model, 12, { metrics: twoMetrics });
+        await model.housekeeping({ level1Hours: 0 });
+        const before = await model.getDeviceLastGoodValue(3);
+        assert.strictEqual(before.metrics.length, 2);
+
+        await model.migrateBlockHours(24);
+        assert.deepStrictEqual(await model.getDeviceLastGoodValue(3), before);
+        assert.deepStrictEqual(await model.listDevices(), [3]);
+    });
+
+    it('serves the same series in the new blocks', async () => {
+        const from = new Date('2020-03-01T00:00Z');
+        const to = new Date('2020-03-02T00:00Z');
+        const series = await model.getMetricSeries(3, [1], from, to);
+        assert.deepStrictEqual(series.map(m => m.value),
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    });
+});
+
+describe('metadata of data kept before it', () => {
+    const { dir, cleanup } = scratchDir();
+    const configFile = path.join(dir, 'ffcmodel.json');
+    fs.writeFileSync(configFile, '{}');
+    after(cleanup);
+
+    /* a tick at 10:30 of 2020-03-01 in block 5 of the day, which is of 2 hours */
+    const keepTick = (dataRoot, block, t) => {
+        const blockDir = path.join(dataRoot, block, '3');
+        fs.mkdirSync(blockDir, { recursive: true });
+        fs.writeFileSync(path.join(blockDir, `${Date.parse(t) / 1000}.dat`), '');
+    };
+    const newModel = (dataRoot, blockHours) => new FfcModel({
+        configFile,
+        index: 'file',
+        dataRoot,
+        logRoot: path.join(dir, 'log'),
+        blockHours,
+    });
+
+    it('is told by the names of the blocks', () => {
+        const dataRoot = path.join(dir, 'told');
+        keepTick(dataRoot, '2020030105', '2020-03-01T10:30Z');
+        assert.throws(() => newModel(dataRoot, 24), /in blocks of 2 hours/);
+        const meta = JSON.parse(fs.readFileSync(path.join(dataRoot, 'meta.json')));
+        assert.strictEqual(meta.blockHours, 2);
+    });
+
+    it('is refused if the names do not tell', () => {
+        const dataRoot = path.join(dir, 'untold');
+        keepTick(dataRoot, '2020030100', '2020-03-01T01:30Z');
+        assert.throws(() => newModel(dataRoot, 1), /no metadata file/);
+        assert.ok(! fs.existsSync(path.join(dataRoot, 'meta.json')));
+    });
+});
+
+describe('layout lock', () => {
+    const model = createModel();
+    const lockFile = path.join(model.dataRoot, 'locks', 'layout');
+    after(() => model.stop());
+
+    it('refuses models and writes while held', async () => {
+        fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+        const release = lockfile.lockSync(lockFile, { realpath: false });
+        try {
+            assert.throws(() => createModel({ dataRoot: model.dataRoot }),
+                /being migrated/);
+            await assert.rejects(model.putDeviceState(3, new Date(), { devid: 3, metrics: [
+                { id: 1, status: 0, value: 1 },
+            ] }), /being migrated/);
+            await assert.rejects(model.migrateBlockHours(24), /being migrated/);
+        } finally {
+            release();
+        }
+        assert.deepStrictEqual(await model.listDevices(), []);
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { scratchDir, tickTime, putTicks } = require('./helper');
+const FfcModel = require('../lib/ffcmodel');
+
+const envs = ['FM_CONFIG', 'FM_DATA_ROOT', 'FM_INDEX', 'FM_HOURS_PER_BLOCK'];
+
+/* the blockHours the model has kept in the metadata of its dataRoot */
+const storedBlockHours = dataRoot =>
+    JSON.parse(fs.readFileSync(path.join(dataRoot, 'meta.json'))).blockHours;
+
+describe('options', () => {
+    const { dir, cleanup } = scratchDir();
+    const configFile = path.join(dir, 'ffcmodel.json');
+    const root = name => path.join(dir, name);
+    const saved = Object.fromEntries(envs.map(name => [name, process.env[name]]));
+    after(cleanup);
+
+    afterEach(() => {
+        for (const name of envs) {
+            if (saved[name] == null)
+                delete process.env[name];
+            else
+                process.env[name] = saved[name];
+        }
+    });
+
+    const writeConfig = config => fs.writeFileSync(configFile, JSON.stringify(config));
+
+    it('falls back to the config file', async () => {
+        writeConfig({ index: 'file', dataRoot: root('config'), blockHours: 4 });
+        process.env['FM_CONFIG'] = configFile;
+        const model = new FfcModel({ logRoot: root('log') });
+        await putTicks(model, 1);
+        model.stop();
+        assert.ok(fs.existsSync(path.join(root('config'), '2020030100', '3')));
+        assert.strictEqual(storedBlockHours(root('config')), 4);
+    });
+
+    it('takes the environment over the config file', async () => {
+        writeConfig({ index: 'file', dataRoot: root('config'), blockHours: 4 });
+        process.env['FM_DATA_ROOT'] = root('env');
+        process.env['FM_HOURS_PER_BLOCK'] = '6';
+        const model = new FfcModel({ configFile, logRoot: root('log') });
+        await putTicks(model, 1);
+        model.stop();
+        assert.ok(fs.existsSync(path.join(root('env'), '2020030100', '3')));
+        assert.strictEqual(storedBlockHours(root('env')), 6);
+    });
+
+    it('takes the options over the environment', async () => {
+        writeConfig({ index: 'redis' });
+        process.env['FM_INDEX'] = 'file';
+        process.env['FM_DATA_ROOT'] = root('env');
+        const model = new FfcModel({ configFile, index: 'file', dataRoot: root('options'),
+            logRoot: root('log'), blockHours: 3 });
+        assert.strictEqual(model.hasEmbeddedIndex(), true);
+        await putTicks(model, 1);
+        model.stop();
+        assert.ok(fs.existsSync(path.join(root('options'), '2020030100', '3')));
+        assert.strictEqual(storedBlockHours(root('options')), 3);
+    });
+
+    it('refuses a bad config file or bad block hours', () => {
+        fs.writeFileSync(configFile, '{ index: ');
+        assert.throws(() => new FfcModel({ configFile }), /bad config file/);
+        assert.throws(() => new FfcModel({ configFile: root('none.json') }),
+            /bad config file/);
+
+        writeConfig({});
+        process.env['FM_HOURS_PER_BLOCK'] = '5';
+        assert.throws(() => new FfcModel({ configFile, dataRoot: root('bad') }),
+            /bad blockHours 5/);
+    });
+
+    it('keeps the devices of models of other key prefixes apart', async () => {
+        writeConfig({});
+        const models = ['a', 'b'].map(name => new FfcModel({
+            configFile,
+            index: 'redis',
+            keyPrefix: `test:${process.pid}:${name}`,
+            dataRoot: root(`prefix-${name}`),
+            logRoot: root('log'),
+        }));
+        try {
+            assert.strictEqual(models[0].hasEmbeddedIndex(), false);
+            await putTicks(models[0], 2, { devid: 3 });
+            await putTicks(models[1], 1, { devid: 4 });
+            assert.deepStrictEqual(await models[0].listDevices(), [3]);
+            assert.deepStrictEqual(await models[1].listDevices(), [4]);
+            assert.strictEqual(await models[1].hasDevice(3), false);
+            const series = await models[0].getMetricSeries(3, [1], tickTime(0), tickTime(1));
+            assert.deepStrictEqual(series.map(m => m.value), [0, 1]);
+        } finally {
+            await models[0].removeDevice(3);
+            await models[1].removeDevice(4);
+            models.forEach(model => model.stop());
+        }
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const lockfile = require('proper-lockfile');
+const { createModel, putTicks } = require('./helper');
+
+describe('pins of blocks being read', () => {
+    const model = createModel({ blockHours: 2 });
+    const archives = () => fs.readdirSync(path.join(model.dataRoot, 'archive', '3')).sort();
+    /* a pin of another process, see Locks */
+    const pinDir = path.join(model.dataRoot, 'locks', 'pins', '3-2020030101');
+    const pinFile = path.join(pinDir, '999-other');
+    after(() => model.stop());
+
+    it('keeps the archives pinned by others from the retention', async () => {
+        await putTicks(model, 12);
+        await model.housekeeping({ level1Hours: 0 });
+        assert.deepStrictEqual(archives(),
+            ['3-2020030100.fca', '3-2020030101.fca', '3-2020030102.fca']);
+
+        fs.mkdirSync(pinDir, { recursive: true });
+        fs.writeFileSync(pinFile, '');
+        await model.housekeeping({ level1Hours: 0, archiveDays: 1 });
+        assert.deepStrictEqual(archives(), ['3-2020030101.fca']);
+    });
+
+    it('takes the pins not kept fresh as stale', async () => {
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(pinFile, old, old);
+        await model.housekeeping({ level1Hours: 0, archiveDays: 1 });
+        assert.deepStrictEqual(archives(), []);
+        assert.ok(! fs.existsSync(pinFile));
+    });
+});
+
+describe('pins of level 1 blocks', () => {
+    const model = createModel({ blockHours: 2 });
+    const blockDir = path.join(model.dataRoot, '2020030101', '3');
+    const pinDir = path.join(model.dataRoot, 'locks', 'pins', '3-2020030101');
+    after(() => model.stop());
+
+    it('keeps the blocks pinned by others from archiving and compaction', async () => {
+        await putTicks(model, 12);
+        fs.mkdirSync(pinDir, { recursive: true });
+        fs.writeFileSync(path.join(pinDir, '999-other'), '');
+
+        await model.housekeeping({ level1Hours: 0 });
+        assert.deepStrictEqual(fs.readdirSync(path.join(model.dataRoot, 'archive', '3')),
+            ['3-2020030100.fca', '3-2020030102.fca']);
+        assert.strictEqual(fs.readdirSync(blockDir).filter(f => f.endsWith('.dat')).length, 4);
+
+        const series = await model.getMetricSeries(3, [1],
+            new Date('2020-03-01T00:00Z'), new Date('2020-03-01T06:00Z'));
+        assert.deepStrictEqual(series.map(m => m.value),
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    });
+});
+
+describe('pins of a block failing to lock', () => {
+    const model = createModel({ blockHours: 24, lockTimeout: 200 });
+    const pinDir = path.join(model.dataRoot, 'locks', 'pins', '3-2020030100');
+    after(() => model.stop());
+
+    it('keeps the pin of another reader', async () => {
+        await putTicks(model, 40);
+        const from = new Date('2020-03-01T00:00Z');
+        const to = new Date('2020-03-02T00:00Z');
+
+        /* a reader holding the block, with more ticks than it buffers */
+        const stream = model.createMetricSeriesStream(3, [1], from, to);
+        await new Promise(resolve => stream.once('readable', resolve));
+        assert.strictEqual(fs.readdirSync(pinDir).length, 1);
+
+        const release = await lockfile.lock(
+            path.join(model.dataRoot, 'locks', '3-2020030100'), { realpath: false });
+        try {
+            await assert.rejects(model.getMetricSeries(3, [1], from, to),
+                /timeout locking block/);
+        } finally {
+            await release();
+        }
+        assert.strictEqual(fs.readdirSync(pinDir).length, 1);
+
+        await model.housekeeping({ level1Hours: 0 });
+        assert.ok(! fs.existsSync(path.join(model.dataRoot, 'archive', '3')));
+        stream.destroy();
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { createModel } = require('./helper');
+
+const at = time => new Date(`2020-03-01T${time}Z`);
+const epoch = time => at(time).valueOf() / 1000;
+
+describe('projection modes', () => {
+    const model = createModel({ blockHours: 2 });
+    const project = (time, ids, options) => model.projectMetrics(3, at(time), ids, options);
+    /* the id, value, scale, mode and distance of each projected metric */
+    const brief = list => list.map(m => [m.id, m.value, m.scale, m.mode, m.distance]);
+    after(() => model.stop());
+
+    before(async () => {
+        const put = (time, metrics) => model.putDeviceState(3, at(time), { devid: 3, metrics });
+        await put('00:00', [
+            { id: 1, status: 0, type: 'int', value: 100, scale: -1 },
+            { id: 2, status: 0, type: 'int', value: 5 },
+            { id: 3, status: 0, type: 'string', value: 'a' },
+            { id: 4, status: 0, type: 'double', value: 1 },
+        ]);
+        await put('01:00', [
+            { id: 1, status: 0, type: 'int', value: 1100, scale: -2 },
+            { id: 2, status: -1, type: 'int', value: 9 },
+            { id: 3, status: 0, type: 'string', value: 'b' },
+            { id: 4, status: 0, type: 'double', value: 2 },
+        ]);
+        /* in another block */
+        await put('04:00', [
+            { id: 1, status: 0, type: 'int', value: 13 },
+        ]);
+    });
+
+    it('gives the previous samples, no older than the max age', async () => {
+        assert.deepStrictEqual(brief(await project('00:15', [])), [
+            [1, 100, -1, 'previous', 900],
+            [2, 5, 0, 'previous', 900],
+            [3, 'a', 0, 'previous', 900],
+            [4, 1, 0, 'previous', 900],
+        ]);
+        assert.deepStrictEqual(await project('00:15', [1], { maxAge: 600 }), []);
+        assert.deepStrictEqual(brief(await project('00:15', [1], { maxAge: 900 })),
+            [[1, 100, -1, 'previous', 900]]);
+    });
+
+    it('gives the nearest samples in either direction', async () => {
+        assert.deepStrictEqual(brief(await project('00:40', [1, 3], { mode: 'nearest' })),
+            [[1, 1100, -2, 'nearest', 1200], [3, 'b', 0, 'nearest', 1200]]);
+        assert.deepStrictEqual(brief(await project('00:20', [1], { mode: 'nearest' })),
+            [[1, 100, -1, 'nearest', 1200]]);
+        const [m] = await project('03:00', [1], { mode: 'nearest' });
+        assert.deepStrictEqual([m.value, m.ticktime, m.distance], [13, epoch('04:00'), 3600]);
+        assert.deepStrictEqual(await project('03:00', [1], { mode: 'nearest', maxAge: 1800 }), []);
+    });
+
+    it('interpolates integers of mixed scales in the finer one', async () => {
+        const [m] = await project('00:15', [1], { mode: 'linear' });
+        assert.deepStrictEqual(m, { id: 1, status: 0, type: 'int', value: 1025, scale: -2,
+            ticktime: epoch('00:15'), mode: 'linear', distance: 2700 });
+
+        /* across blocks */
+        assert.deepStrictEqual(brief(await project('02:30', [1], { mode: 'linear' })),
+            [[1, 1200, -2, 'linear', 5400]]);
+    });
+
+    it('interpolates doubles', async () => {
+        const [m] = await project('00:15', [4], { mode: 'linear' });
+        assert.deepStrictEqual(m, { id: 4, status: 0, type: 'double', value: 1.25, scale: 0,
+            ticktime: epoch('00:15'), mode: 'linear', distance: 2700 });
+    });
+
+    it('falls back to the previous or the nearest sample if not interpolable', async () => {
+        assert.deepStrictEqual(brief(await project('00:15', [2, 3], { mode: 'linear' })),
+            [[2, 5, 0, 'previous', 900], [3, 'a', 0, 'previous', 900]]);
+        assert.deepStrictEqual(brief(await project('01:00', [1], { mode: 'linear' })),
+            [[1, 1100, -2, 'linear', 0]]);
+        const early = new Date('2020-02-29T23:50Z');
+        assert.deepStrictEqual(brief(await model.projectMetrics(3, early, [1], { mode: 'linear' })),
+            [[1, 100, -1, 'nearest', 600]]);
+        assert.deepStrictEqual(brief(await project('05:00', [1], { mode: 'linear' })),
+            [[1, 13, 0, 'previous', 3600]]);
+    });
+
+    it('leaves out the samples beyond the max age', async () => {
+        assert.deepStrictEqual(await project('02:30', [1], { mode: 'linear', maxAge: 1800 }), []);
+        assert.deepStrictEqual(brief(await project('00:15', [1], { mode: 'linear', maxAge: 900 })),
+            [[1, 100, -1, 'previous', 900]]);
+    });
+
+    it('refuses a bad max age', async () => {
+        await assert.rejects(project('00:15', [1], { maxAge: -1 }), /bad max age/);
+    });
+});
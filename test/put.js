@@ -0,0 +1,41 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createModel } = require('./helper');
+
+const tick = (hour, minute, value) => ({
+    devid: 3,
+    ticktime: new Date(Date.UTC(2020, 2, 1, hour, minute)),
+    devState: { devid: 3, metrics: [{ id: 1, status: 0, value }] },
+});
+
+describe('batch of device states', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('indexes the ticks written before a failure', async () => {
+        /* the block of 04:00 can not be made */
+        fs.mkdirSync(model.dataRoot, { recursive: true });
+        fs.writeFileSync(path.join(model.dataRoot, '2020030102'), '');
+
+        await assert.rejects(model.putDeviceStates([
+            tick(0, 30, 1), tick(1, 30, 2), tick(4, 30, 3),
+        ]));
+        assert.deepStrictEqual(await model.listDevices(), [3]);
+        const series = await model.getMetricSeries(3, [1],
+            new Date('2020-03-01T00:00Z'), new Date('2020-03-01T06:00Z'));
+        assert.deepStrictEqual(series.map(m => m.value), [1, 2]);
+        const lgv = await model.getDeviceLastGoodValue(3);
+        assert.deepStrictEqual(lgv.metrics.map(m => m.value), [2]);
+    });
+
+    it('keeps the newer last good values', async () => {
+        await model.putDeviceStates([tick(1, 0, 9)]);
+        const lgv = await model.getDeviceLastGoodValue(3);
+        assert.deepStrictEqual(lgv.metrics.map(m => [m.ticktime, m.value]),
+            [[Date.UTC(2020, 2, 1, 1, 30) / 1000, 2]]);
+    });
+});
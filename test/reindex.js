@@ -0,0 +1,23 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const { createModel, putTicks } = require('./helper');
+
+describe('rebuilding the index', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('rebuilds the last good values from the newest archive', async () => {
+        /* metric 2 is not in the last tick */
+        await putTicks(model, 6, { metrics: i => i < 5 ?
+            [{ id: 1, status: 0, value: i }, { id: 2, status: 0, value: 10 * i }] :
+            [{ id: 1, status: 0, value: i }] });
+        await model.housekeeping({ level1Hours: 0 });
+        const before = await model.getDeviceLastGoodValue(3);
+        assert.ok(Object.keys(before).length);
+
+        await model.rebuildIndex({ restart: true });
+        assert.deepStrictEqual(await model.getDeviceLastGoodValue(3), before);
+    });
+});
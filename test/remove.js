@@ -0,0 +1,50 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createModel, putTicks } = require('./helper');
+
+describe('removal of a device', () => {
+    const model = createModel({ blockHours: 2 });
+    const archiveDir = path.join(model.dataRoot, 'archive', '3');
+    const blockDir = path.join(model.dataRoot, '2020030200', '3');
+    const pinDir = path.join(model.dataRoot, 'locks', 'pins', '3-2020030101');
+    after(() => model.stop());
+
+    it('tells what would be removed on a dry run', async () => {
+        await putTicks(model, 6);
+        await model.housekeeping({ level1Hours: 0 });
+        await model.putDeviceState(3, new Date('2020-03-02T00:00Z'),
+            { devid: 3, metrics: [{ id: 1, status: 0, value: 9 }] });
+
+        const plan = await model.removeDevice(3, { dryRun: true });
+        assert.deepStrictEqual(plan.dirs, [blockDir]);
+        assert.strictEqual(plan.archiveDir, archiveDir);
+        assert.ok(plan.keys.length);
+        assert.deepStrictEqual(await model.listDevices(), [3]);
+        assert.ok(fs.existsSync(blockDir));
+    });
+
+    it('removes nothing while a block is being read', async () => {
+        fs.mkdirSync(pinDir, { recursive: true });
+        fs.writeFileSync(path.join(pinDir, '999-other'), '');
+
+        await assert.rejects(model.removeDevice(3), { code: 'EBUSY' });
+        assert.deepStrictEqual(await model.listDevices(), [3]);
+        assert.deepStrictEqual(fs.readdirSync(archiveDir),
+            ['3-2020030100.fca', '3-2020030101.fca']);
+        assert.ok(fs.existsSync(blockDir));
+        fs.rmSync(pinDir, { recursive: true });
+    });
+
+    it('removes the index entries and files of every block', async () => {
+        await model.removeDevice(3);
+        assert.deepStrictEqual(await model.listDevices(), []);
+        assert.ok(! fs.existsSync(archiveDir));
+        assert.ok(! fs.existsSync(path.dirname(blockDir)));
+        assert.deepStrictEqual(await model.getMetricSeries(3, [],
+            new Date('2020-03-01T00:00Z'), new Date('2020-03-03T00:00Z')), []);
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const { createModel, putTicks } = require('./helper');
+
+describe('retention', () => {
+    const model = createModel({ blockHours: 2 });
+    after(() => model.stop());
+
+    it('keeps the devices left without data with their last good values', async () => {
+        await putTicks(model, 4);
+        const lgv = await model.getDeviceLastGoodValue(3);
+
+        const summary = await model.housekeeping({ level1Hours: 0, archiveDays: 0 });
+        assert.strictEqual(summary.removedArchives, 1);
+        assert.deepStrictEqual(await model.listDevices(), [3]);
+        assert.deepStrictEqual(await model.getDeviceLastGoodValue(3), lgv);
+    });
+
+    it('throws on what the callback of a policy throws', () => {
+        var called = 0;
+        assert.throws(() => model.setRetentionPolicy(null, { level1Hours: -1 }, err => {
+            ++called;
+            assert.match(err.message, /bad retention/);
+            throw Error('thrown by the callback');
+        }), /thrown by the callback/);
+        assert.strictEqual(called, 1);
+    });
+});
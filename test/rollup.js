@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const rollup = require('../lib/rollup');
+const catalog = require('../lib/catalog');
+const { createModel } = require('./helper');
+
+const double = (id, value, ticktime) =>
+    ({ id, status: 0, type: 'double', value, scale: 0, ticktime });
+
+describe('real values', () => {
+    it('scales integers by the decimal notation', () => {
+        assert.strictEqual(rollup.realValue(123, -2), 1.23);
+        assert.strictEqual(rollup.realValue('9007199254740993', -3), 9007199254740.993);
+    });
+
+    it('keeps doubles in the exponent notation', () => {
+        assert.strictEqual(rollup.realValue(1e-7, 0), 1e-7);
+        assert.strictEqual(rollup.realValue(2.5e21, 0), 2.5e21);
+        assert.strictEqual(rollup.realValue(1e-7, 2), 1e-5);
+    });
+
+    it('rolls up doubles', () => {
+        const hourly = rollup.rollupSamples([double(1, 1e-7, 0), double(1, 2.5e21, 60)]);
+        const [r] = rollup.combineRollups([hourly], hour => hour, []);
+        assert.strictEqual(r.min, 1e-7);
+        assert.strictEqual(r.max, 2.5e21);
+        assert.strictEqual(r.sum, 2.5e21 + 1e-7);
+        assert.strictEqual(r.count, 2);
+    });
+
+    it('validates doubles by the range', () => {
+        const defs = new Map([[1, catalog.checkDefinition({ id: 1, name: 'tiny', max: 1e-8 })]]);
+        assert.deepStrictEqual(catalog.validateMetrics(defs, [double(1, 1e-9)]), []);
+        assert.strictEqual(catalog.validateMetrics(defs, [double(1, 1e-7)]).length, 1);
+    });
+});
+
+describe('linear projection of doubles', () => {
+    const model = createModel();
+    after(() => model.stop());
+
+    it('interpolates values in the exponent notation', async () => {
+        await model.putDeviceState(1, new Date('2020-03-01T00:00Z'),
+            { devid: 1, metrics: [{ id: 1, status: 0, value: 1e-7 }] });
+        await model.putDeviceState(1, new Date('2020-03-01T00:10Z'),
+            { devid: 1, metrics: [{ id: 1, status: 0, value: 3e-7 }] });
+
+        const [m] = await model.projectMetrics(1, new Date('2020-03-01T00:05Z'), [1],
+            { mode: 'linear' });
+        assert.strictEqual(m.type, 'double');
+        assert.ok(Math.abs(m.value - 2e-7) < 1e-20, `value ${m.value}`);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { promisify } = require('util');
+const segment = require('../lib/segment');
+
+const encode = promisify(segment.encodeSegment);
+const decode = promisify(segment.decodeSegment);
+
+const ticks = [
+    {
+        ticktime: 1583020800,
+        devState: { devid: 7, timestamp: 1583020799, metrics: [
+            { id: 1, status: 0, type: 'int', value: '9223372036854775807', scale: 0 },
+            { id: 2, status: -1, type: 'double', value: 2.5e-7, scale: 0, quality: 'bad' },
+            { id: 3, status: 0, type: 'string', value: 'on', scale: 0, timestamp: 1583020700 },
+        ] },
+    },
+    {
+        ticktime: 1583020860,
+        devState: { devid: 7, timestamp: 0, metrics: [
+            { id: 1, status: 0, type: 'int', value: -42, scale: -2, quality: 'uncertain' },
+        ] },
+    },
+    {
+        ticktime: 1583020920,
+        devState: { devid: 7, timestamp: 1583020920, metrics: [
+            { id: 3, status: 0, type: 'string', value: '', scale: 0, quality: 'good' },
+            { id: 2, status: 0, type: 'double', value: -1.5, scale: 0 },
+        ] },
+    },
+];
+
+/* the metrics in the order of the columns they are kept in */
+const byId = ticks => ticks.map(({ ticktime, devState }) => ({
+    ticktime,
+    devState: {
+        ...devState,
+        metrics: [...devState.metrics].sort((a, b) => a.id - b.id),
+    },
+}));
+
+describe('segment', () => {
+    it('round-trips the ticks in any order', async () => {
+        const buf = await encode(7, [ticks[2], ticks[0], ticks[1]]);
+        const seg = await decode(buf, 'seg');
+        assert.strictEqual(seg.devid, 7);
+        assert.deepStrictEqual(seg.ticks, byId(ticks));
+    });
+
+    it('keeps the sparse columns in their ticks', async () => {
+        const seg = await decode(await encode(7, ticks), 'seg');
+        const having = id => seg.ticks
+            .filter(t => t.devState.metrics.some(m => m.id == id))
+            .map(t => t.ticktime);
+        assert.deepStrictEqual(having(1), [1583020800, 1583020860]);
+        assert.deepStrictEqual(having(2), [1583020800, 1583020920]);
+        assert.deepStrictEqual(having(3), [1583020800, 1583020920]);
+    });
+
+    it('round-trips no ticks', async () => {
+        const seg = await decode(await encode(7, []), 'seg');
+        assert.deepStrictEqual(seg, { devid: 7, ticks: [] });
+    });
+
+    it('fails on a bad checksum with ECHKSUM', async () => {
+        const buf = await encode(7, ticks);
+        buf[buf.length - 1] ^= 0xff;
+        await assert.rejects(decode(buf, 'seg'), { code: 'ECHKSUM' });
+    });
+
+    it('refuses what is not a segment', async () => {
+        await assert.rejects(decode(Buffer.from('FFCT'), 'seg'), /not a segment/);
+    });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { promisify } = require('util');
+const FfcServer = require('../lib/ffcserver');
+const devStateCodec = require('../lib/dev-state');
+const { createModel } = require('./helper');
+
+describe('server', () => {
+    const model = createModel({ blockHours: 2, catalogPolicy: 'reject' });
+    const server = new FfcServer(model);
+    var port;
+
+    /* gives { status, body } where body is parsed if JSON */
+    const request = (method, urlPath, body, headers) => new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path: urlPath, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                const json = /json/.test(res.headers['content-type']);
+                resolve({ status: res.statusCode, body: json ? JSON.parse(text) : text });
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    before(async () => {
+        await model.defineMetric({ id: 1, name: 'supply_temp' });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+    after((t, done) => {
+        server.close(() => {
+            model.stop();
+            done();
+        });
+    });
+
+    it('cuts a request body too large', (t, done) => {
+        const chunk = Buffer.alloc(64 * 1024, ' ');
+        var answered = false;
+
+        const req = http.request({
+            port,
+            method: 'POST',
+            path: '/devices/3/states/2020-03-01T00:00Z',
+            headers: { 'Content-Type': 'application/json' },
+        }, res => {
+            answered = true;
+            assert.strictEqual(res.statusCode, 413);
+            assert.strictEqual(res.headers.connection, 'close');
+            res.resume();
+            res.on('end', () => {
+                req.destroy();
+                done();
+            });
+        });
+        req.on('error', () => {});
+
+        /* a body without end, which is not to be read through */
+        (function write() {
+            if (answered) return;
+            req.write(chunk, () => setImmediate(write));
+        }());
+    });
+
+    it('refuses a metric list too long', async () => {
+        await model.putDeviceState(3, new Date('2020-03-01T00:00Z'),
+            { devid: 3, metrics: [{ id: 1, status: 0, value: 1 }] });
+        const res = await request('GET', '/devices/3/lgv?metrics=1-4000000000');
+        assert.deepStrictEqual(res, { status: 400, body: { error: 'bad metric list' } });
+        assert.strictEqual((await request('GET', '/devices/3/lgv?metrics=1-10000')).status, 200);
+    });
+
+    it('refuses a time of a bad escape', async () => {
+        const res = await request('POST', '/devices/3/states/%E0%A4%A', '{}',
+            { 'Content-Type': 'application/json' });
+        assert.strictEqual(res.status, 400);
+    });
+
+    const json = { 'Content-Type': 'application/json' };
+    const state = value => JSON.stringify({ metrics: [{ id: 1, status: 0, value }] });
+
+    it('puts device states in JSON or protobuf', async () => {
+        var res = await request('POST', '/devices/4/states/2020-03-01T00:00Z', state(1), json);
+        assert.strictEqual(res.status, 201);
+
+        /* an encoded DevStateV2 is what follows the header of a tick file */
+        const encoded = await promisify(devStateCodec.encodeDevState)(
+            { devid: 4, metrics: [{ id: 1, status: 0, type: 'int', value: 2, scale: 0 }] });
+        res = await request('POST', '/devices/4/states/1583021400', encoded.slice(12),
+            { 'Content-Type': 'application/x-protobuf' });
+        assert.strictEqual(res.status, 201);
+
+        res = await request('GET', '/devices/4/lgv?metrics=supply_temp');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.metrics.map(m => m.value), [2]);
+    });
+
+    it('answers 400 to bad requests', async () => {
+        const bad = [
+            await request('POST', '/devices/4/states/yesterday', state(1), json),
+            await request('POST', '/devices/4/states/2020-03-01T00:10Z', '{', json),
+            await request('POST', '/devices/4/states/2020-03-01T00:10Z', Buffer.from([0xff]),
+                { 'Content-Type': 'application/x-protobuf' }),
+            await request('POST', '/devices/4/states/2020-03-01T00:10Z',
+                JSON.stringify({ devid: 5, metrics: [{ id: 1, status: 0, value: 1 }] }), json),
+            await request('GET', '/devices/4/metrics?mode=cubic'),
+            await request('GET', '/devices/4/metrics?maxAge=-1'),
+            await request('GET', '/devices/4/metrics?metrics=1,,2'),
+            await request('GET', '/devices/4/metrics?metrics=flow'),
+        ];
+        assert.deepStrictEqual(bad.map(res => res.status), bad.map(() => 400));
+        assert.match(bad[7].body.error, /flow/);
+    });
+
+    it('answers 400 to a device state invalid by the catalog', async () => {
+        const res = await request('POST', '/devices/4/states/2020-03-01T00:10Z',
+            JSON.stringify({ metrics: [{ id: 9, status: 0, value: 1 }] }), json);
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('answers 404 to an unknown device or path', async () => {
+        assert.strictEqual((await request('GET', '/devices/9/lgv')).status, 404);
+        assert.strictEqual((await request('GET', '/devices/9/metrics')).status, 404);
+        assert.strictEqual((await request('GET', '/devices/9/span')).status, 404);
+        assert.strictEqual((await request('GET', '/nowhere')).status, 404);
+    });
+
+    it('answers 405 to a method not allowed', async () => {
+        const res = await new Promise(resolve => {
+            http.request({ port, method: 'DELETE', path: '/devices' }, resolve).end();
+        });
+        res.resume();
+        assert.strictEqual(res.statusCode, 405);
+        assert.strictEqual(res.headers.allow, 'GET');
+    });
+
+    it('gives the stats for Prometheus', async () => {
+        const res = await request('GET', '/metrics');
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body, /^# HELP fm_put_seconds /);
+        assert.match(res.body, /\nfm_put_seconds_count [1-9][0-9]*\n/);
+    });
+
+    it('answers 409 to a device state out of range', async () => {
+        await model.housekeeping({ level1Hours: 0 });
+        const res = await request('POST', '/devices/4/states/2020-03-01T00:20Z', state(3), json);
+        assert.strictEqual(res.status, 409);
+        assert.match(res.body.error, /out of range/);
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const { definitions, createStats, toPrometheus } = require('../lib/stats');
+const { createModel, tickTime, putTicks } = require('./helper');
+
+describe('stats', () => {
+    it('counts a value in every bucket it is less than or equal to', () => {
+        const stats = createStats();
+        stats.observe('blocksPerQuery', 0);
+        stats.observe('blocksPerQuery', 3);
+        stats.observe('blocksPerQuery', 100);
+        stats.count('crcFailures');
+        stats.count('crcFailures', 2);
+
+        const snapshot = stats.snapshot();
+        assert.strictEqual(snapshot.counters.crcFailures, 3);
+        assert.strictEqual(snapshot.counters.level2Hits, 0);
+        const h = snapshot.histograms.blocksPerQuery;
+        assert.deepStrictEqual([h.count, h.sum], [3, 103]);
+        assert.deepStrictEqual(h.buckets.map(b => [b.le, b.count]), [
+            [0, 1], [1, 1], [2, 1], [4, 2], [8, 2], [16, 2], [32, 2], [64, 2],
+        ]);
+        assert.ok(! isNaN(new Date(snapshot.since).valueOf()));
+    });
+
+    it('formats a snapshot for Prometheus', () => {
+        const stats = createStats();
+        stats.observe('blocksPerQuery', 3);
+        stats.count('compactedBlocks', 4);
+        const lines = toPrometheus(stats.snapshot()).split('\n');
+
+        assert.strictEqual(lines.pop(), '');
+        assert.deepStrictEqual(lines.filter(line => /^fm_blocks_per_query/.test(line)), [
+            'fm_blocks_per_query_bucket{le="0"} 0',
+            'fm_blocks_per_query_bucket{le="1"} 0',
+            'fm_blocks_per_query_bucket{le="2"} 0',
+            'fm_blocks_per_query_bucket{le="4"} 1',
+            'fm_blocks_per_query_bucket{le="8"} 1',
+            'fm_blocks_per_query_bucket{le="16"} 1',
+            'fm_blocks_per_query_bucket{le="32"} 1',
+            'fm_blocks_per_query_bucket{le="64"} 1',
+            'fm_blocks_per_query_bucket{le="+Inf"} 1',
+            'fm_blocks_per_query_sum 3',
+            'fm_blocks_per_query_count 1',
+        ]);
+        assert.ok(lines.includes('# HELP fm_compacted_blocks_total'
+            + ' Level 1 blocks compacted into segments'));
+        assert.ok(lines.includes('# TYPE fm_compacted_blocks_total counter'));
+        assert.ok(lines.includes('fm_compacted_blocks_total 4'));
+        assert.ok(lines.includes('# TYPE fm_put_seconds histogram'));
+
+        /* a HELP and a TYPE of each, every line a comment or a sample */
+        assert.strictEqual(lines.filter(line => /^# TYPE /.test(line)).length,
+            Object.keys(definitions).length);
+        const comment = /^# (HELP|TYPE) fm_[a-z0-9_]+ .+$/;
+        const sample = /^fm_[a-z0-9_]+(\{le="[^"]+"\})? [0-9.e+-]+$/;
+        for (const line of lines)
+            assert.ok(comment.test(line) || sample.test(line), line);
+    });
+
+    it('formats a snapshot missing some stats as none observed', () => {
+        const text = toPrometheus({ since: '', counters: {}, histograms: {} });
+        assert.ok(text.includes('\nfm_crc_failures_total 0\n'));
+        assert.ok(text.includes('\nfm_put_seconds_bucket{le="+Inf"} 0\n'));
+        assert.ok(! text.includes('fm_put_seconds_bucket{le="0.005"}'));
+    });
+
+    describe('of a model', () => {
+        const model = createModel({ blockHours: 2 });
+        after(() => model.stop());
+
+        it('tells the puts, the projections and the blocks opened', async () => {
+            await putTicks(model, 6);
+            await model.projectMetrics(3, tickTime(5), [1]);
+            await model.getMetricSeries(3, [1], tickTime(0), tickTime(5));
+            await model.getDeviceTimeSpan(3);
+
+            const { histograms } = model.getStats();
+            assert.strictEqual(histograms.putSeconds.count, 6);
+            assert.strictEqual(histograms.projectSeconds.count, 1);
+            assert.strictEqual(histograms.spanSeconds.count, 1);
+            assert.strictEqual(histograms.blocksPerQuery.count, 2);
+            /* the series is across the 2 blocks of the 6 ticks */
+            assert.strictEqual(histograms.blocksPerQuery.sum, 1 + 2);
+        });
+    });
+});